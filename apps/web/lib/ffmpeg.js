@@ -4,11 +4,13 @@ import { spawn } from 'node:child_process';
  * Run an ffmpeg command and resolve when it completes.
  * @param {string[]} args - ffmpeg arguments (without the leading `ffmpeg`)
  * @param {(line: string) => void} [onLog] - optional stderr line handler
+ * @param {{signal?: AbortSignal}} [opts] - aborting `signal` kills ffmpeg and rejects
  * @returns {Promise<void>}
  */
-export function runFfmpeg(args, onLog) {
+export function runFfmpeg(args, onLog, { signal } = {}) {
   return new Promise((resolve, reject) => {
-    const proc = spawn('ffmpeg', ['-y', '-hide_banner', '-loglevel', 'error', ...args]);
+    if (signal?.aborted) return reject(new Error('Cancelled'));
+    const proc = spawn('ffmpeg', ['-y', '-hide_banner', '-loglevel', 'error', ...args], { signal });
     let stderr = '';
 
     proc.stderr.on('data', (chunk) => {
@@ -17,9 +19,10 @@ export function runFfmpeg(args, onLog) {
       onLog?.(text.trim());
     });
 
-    proc.on('error', (err) => reject(new Error(`ffmpeg failed to start: ${err.message}`)));
+    proc.on('error', (err) => reject(new Error(signal?.aborted ? 'Cancelled' : `ffmpeg failed to start: ${err.message}`)));
     proc.on('close', (code) => {
-      if (code === 0) resolve();
+      if (signal?.aborted) reject(new Error('Cancelled'));
+      else if (code === 0) resolve();
       else reject(new Error(`ffmpeg exited with code ${code}: ${stderr.slice(-500)}`));
     });
   });
@@ -30,8 +33,9 @@ export function runFfmpeg(args, onLog) {
  * no ElevenLabs key is configured so the final render still has correct timing.
  * @param {string} outputPath
  * @param {number} durationSec
+ * @param {{signal?: AbortSignal}} [opts]
  */
-export async function generateSilentAudio(outputPath, durationSec) {
+export async function generateSilentAudio(outputPath, durationSec, { signal } = {}) {
   await runFfmpeg([
     '-f', 'lavfi',
     '-i', 'anullsrc=channel_layout=stereo:sample_rate=44100',
@@ -39,5 +43,5 @@ export async function generateSilentAudio(outputPath, durationSec) {
     '-c:a', 'aac',
     '-b:a', '128k',
     outputPath,
-  ]);
+  ], null, { signal });
 }
@@ -1,27 +1,96 @@
 import { randomUUID } from 'node:crypto';
 import { EventEmitter } from 'node:events';
-import { runScriptStage, runAssetsStage, runRenderStage } from './pipeline.js';
-import { runPipeline as runBrainPipeline } from '@makedemo/core';
+import path from 'node:path';
+import { runScriptStage, runAssetsStage, runRenderStage, OUTPUT_ROOT } from './pipeline.js';
+import { JOBS_DB_FILE, openJobStore } from './store.js';
+import { createJobQueue, createLimiter } from './queue.js';
+import { createUploadStore } from './uploads.js';
+import { runPipeline as runBrainPipeline, PIPELINE_OUTPUT_ROOT } from '@makedemo/core';
 
+// Every job and its event history is persisted (store.js) next to the outputs
+// it links to, so both survive a redeploy; `jobs` holds the ones in use by
+// this process, loaded from the store on first access.
 const jobs = new Map();
+const store = openJobStore(process.env.JOBS_DB ? path.resolve(process.env.JOBS_DB) : path.join(OUTPUT_ROOT, JOBS_DB_FILE));
+
+// Uploaded clips and songs wait here until a job claims them (uploads.js).
+const uploads = createUploadStore(path.join(PIPELINE_OUTPUT_ROOT, '.uploads'));
+
+// Jobs wait in a bounded queue (queue.js) and share browser and encode slots,
+// sized for a small container by default.
+const envCount = (name, fallback) => {
+  const n = Number(process.env[name]);
+  return Number.isInteger(n) && n > 0 ? n : fallback;
+};
+const slots = {
+  browser: createLimiter(envCount('MKDEMO_BROWSER_SLOTS', 1)),
+  encode: createLimiter(envCount('MKDEMO_ENCODE_SLOTS', 1)),
+};
+// Job id -> the AbortController of its running pipeline (see cancelJob).
+const controllers = new Map();
+// Ids of reviewed jobs whose edited script is being saved (see claimReview).
+const reviewing = new Set();
+const queue = createJobQueue({
+  concurrency: envCount('MKDEMO_CONCURRENCY', 2),
+  maxQueued: envCount('MKDEMO_QUEUE_MAX', 20),
+  run: async (job) => {
+    const controller = new AbortController();
+    controllers.set(job.id, controller);
+    try {
+      await runPipeline(job, controller.signal);
+    } catch (err) {
+      if (controller.signal.aborted) emit(job, 'cancelled', { message: 'Cancelled' });
+      else emit(job, 'error', { message: err.message });
+    } finally {
+      controllers.delete(job.id);
+    }
+  },
+  onPosition: (job, position) => {
+    job.position = position;
+    emit(job, 'status', { status: 'queued', position });
+  },
+});
 
 /**
- * Create a new demo job and kick off the pipeline asynchronously.
- * @param {{url: string, maxSteps?: number, voice?: string, credentials?: object}} input
+ * Create a new demo job and queue its pipeline run. Throws when the queue
+ * can't take it (full, or the server is shutting down).
+ * `clips` and `song` are upload ids (saveUpload, checked with findUpload);
+ * their files move into the job dir's uploads/ before the job is queued, all
+ * of them or none (uploads.js#claim throws).
+ * @param {{url: string, maxSteps?: number, voice?: string, tts?: string, credentials?: object, storageState?: object, demo?: object, mask?: object|false, cleanup?: object|false, network?: string, harDir?: string, freeze?: object|boolean, device?: string, deviceLayout?: string, formats?: string[], burnCaptions?: boolean, cache?: boolean, review?: boolean, clips?: string[], song?: string}} input
  */
 export function createJob(input) {
+  queue.assertOpen();
   const id = randomUUID().slice(0, 8);
+  const jobDir = path.join(PIPELINE_OUTPUT_ROOT, id);
+  const songIds = input.song ? [input.song] : [];
+  const claimed = uploads.claim([...(input.clips || []), ...songIds], jobDir);
   const job = {
     id,
     url: input.url,
     maxSteps: Math.min(Math.max(input.maxSteps ?? 6, 1), 12),
     voice: input.voice || null,
+    tts: input.tts || undefined,
     credentials: input.credentials || null,
-    // Pipeline-brain inputs (used only when MKDEMO_PIPELINE_BRAIN=1):
+    storageState: input.storageState || null,
+    demo: input.demo || null,
+    mask: input.mask ?? null,
+    cleanup: input.cleanup ?? null,
+    network: input.network || 'live',
+    harDir: input.harDir || null,
+    freeze: input.freeze || null,
+    device: input.device || null,
+    deviceLayout: input.deviceLayout || 'mockup',
+    formats: input.formats || null,
+    burnCaptions: Boolean(input.burnCaptions),
+    cache: input.cache !== false,
+    review: Boolean(input.review),
+    // Pipeline-brain inputs (uploads always take the brain):
     maxFeatures: Math.min(Math.max(input.maxFeatures ?? 5, 1), 12),
-    clips: Array.isArray(input.clips) ? input.clips : [],
-    song: input.song || null,
+    clips: claimed.slice(0, claimed.length - songIds.length),
+    song: songIds.length ? claimed.at(-1) : null,
     status: 'queued',
+    position: null,
     stage: null,
     steps: [],
     video: null,
@@ -34,17 +103,128 @@ export function createJob(input) {
   };
   job.emitter.setMaxListeners(50);
   jobs.set(id, job);
+  persist(() => store.saveJob(job));
+  queue.enqueue(job);
+  return job;
+}
 
-  // Fire-and-forget; progress is observed via SSE.
-  runPipeline(job).catch((err) => {
-    emit(job, 'error', { message: err.message });
+/**
+ * Re-run a finished, failed or reviewed job in place from a pipeline stage (or `true`:
+ * where it stopped), reusing the earlier stages' saved outputs. Clears the
+ * event history so new subscribers only see this run. Throws when the job is
+ * still queued or running, or the queue can't take it. A job claimed from
+ * review (claimReview) goes back to review if it can't be queued.
+ */
+export function resumeJob(job, from) {
+  const claimed = reviewing.delete(job.id);
+  if (!claimed && (job.status === 'queued' || job.status === 'running')) throw new Error(`Job is still ${job.status}`);
+  try {
+    queue.assertOpen();
+  } catch (err) {
+    if (claimed) releaseReview(job);
+    throw err;
+  }
+  job.resumeFrom = from;
+  job.status = 'queued';
+  job.error = null;
+  job.history = [];
+  persist(() => {
+    store.clearEvents(job.id);
+    store.saveJob(job);
   });
-
+  queue.enqueue(job);
   return job;
 }
 
+/**
+ * Take a job waiting for a script review out of 'review' (to 'queued') before
+ * its edited script is saved, so a second submission racing this one sees
+ * it's taken. Returns false when the job isn't in review. Follow with
+ * resumeJob, or releaseReview if the edit is rejected.
+ */
+export function claimReview(job) {
+  if (job.status !== 'review' || reviewing.has(job.id)) return false;
+  reviewing.add(job.id);
+  job.status = 'queued';
+  return true;
+}
+
+/** Put a claimed job back into 'review' (its edit was rejected). */
+export function releaseReview(job) {
+  reviewing.delete(job.id);
+  job.status = 'review';
+}
+
+/**
+ * Validate and stage an uploaded clip or song (uploads.js) for a job to claim:
+ * `file` is {name, type, size, body} with the request body as a stream, either
+ * a multipart form or the file itself.
+ * Throws with a user-facing message when the file isn't usable.
+ */
+export function saveUpload(kind, file) {
+  return uploads.save(kind, file);
+}
+
+/** True when `id` is a staged upload of `kind` that no job has claimed yet. */
+export function findUpload(id, kind) {
+  return Boolean(uploads.find(id, kind));
+}
+
+/**
+ * Cancel a queued or running job. A queued one leaves the queue at once; a
+ * running one has its pipeline aborted (browsers closed, ffmpeg and TTS
+ * processes killed) and reports `cancelled` once it has stopped. Returns false
+ * when the job isn't queued or running here.
+ */
+export function cancelJob(job) {
+  if (queue.remove(job)) {
+    job.position = null;
+    emit(job, 'cancelled', { message: 'Cancelled before it started' });
+    return true;
+  }
+  const controller = controllers.get(job.id);
+  if (!controller) return false;
+  if (!controller.signal.aborted) {
+    emit(job, 'log', { level: 'warn', msg: 'Cancelling…' });
+    controller.abort(new Error('Cancelled'));
+  }
+  return true;
+}
+
+/**
+ * Stop starting queued jobs and wait up to `timeoutMs` for the running ones
+ * (SIGTERM). Resolves true if they all finished; whatever was cut off or still
+ * queued comes back as interrupted on the next boot (restoreJobs).
+ */
+export function drainJobs(timeoutMs) {
+  return queue.drain(timeoutMs);
+}
+
 export function getJob(id) {
-  return jobs.get(id);
+  if (jobs.has(id)) return jobs.get(id);
+  const stored = store.loadJob(id);
+  if (!stored) return undefined;
+  const job = { ...stored.record, credentials: null, storageState: null, history: stored.history };
+  job.emitter = new EventEmitter();
+  job.emitter.setMaxListeners(50);
+  jobs.set(id, job);
+  return job;
+}
+
+/**
+ * On boot: jobs the last process left queued or running will never finish, so
+ * mark them 'interrupted' with a closing error event (SSE clients stop
+ * waiting; the job can be resumed). Returns how many there were.
+ */
+export function restoreJobs() {
+  const ids = store.inFlightJobIds();
+  for (const id of ids) {
+    const job = getJob(id);
+    emit(job, 'error', { message: 'Interrupted by a server restart — resume it to continue', interrupted: true });
+    job.status = 'interrupted';
+    persist(() => store.saveJob(job));
+  }
+  return ids.length;
 }
 
 /** Public, serialisable view of a job (no emitter/history internals). */
@@ -54,9 +234,12 @@ export function publicJob(job) {
     url: job.url,
     title: job.title,
     status: job.status,
+    position: job.position ?? null,
     stage: job.stage,
     steps: job.steps,
     video: job.video,
+    videos: job.videos,
+    captions: job.captions,
     transcript: job.transcript,
     voice: job.voice,
     error: job.error,
@@ -81,26 +264,66 @@ function emit(job, type, data) {
     job.error = data.message;
   }
   if (type === 'done') job.status = 'done';
+  if (type === 'cancelled') job.status = 'cancelled';
+  if (type === 'review') job.status = 'review';
 
+  persist(() => {
+    store.appendEvent(job.id, evt);
+    store.saveJob(job);
+  });
   job.emitter.emit('event', evt);
 }
 
-async function runPipeline(job) {
+/**
+ * True when a job has to take the pipeline brain even with it switched off:
+ * only the brain replays scripted actions, loads a saved session, controls the
+ * recording contexts (HAR, frozen clock, device), assembles multi-format and
+ * burned-caption outputs, saves a stage manifest, cuts in B-roll and music and
+ * pauses for a script review.
+ */
+export function needsBrain(job) {
+  return Boolean(
+    job.demo ||
+    job.storageState ||
+    job.network !== 'live' ||
+    job.freeze ||
+    job.device ||
+    job.formats ||
+    job.burnCaptions ||
+    job.resumeFrom ||
+    job.clips?.length ||
+    job.song ||
+    job.review,
+  );
+}
+
+// A failing store (full disk, locked file) mustn't take the running job down.
+function persist(write) {
+  try {
+    write();
+  } catch (err) {
+    console.error('jobs: could not persist job state:', err.message);
+  }
+}
+
+async function runPipeline(job, signal) {
   const e = (type, data) => emit(job, type, data);
   job.status = 'running';
+  job.position = null;
   e('status', { status: 'running' });
 
   // Opt-in pipeline brain: crawl -> Claude features -> per-feature recording ->
   // Claude VO script + Suno prompt -> ElevenLabs -> motion-graphics assembly.
   // Default-off so the live scroll-tour pipeline is unchanged until flipped.
-  if (process.env.MKDEMO_PIPELINE_BRAIN === '1') {
-    await runBrainPipeline(job, e); // emits its own 'done'
+  if (process.env.MKDEMO_PIPELINE_BRAIN === '1' || needsBrain(job)) {
+    await runBrainPipeline(job, e, { slots, signal }); // emits its own 'done'
     return;
   }
 
-  await runScriptStage(job, e);
-  await runAssetsStage(job, e);
-  await runRenderStage(job, e);
+  const waitFor = (name) => () => e('log', { level: 'info', msg: `Waiting for a free ${name} slot` });
+  await slots.browser.run(() => runScriptStage(job, e, { signal }), { signal, onWait: waitFor('browser') });
+  await runAssetsStage(job, e, { signal });
+  await slots.encode.run(() => runRenderStage(job, e, { signal }), { signal, onWait: waitFor('encode') });
 
   e('done', { video: job.video, steps: job.steps });
 }
@@ -6,9 +6,17 @@ import {
   BrowserManager,
   AuthenticationHandler,
   AIDecisionMaker,
-  generateSpeech,
   estimateAudioDuration,
-  getRandomVoice,
+  selectTtsProvider,
+  resolveVoice,
+  maskingConfig,
+  applyMasking,
+  readMaskReport,
+  createRedactionLog,
+  describeRedactions,
+  cleanupConfig,
+  applyCleanup,
+  dismissOverlays,
 } from '@makedemo/core';
 import { runFfmpeg, generateSilentAudio } from './ffmpeg.js';
 
@@ -24,7 +32,6 @@ const hasClaude = () => Boolean(process.env.ANTHROPIC_API_KEY);
 // AI scripting works with either provider; AIDecisionMaker falls back from
 // OpenAI to Claude automatically (e.g. when OpenAI quota is exhausted).
 const hasAI = () => hasOpenAI() || hasClaude();
-const hasElevenLabs = () => Boolean(process.env.ELEVENLABS_API_KEY);
 
 // Subtle bottom-right "makedemo.app" wordmark for free-tier renders. Uses
 // fontconfig's default font (Liberation/Noto are present in the container).
@@ -44,9 +51,12 @@ const makeLogger = (emit) => ({
  * STAGE 1 — Generate the demo script.
  * Drives a headless browser to the URL, walks the page, and produces an
  * ordered list of steps (interaction + narration + screenshot) that becomes
- * the storyboard for the video.
+ * the storyboard for the video. PII and secrets are masked in the page before
+ * any screenshot (unless `job.mask === false`); counts go to redactions.json.
+ * Cookie banners, chat widgets and popups are hidden and dismissed too (unless
+ * `job.cleanup === false`). Aborting `signal` closes the browser and rejects.
  */
-export async function runScriptStage(job, emit) {
+export async function runScriptStage(job, emit, { signal } = {}) {
   const logger = makeLogger(emit);
   const jobDir = path.join(OUTPUT_ROOT, job.id);
   await fs.mkdir(jobDir, { recursive: true });
@@ -54,18 +64,36 @@ export async function runScriptStage(job, emit) {
   emit('stage', { stage: 'script', status: 'running' });
   logger.info(`Opening ${job.url}`);
 
+  const masking = maskingConfig(job.mask);
+  const redactions = createRedactionLog(masking);
+  const cleanup = cleanupConfig(job.cleanup);
+  signal?.throwIfAborted();
   const browser = new BrowserManager({ headless: true, logger });
+  const closeOnAbort = () => browser.close().catch(() => {});
+  signal?.addEventListener('abort', closeOnAbort, { once: true });
   await browser.initialize();
   const page = browser.getPage();
+  await applyMasking(page, masking);
+  await applyCleanup(page, cleanup);
+  const noteRedactions = async () => {
+    if (masking) redactions.add('screenshot', page.url(), await readMaskReport(page, { reset: true }));
+  };
 
   try {
     await browser.navigateTo(job.url);
+    await dismissOverlays(page, cleanup);
 
     if (job.credentials?.user && job.credentials?.password) {
       logger.info('Credentials supplied — attempting authentication');
       const auth = new AuthenticationHandler({ logger });
-      const ok = await auth.authenticate(page, job.credentials).catch(() => false);
-      emit('log', { level: ok ? 'info' : 'warn', msg: ok ? 'Authenticated' : 'Auth skipped/failed — continuing as guest' });
+      const { success, outcome } = await auth
+        .login(page, job.credentials)
+        .catch(() => ({ success: false, outcome: 'error' }));
+      emit('log', {
+        level: success ? 'info' : 'warn',
+        msg: success ? 'Authenticated' : `Auth ${outcome === 'mfa_failed' ? 'two-factor step failed' : 'skipped/failed'} — continuing as guest`,
+      });
+      await dismissOverlays(page, cleanup);
     }
 
     const ai = new AIDecisionMaker({ logger, maxInteractions: job.maxSteps });
@@ -89,6 +117,7 @@ export async function runScriptStage(job, emit) {
     // Opening title frame on the landing page.
     const introShot = path.join(jobDir, 'step-00.png');
     await page.screenshot({ path: introShot });
+    await noteRedactions();
     const title = await page.title().catch(() => job.url);
     steps.push({
       index: 0,
@@ -104,6 +133,7 @@ export async function runScriptStage(job, emit) {
       // AI path: each interaction carries a selector, so drive the real browser.
       for (let i = 0; i < interactions.length; i++) {
         const interaction = interactions[i];
+        signal?.throwIfAborted();
         emit('stage', { stage: 'script', status: 'running', step: i + 1, total: interactions.length });
         const narration = await safeNarration(ai, interaction);
 
@@ -116,6 +146,7 @@ export async function runScriptStage(job, emit) {
 
         const shot = path.join(jobDir, `step-${String(i + 1).padStart(2, '0')}.png`);
         await page.screenshot({ path: shot }).catch(() => {});
+        await noteRedactions();
         steps.push({
           index: i + 1,
           type: interaction.type,
@@ -130,6 +161,7 @@ export async function runScriptStage(job, emit) {
       const beats = await scrollTourBeats(page, job.maxSteps);
       for (let i = 0; i < beats.length; i++) {
         const beat = beats[i];
+        signal?.throwIfAborted();
         emit('stage', { stage: 'script', status: 'running', step: i + 1, total: beats.length });
 
         await page.evaluate((y) => window.scrollTo({ top: y, behavior: 'instant' }), beat.y);
@@ -137,6 +169,7 @@ export async function runScriptStage(job, emit) {
 
         const shot = path.join(jobDir, `step-${String(i + 1).padStart(2, '0')}.png`);
         await page.screenshot({ path: shot }).catch(() => {});
+        await noteRedactions();
         steps.push({
           index: i + 1,
           type: 'scroll',
@@ -149,47 +182,54 @@ export async function runScriptStage(job, emit) {
       }
     }
 
+    signal?.throwIfAborted();
+    await redactions.write(jobDir);
+    if (masking) logger.info(`Masked in screenshots: ${describeRedactions(redactions.totals())}`);
     job.steps = steps;
     job.title = title;
     emit('stage', { stage: 'script', status: 'done' });
     emit('script', { steps, title });
     return steps;
   } finally {
+    signal?.removeEventListener('abort', closeOnAbort);
     await browser.close().catch(() => {});
   }
 }
 
 /**
  * STAGE 2 — Produce assets.
- * For each step, render narration audio (ElevenLabs, or a timed silent track as
- * a fallback) and measure its duration so the render can sync slides to voice.
+ * For each step, render narration audio (the job's TTS provider — ElevenLabs,
+ * or Piper / espeak-ng offline — or a timed silent track as a fallback) and
+ * measure its duration so the render can sync slides to voice.
  */
-export async function runAssetsStage(job, emit) {
+export async function runAssetsStage(job, emit, { signal } = {}) {
   const logger = makeLogger(emit);
   const jobDir = path.join(OUTPUT_ROOT, job.id);
   emit('stage', { stage: 'assets', status: 'running' });
 
-  const voice = job.voice || getRandomVoice();
+  const tts = await selectTtsProvider(job.tts);
+  const voice = tts ? await resolveVoice(tts, job.voice, (m) => logger.info(m)) : null;
   job.voice = voice;
-  const useTTS = hasElevenLabs();
-  logger.info(useTTS ? `Synthesizing narration (voice ${voice})` : 'No ELEVENLABS_API_KEY — using timed silent audio');
+  logger.info(tts ? `Synthesizing narration (${tts.name}, voice ${voice})` : 'No TTS engine — using timed silent audio');
 
   for (let i = 0; i < job.steps.length; i++) {
     const step = job.steps[i];
+    signal?.throwIfAborted();
     emit('stage', { stage: 'assets', status: 'running', step: i + 1, total: job.steps.length });
 
     const audioPath = path.join(jobDir, `audio-${String(step.index).padStart(2, '0')}.mp3`);
     const estimated = Math.max(2.5, estimateAudioDuration(step.narration));
 
-    if (useTTS) {
+    if (tts) {
       try {
-        await generateSpeech(step.narration, audioPath, { voice });
+        await tts.synthesize(step.narration, audioPath, { voice, signal });
       } catch (err) {
+        signal?.throwIfAborted();
         logger.warn(`TTS failed on step ${step.index} (${err.message}) — using silent track`);
-        await generateSilentAudio(audioPath, estimated);
+        await generateSilentAudio(audioPath, estimated, { signal });
       }
     } else {
-      await generateSilentAudio(audioPath, estimated);
+      await generateSilentAudio(audioPath, estimated, { signal });
     }
 
     step.audio = path.basename(audioPath);
@@ -211,7 +251,7 @@ export async function runAssetsStage(job, emit) {
  * Builds one clip per step (screenshot held for the narration duration) and
  * concatenates them into a single 1080p video.
  */
-export async function runRenderStage(job, emit) {
+export async function runRenderStage(job, emit, { signal } = {}) {
   const logger = makeLogger(emit);
   const jobDir = path.join(OUTPUT_ROOT, job.id);
   emit('stage', { stage: 'render', status: 'running' });
@@ -241,7 +281,7 @@ export async function runRenderStage(job, emit) {
       '-c:a', 'aac', '-b:a', '128k', '-ar', '44100',
       '-shortest',
       clip,
-    ], (l) => l && logger.info(l));
+    ], (l) => l && logger.info(l), { signal });
 
     clipPaths.push(clip);
     emit('clip', { index: step.index });
@@ -256,7 +296,7 @@ export async function runRenderStage(job, emit) {
     '-f', 'concat', '-safe', '0', '-i', listFile,
     '-c', 'copy',
     finalPath,
-  ], (l) => l && logger.info(l));
+  ], (l) => l && logger.info(l), { signal });
 
   job.video = 'demo.mp4';
   emit('stage', { stage: 'render', status: 'done' });
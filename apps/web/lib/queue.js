@@ -0,0 +1,151 @@
+/**
+ * Admission control for the web app, so a burst of requests can't launch a
+ * Chromium and an ffmpeg encode per job and run the container out of memory.
+ *
+ * Two layers:
+ *   - the job queue: at most `concurrency` jobs run at once; the rest wait in
+ *     FIFO order (up to `maxQueued`, beyond which new jobs are refused) and are
+ *     told their position whenever it changes;
+ *   - resource slots, shared by the running jobs: a job holds a 'browser' slot
+ *     only while crawling or recording and an 'encode' slot only while
+ *     rendering, so one job can encode while another records.
+ */
+
+/** `code` of the error a job queue throws when it can't take a job right now. */
+export const QUEUE_CLOSED = 'QUEUE_CLOSED';
+
+/**
+ * A counting semaphore. `run(fn)` waits for a free slot (FIFO), runs `fn`
+ * and frees the slot however it ends; `onWait` is called if it had to wait.
+ * Aborting `signal` while waiting gives up the place in line and rejects.
+ */
+export function createLimiter(limit) {
+  let active = 0;
+  const waiting = [];
+  return {
+    get active() {
+      return active;
+    },
+    get pending() {
+      return waiting.length;
+    },
+    async run(fn, { signal, onWait } = {}) {
+      signal?.throwIfAborted();
+      if (active < limit && !waiting.length) {
+        active++;
+      } else {
+        onWait?.(waiting.length + 1);
+        // The releasing run hands its slot straight over (active stays counted).
+        await new Promise((resolve, reject) => {
+          const onAbort = () => {
+            waiting.splice(waiting.indexOf(wake), 1);
+            reject(signal.reason);
+          };
+          const wake = () => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+          };
+          waiting.push(wake);
+          signal?.addEventListener('abort', onAbort, { once: true });
+        });
+      }
+      try {
+        return await fn();
+      } finally {
+        const next = waiting.shift();
+        if (next) next();
+        else active--;
+      }
+    },
+  };
+}
+
+/**
+ * FIFO job queue.
+ * @param {object} opts
+ * @param {number} opts.concurrency                 jobs running at once
+ * @param {number} [opts.maxQueued]                 waiting jobs before enqueue refuses (default unbounded)
+ * @param {(job) => Promise<void>} opts.run         runs one job; must not reject
+ * @param {(job, position: number) => void} [opts.onPosition]  1 = next to run
+ */
+export function createJobQueue({ concurrency, maxQueued = Infinity, run, onPosition }) {
+  const queue = [];
+  const running = new Set();
+  let draining = false;
+  let idle = null; // resolves drain() once nothing is running
+
+  const announce = () => queue.forEach((job, i) => onPosition?.(job, i + 1));
+
+  function pump() {
+    let started = false;
+    while (running.size < concurrency && queue.length) {
+      const job = queue.shift();
+      running.add(job);
+      started = true;
+      Promise.resolve()
+        .then(() => run(job))
+        .finally(() => {
+          running.delete(job);
+          if (!running.size) idle?.();
+          if (!draining) pump();
+        });
+    }
+    if (started) announce();
+  }
+
+  return {
+    get running() {
+      return running.size;
+    },
+    get queued() {
+      return queue.length;
+    },
+    /** 1-based position of a waiting job, or 0 when it isn't waiting. */
+    position: (job) => queue.indexOf(job) + 1,
+    /** Throws when a job couldn't be queued right now (draining, or full). */
+    assertOpen() {
+      if (draining) throw closed('Server is shutting down — try again shortly');
+      if (queue.length >= maxQueued) throw closed(`Queue is full (${maxQueued} jobs waiting) — try again later`);
+    },
+    /**
+     * Queue a job; throws like assertOpen (nothing is queued then). Returns
+     * false, doing nothing, when a job with its id is already queued or running.
+     */
+    enqueue(job) {
+      if ([...queue, ...running].some((held) => held.id === job.id)) return false;
+      this.assertOpen();
+      queue.push(job);
+      pump();
+      const position = queue.indexOf(job) + 1;
+      if (position) onPosition?.(job, position);
+      return true;
+    },
+    /** Take a waiting job out of the queue; false if it wasn't waiting. */
+    remove(job) {
+      const i = queue.indexOf(job);
+      if (i < 0) return false;
+      queue.splice(i, 1);
+      announce();
+      return true;
+    },
+    /**
+     * Stop starting jobs (queued ones stay queued) and wait for the running
+     * ones, at most `timeoutMs`. Resolves true if they all finished.
+     */
+    drain(timeoutMs) {
+      draining = true;
+      if (!running.size) return Promise.resolve(true);
+      return new Promise((resolve) => {
+        const timer = setTimeout(() => resolve(false), timeoutMs);
+        idle = () => {
+          clearTimeout(timer);
+          resolve(true);
+        };
+      });
+    },
+  };
+}
+
+function closed(message) {
+  return Object.assign(new Error(message), { code: QUEUE_CLOSED });
+}
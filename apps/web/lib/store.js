@@ -0,0 +1,94 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import Database from 'better-sqlite3';
+
+/**
+ * SQLite persistence for web jobs, so a redeploy keeps job metadata, event
+ * history and video links (the files themselves are already on the volume
+ * under OUTPUT_ROOT).
+ *
+ * One row per job holds its serialisable fields as JSON; events are appended
+ * to their own table in emit order. Login secrets (`credentials`,
+ * `storageState`) are never written — the session a job logged in with is
+ * already saved in its job dir.
+ *
+ * better-sqlite3 is synchronous, which suits this: every write is a single
+ * small statement, and emit() stays synchronous for SSE subscribers.
+ */
+
+export const JOBS_DB_FILE = 'jobs.db';
+const NOT_STORED = new Set(['emitter', 'history', 'credentials', 'storageState']);
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS jobs (
+    id TEXT PRIMARY KEY,
+    status TEXT NOT NULL,
+    data TEXT NOT NULL,
+    created_at INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS events (
+    job_id TEXT NOT NULL,
+    seq INTEGER NOT NULL,
+    type TEXT NOT NULL,
+    data TEXT,
+    ts INTEGER NOT NULL,
+    PRIMARY KEY (job_id, seq)
+  );
+`;
+
+/** The stored JSON for a job: everything but its emitter, history and secrets. */
+export function jobRecord(job) {
+  return Object.fromEntries(Object.entries(job).filter(([key]) => !NOT_STORED.has(key)));
+}
+
+/**
+ * Open (creating if needed) the job store at `file`.
+ * @returns {{saveJob, appendEvent, clearEvents, loadJob, inFlightJobIds, close}}
+ */
+export function openJobStore(file) {
+  if (file !== ':memory:') fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.exec(SCHEMA);
+
+  const upsert = db.prepare(`
+    INSERT INTO jobs (id, status, data, created_at, updated_at) VALUES (@id, @status, @data, @createdAt, @updatedAt)
+    ON CONFLICT(id) DO UPDATE SET status = excluded.status, data = excluded.data, updated_at = excluded.updated_at
+  `);
+  const insertEvent = db.prepare(`
+    INSERT INTO events (job_id, seq, type, data, ts)
+    VALUES (@jobId, (SELECT COALESCE(MAX(seq), 0) + 1 FROM events WHERE job_id = @jobId), @type, @data, @ts)
+  `);
+  const deleteEvents = db.prepare('DELETE FROM events WHERE job_id = ?');
+  const selectJob = db.prepare('SELECT data FROM jobs WHERE id = ?');
+  const selectEvents = db.prepare('SELECT type, data, ts FROM events WHERE job_id = ? ORDER BY seq');
+  const selectInFlight = db.prepare("SELECT id FROM jobs WHERE status IN ('queued', 'running')");
+
+  return {
+    saveJob(job) {
+      upsert.run({
+        id: job.id,
+        status: job.status,
+        data: JSON.stringify(jobRecord(job)),
+        createdAt: job.createdAt,
+        updatedAt: Date.now(),
+      });
+    },
+    appendEvent(jobId, evt) {
+      insertEvent.run({ jobId, type: evt.type, data: JSON.stringify(evt.data ?? null), ts: evt.ts });
+    },
+    clearEvents(jobId) {
+      deleteEvents.run(jobId);
+    },
+    /** A stored job's record and event history, or null. */
+    loadJob(id) {
+      const row = selectJob.get(id);
+      if (!row) return null;
+      const history = selectEvents.all(id).map((e) => ({ type: e.type, data: JSON.parse(e.data), ts: e.ts }));
+      return { record: JSON.parse(row.data), history };
+    },
+    inFlightJobIds: () => selectInFlight.all().map((r) => r.id),
+    close: () => db.close(),
+  };
+}
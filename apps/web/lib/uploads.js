@@ -0,0 +1,225 @@
+import { randomUUID } from 'node:crypto';
+import fs from 'node:fs';
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+import { Readable, Transform } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import busboy from 'busboy';
+import { probeMedia } from '@makedemo/core';
+
+/**
+ * B-roll clips and a suno.com song uploaded from the browser, for the
+ * pipeline brain's `clips` and `song` inputs.
+ *
+ * Files are dropped before their job exists, so each upload is first staged
+ * (streamed to disk with its size capped, then checked with ffprobe for a
+ * readable video or audio stream of a sane length) under an opaque id, then
+ * moved into the job dir's `uploads/` when a job claims it. Staged files
+ * nobody claims are pruned after a day.
+ */
+
+export const UPLOADS_DIR = 'uploads';
+/** `code` of the error save() throws when an upload is over its size limit. */
+export const UPLOAD_TOO_LARGE = 'UPLOAD_TOO_LARGE';
+/** `code` of the error claim() throws for an id that isn't an upload id. */
+export const UPLOAD_UNKNOWN = 'UPLOAD_UNKNOWN';
+/** `code` of the error claim() throws when a listed upload is no longer staged. */
+export const UPLOAD_GONE = 'UPLOAD_GONE';
+const MB = 1024 * 1024;
+const STALE_MS = 24 * 60 * 60 * 1000;
+const ID_PATTERN = /^(clip|song)-[a-f0-9]{16}\.[a-z0-9]+$/;
+// Browsers report some containers (mkv, m4a) as octet-stream or not at all;
+// ffprobe has the final say on what's inside.
+const GENERIC_TYPES = ['', 'application/octet-stream'];
+const MULTIPART = /^multipart\/form-data\b/i;
+
+export const UPLOAD_KINDS = {
+  clip: {
+    exts: ['.mp4', '.mov', '.m4v', '.webm', '.mkv'],
+    stream: 'video',
+    maxMb: 200,
+    maxMbEnv: 'MKDEMO_CLIP_MAX_MB',
+    maxSeconds: 180,
+  },
+  song: {
+    exts: ['.mp3', '.m4a', '.aac', '.wav', '.ogg', '.flac'],
+    stream: 'audio',
+    maxMb: 30,
+    maxMbEnv: 'MKDEMO_SONG_MAX_MB',
+    maxSeconds: 600,
+  },
+};
+
+/** Largest accepted upload of `kind`, in bytes. */
+export function uploadMaxBytes(kind) {
+  const rules = UPLOAD_KINDS[kind];
+  const mb = Number(process.env[rules.maxMbEnv]);
+  return (mb > 0 ? mb : rules.maxMb) * MB;
+}
+
+/**
+ * Staging area for uploads in `dir`. `probe` reads a staged file's streams and
+ * duration (ffprobe; swapped out in tests).
+ * @returns {{save, find, claim, prune}}
+ */
+export function createUploadStore(dir, { probe = probeMedia } = {}) {
+  const stagedPath = (id) => path.join(dir, id);
+
+  // Stream one file to staging, then probe it; see save().
+  async function stage(kind, { name, type, size = null, body } = {}) {
+    const rules = UPLOAD_KINDS[kind];
+    if (!rules) throw new Error(`Upload kind must be one of ${Object.keys(UPLOAD_KINDS).join(', ')}`);
+    if (!name || !body) throw new Error('Expected a multipart file, or the file as the request body and its name in ?name=');
+    const ext = path.extname(name).toLowerCase();
+    if (!rules.exts.includes(ext)) throw new Error(`A ${kind} must be one of ${rules.exts.join(', ')}`);
+    const mime = String(type || '').split(';')[0].trim().toLowerCase();
+    if (!GENERIC_TYPES.includes(mime) && !/^(video|audio)\//.test(mime)) {
+      throw new Error(`A ${kind} must be a video or audio file (got ${mime})`);
+    }
+    const maxBytes = uploadMaxBytes(kind);
+    if (size > maxBytes) throw tooLarge(kind, maxBytes);
+
+    await fsp.mkdir(dir, { recursive: true });
+    store.prune().catch(() => {});
+    const id = `${kind}-${randomUUID().replace(/-/g, '').slice(0, 16)}${ext}`;
+    const staged = stagedPath(id);
+    let bytes = 0;
+    const cap = new Transform({
+      transform(chunk, _encoding, done) {
+        bytes += chunk.length;
+        done(bytes > maxBytes ? tooLarge(kind, maxBytes) : null, chunk);
+      },
+    });
+    try {
+      const source = body instanceof Readable ? body : Readable.fromWeb(body);
+      await pipeline(source, cap, fs.createWriteStream(staged));
+      if (!bytes) throw new Error(`That ${kind} is empty`);
+    } catch (err) {
+      await fsp.rm(staged, { force: true });
+      throw err;
+    }
+
+    const info = await probe(staged).catch((err) => ({ error: err.message }));
+    const problem = mediaProblem(info, rules);
+    if (problem) {
+      await fsp.rm(staged, { force: true });
+      throw new Error(`That ${kind} ${problem}`);
+    }
+    return { id, kind, name, bytes, duration: info.duration };
+  }
+
+  const store = {
+    /**
+     * Validate and stage an upload. `body` is the request body (a web
+     * ReadableStream): a multipart/form-data `type` streams its first file
+     * part, named and typed by the part; anything else is the file itself,
+     * with `name` from the query and `size` its declared length, if any. The
+     * file is streamed to disk and cut off once it passes the size limit.
+     * Throws with a user-facing message when it isn't an acceptable `kind`;
+     * over the limit the error's `code` is UPLOAD_TOO_LARGE.
+     * @param {{name?: string, type?: string, size?: number|null, body: ReadableStream}} file
+     * @returns {Promise<{id, kind, name, bytes, duration}>}
+     */
+    async save(kind, file = {}) {
+      if (!file.body || !MULTIPART.test(file.type || '')) return stage(kind, file);
+      const part = await filePart(file.type, file.body);
+      try {
+        return await stage(kind, part);
+      } finally {
+        // Stop reading whatever the form has left after a rejected file.
+        part.discard();
+      }
+    },
+
+    /** The staged file for an upload id of `kind`, or null. */
+    find(id, kind) {
+      const match = ID_PATTERN.exec(String(id || ''));
+      if (!match || match[1] !== kind) return null;
+      return fs.existsSync(stagedPath(id)) ? stagedPath(id) : null;
+    },
+
+    /**
+     * Move staged uploads into `<jobDir>/uploads/` (synchronous, so the job
+     * can't start before its files are in place). Returns their new paths.
+     * All or nothing: if one can't be moved, the ones already moved go back to
+     * staging and the error's `code` is UPLOAD_UNKNOWN or UPLOAD_GONE.
+     */
+    claim(ids, jobDir) {
+      if (!ids.length) return [];
+      const unknown = ids.find((id) => !ID_PATTERN.test(String(id)));
+      if (unknown) throw uploadError(`Unknown upload: ${unknown}`, UPLOAD_UNKNOWN);
+      const target = path.join(jobDir, UPLOADS_DIR);
+      const created = fs.mkdirSync(target, { recursive: true });
+      const moved = [];
+      for (const id of ids) {
+        const dest = path.join(target, id);
+        try {
+          fs.renameSync(stagedPath(id), dest);
+        } catch (err) {
+          for (const [back, from] of moved) fs.renameSync(from, stagedPath(back));
+          if (created) fs.rmSync(created, { recursive: true, force: true });
+          if (err.code !== 'ENOENT') throw err;
+          throw uploadError(`Upload ${id} is gone (already used, or expired) — upload it again`, UPLOAD_GONE);
+        }
+        moved.push([id, dest]);
+      }
+      return moved.map(([, dest]) => dest);
+    },
+
+    /** Delete staged uploads older than a day. */
+    async prune() {
+      const names = await fsp.readdir(dir).catch(() => []);
+      const cutoff = Date.now() - STALE_MS;
+      for (const name of names) {
+        const file = stagedPath(name);
+        const stat = await fsp.stat(file).catch(() => null);
+        if (stat && stat.mtimeMs < cutoff) await fsp.rm(file, { force: true });
+      }
+    },
+  };
+  return store;
+}
+
+// The first file part of a multipart/form-data body, as {name, type, body}
+// with the part's own stream; `discard()` stops reading the request.
+function filePart(contentType, body) {
+  return new Promise((resolve, reject) => {
+    let form;
+    try {
+      form = busboy({ headers: { 'content-type': contentType }, limits: { files: 1 } });
+    } catch (err) {
+      reject(err);
+      return;
+    }
+    const source = Readable.fromWeb(body);
+    const discard = () => {
+      source.unpipe(form);
+      source.destroy();
+    };
+    form.on('file', (_field, stream, info) => resolve({ name: info.filename, type: info.mimeType, body: stream, discard }));
+    form.on('error', (err) => {
+      discard();
+      reject(err);
+    });
+    // Settles nothing once a file part was found.
+    form.on('close', () => reject(new Error('Expected a file in the form')));
+    source.pipe(form);
+  });
+}
+
+function tooLarge(kind, maxBytes) {
+  return uploadError(`That ${kind} is larger than ${maxBytes / MB} MB`, UPLOAD_TOO_LARGE);
+}
+
+function uploadError(message, code) {
+  return Object.assign(new Error(message), { code });
+}
+
+// Why a probed upload can't be used, or null when it can.
+function mediaProblem(info, rules) {
+  if (info.error) return `isn't a readable media file (${info.error.split('\n').at(-1)})`;
+  if (!info[rules.stream]) return `has no ${rules.stream} stream`;
+  if (!(info.duration > 0.5)) return 'is too short';
+  if (info.duration > rules.maxSeconds) return `is longer than ${rules.maxSeconds}s`;
+  return null;
+}
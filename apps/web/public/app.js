@@ -11,9 +11,19 @@ const result = $('#result');
 const storyboard = $('#storyboard');
 const filmstrip = $('#filmstrip');
 const envBadge = $('#env-badge');
+const cancelBtn = $('#cancel');
+const review = $('#review');
+const reviewForm = $('#review-form');
+const reviewList = $('#review-segments');
+const reviewError = $('#review-error');
 
 const seenSteps = new Set();
 let currentJob = null;
+// Staged upload ids (POST /api/uploads/:kind) the next job will claim.
+const uploads = { clip: [], song: [] };
+let uploading = 0;
+// The script under review: its segments (edited in place) and the job's features.
+let reviewing = null;
 
 // Report which engines are configured (purely cosmetic hint).
 fetch('/healthz').then(() => {
@@ -29,10 +39,26 @@ advToggle.addEventListener('click', () => {
 
 $('#again').addEventListener('click', () => window.location.reload());
 
+document.querySelectorAll('.drop').forEach(setupDropZone);
+
+cancelBtn.addEventListener('click', async () => {
+  if (!currentJob) return;
+  cancelBtn.disabled = true;
+  try {
+    const res = await fetch(`/api/demos/${currentJob}`, { method: 'DELETE' });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Failed to cancel');
+    log('cancelling — stopping the current stage', 'warn');
+  } catch (err) {
+    log(err.message, 'error');
+    cancelBtn.disabled = false;
+  }
+});
+
 form.addEventListener('submit', async (e) => {
   e.preventDefault();
   let url = urlInput.value.trim();
-  if (!url) return;
+  if (!url || uploading) return;
   if (!/^https?:\/\//i.test(url)) url = 'https://' + url;
 
   rollBtn.disabled = true;
@@ -49,6 +75,12 @@ form.addEventListener('submit', async (e) => {
     voice: $('#voice').value || null,
     user: $('#user').value || null,
     password: $('#password').value || null,
+    totpSecret: $('#totpSecret').value.trim() || null,
+    successUrl: $('#successUrl').value.trim() || null,
+    session: $('#session').value.trim() || null,
+    clips: uploads.clip,
+    song: uploads.song[0] || null,
+    review: $('#review').checked,
   };
 
   try {
@@ -60,6 +92,9 @@ form.addEventListener('submit', async (e) => {
     const data = await res.json();
     if (!res.ok) throw new Error(data.error || 'Failed to start');
     currentJob = data.id;
+    clearUploads(); // claimed by this job
+    cancelBtn.hidden = false;
+    cancelBtn.disabled = false;
     log(`scene cut — job ${data.id} queued`, 'info');
     streamEvents(data.id);
   } catch (err) {
@@ -73,6 +108,7 @@ function resetViews() {
   filmstrip.innerHTML = '';
   seenSteps.clear();
   result.hidden = true;
+  review.hidden = true;
   document.querySelectorAll('.rail__step').forEach((el) => {
     el.dataset.state = 'idle';
     el.querySelector('[data-status]').textContent = 'idle';
@@ -80,18 +116,98 @@ function resetViews() {
 }
 
 function resetButton() {
+  cancelBtn.hidden = true;
   rollBtn.disabled = false;
   rollBtn.classList.remove('is-rolling');
   $('.roll__label').textContent = 'Roll demo';
 }
 
+// A drop zone uploads each file as soon as it's dropped or picked, so the
+// checks (type, size, ffprobe) answer before the demo is rolled.
+function setupDropZone(zone) {
+  const kind = zone.dataset.kind;
+  const input = zone.querySelector('input[type="file"]');
+  const list = zone.querySelector('.drop__files');
+  const add = (files) => [...files].slice(0, kind === 'song' ? 1 : 10).forEach(upload);
+
+  zone.addEventListener('click', () => input.click());
+  zone.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      input.click();
+    }
+  });
+  zone.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    zone.classList.add('is-over');
+  });
+  zone.addEventListener('dragleave', () => zone.classList.remove('is-over'));
+  zone.addEventListener('drop', (e) => {
+    e.preventDefault();
+    zone.classList.remove('is-over');
+    add(e.dataTransfer.files);
+  });
+  input.addEventListener('change', () => {
+    add(input.files);
+    input.value = '';
+  });
+
+  async function upload(file) {
+    if (kind === 'song') {
+      uploads.song = [];
+      list.innerHTML = '';
+    }
+    const item = document.createElement('li');
+    item.textContent = `${file.name} · uploading…`;
+    list.appendChild(item);
+    setUploading(1);
+    try {
+      const form = new FormData();
+      form.append('file', file);
+      const res = await fetch(`/api/uploads/${kind}`, { method: 'POST', body: form });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Upload failed');
+      uploads[kind].push(data.id);
+      item.textContent = `${file.name} · ${data.duration.toFixed(1)}s`;
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.textContent = '×';
+      remove.setAttribute('aria-label', `Remove ${file.name}`);
+      remove.addEventListener('click', (e) => {
+        e.stopPropagation();
+        uploads[kind] = uploads[kind].filter((id) => id !== data.id);
+        item.remove();
+      });
+      item.appendChild(remove);
+    } catch (err) {
+      item.textContent = `${file.name} · ${err.message}`;
+      item.classList.add('is-error');
+    } finally {
+      setUploading(-1);
+    }
+  }
+}
+
+function setUploading(delta) {
+  uploading += delta;
+  if (rollBtn.classList.contains('is-rolling')) return;
+  rollBtn.disabled = uploading > 0;
+  $('.roll__label').textContent = uploading ? 'Uploading…' : 'Roll demo';
+}
+
+function clearUploads() {
+  uploads.clip = [];
+  uploads.song = [];
+  document.querySelectorAll('.drop__files').forEach((list) => (list.innerHTML = ''));
+}
+
 function streamEvents(id) {
   const es = new EventSource(`/api/demos/${id}/events`);
   es.onmessage = (e) => {
     let evt;
     try { evt = JSON.parse(e.data); } catch { return; }
     handleEvent(evt);
-    if (evt.type === 'done' || evt.type === 'error') es.close();
+    if (['done', 'error', 'cancelled', 'review'].includes(evt.type)) es.close();
   };
   es.onerror = () => {
     // EventSource auto-retries; only surface if we never got a terminal event.
@@ -103,11 +219,14 @@ function handleEvent({ type, data }) {
     case 'log':
       log(data.msg, data.level);
       break;
+    case 'status':
+      if (data.status === 'queued') log(`queued · ${data.position === 1 ? 'next up' : `position ${data.position}`}`, 'info');
+      break;
     case 'stage':
       updateStage(data);
       break;
     case 'script':
-      renderStoryboard(data.steps);
+      if (data.steps) renderStoryboard(data.steps);
       if (data.title) log(`script locked — "${data.title}"`, 'info');
       break;
     case 'asset':
@@ -126,9 +245,117 @@ function handleEvent({ type, data }) {
       log(`✖ ${data.message}`, 'error');
       resetButton();
       break;
+    case 'cancelled':
+      log(`■ ${data.message}`, 'warn');
+      resetButton();
+      break;
+    case 'review':
+      log('script ready — review it below before anything is voiced', 'info');
+      cancelBtn.hidden = true;
+      $('.roll__label').textContent = 'In review';
+      showReview(data);
+      break;
   }
 }
 
+function showReview({ script, features }) {
+  reviewing = { segments: script.segments.map((seg) => ({ ...seg })), features };
+  reviewForm.elements.title.value = script.title;
+  reviewForm.elements.tagline.value = script.tagline;
+  reviewForm.elements.sunoPrompt.value = script.sunoPrompt;
+  reviewError.hidden = true;
+  renderReviewSegments();
+  review.hidden = false;
+  review.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+// One editable card per segment, in timeline order, with move up/down.
+function renderReviewSegments() {
+  reviewList.innerHTML = '';
+  const { segments, features } = reviewing;
+  segments.forEach((seg, i) => {
+    const item = document.createElement('li');
+    item.className = 'segment';
+
+    const head = document.createElement('div');
+    head.className = 'segment__head';
+    const label = document.createElement('span');
+    label.textContent = `${String(i + 1).padStart(2, '0')} · ${segmentLabel(seg, features)}`;
+    const move = document.createElement('div');
+    move.className = 'segment__move';
+    for (const [text, delta] of [['↑', -1], ['↓', 1]]) {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.textContent = text;
+      btn.setAttribute('aria-label', delta < 0 ? 'Move up' : 'Move down');
+      btn.disabled = !segments[i + delta];
+      btn.addEventListener('click', () => {
+        [segments[i], segments[i + delta]] = [segments[i + delta], segments[i]];
+        renderReviewSegments();
+      });
+      move.appendChild(btn);
+    }
+    head.append(label, move);
+    item.appendChild(head);
+
+    for (const [key, name, multiline] of [['title', 'Title'], ['caption', 'Caption'], ['narration', 'Narration', true]]) {
+      const field = document.createElement('label');
+      field.className = multiline ? 'field field--wide' : 'field';
+      const span = document.createElement('span');
+      span.textContent = name;
+      const input = document.createElement(multiline ? 'textarea' : 'input');
+      if (multiline) input.rows = 3;
+      else input.type = 'text';
+      input.value = seg[key];
+      input.addEventListener('input', () => (seg[key] = input.value));
+      field.append(span, input);
+      item.appendChild(field);
+    }
+    reviewList.appendChild(item);
+  });
+}
+
+function segmentLabel(seg, features) {
+  if (seg.kind === 'feature') return `feature · ${features[seg.featureIndex]?.name ?? seg.featureIndex}`;
+  if (seg.kind === 'clip') return `b-roll clip ${seg.clipIndex + 1}`;
+  return seg.kind;
+}
+
+reviewForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  if (!reviewing || !currentJob) return;
+  const submit = reviewForm.querySelector('button[type="submit"]');
+  submit.disabled = true;
+  reviewError.hidden = true;
+  const script = {
+    title: reviewForm.elements.title.value,
+    tagline: reviewForm.elements.tagline.value,
+    segments: reviewing.segments,
+    sunoPrompt: reviewForm.elements.sunoPrompt.value,
+  };
+  try {
+    const res = await fetch(`/api/demos/${currentJob}/script`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ script }),
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Failed to save the script');
+    review.hidden = true;
+    reviewing = null;
+    log('script approved — voicing and rendering', 'info');
+    $('.roll__label').textContent = 'Rolling…';
+    cancelBtn.hidden = false;
+    cancelBtn.disabled = false;
+    streamEvents(currentJob);
+  } catch (err) {
+    reviewError.textContent = err.message;
+    reviewError.hidden = false;
+  } finally {
+    submit.disabled = false;
+  }
+});
+
 function updateStage({ stage, status, step, total }) {
   const el = document.querySelector(`.rail__step[data-stage="${stage}"]`);
   if (!el) return;
@@ -1,11 +1,46 @@
 import 'dotenv/config';
+import fs from 'node:fs';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 import { Hono } from 'hono';
 import { serve } from '@hono/node-server';
 import { serveStatic } from '@hono/node-server/serve-static';
 import { stream } from 'hono/streaming';
-import { createJob, getJob, publicJob, subscribe } from './lib/jobs.js';
+import {
+  freezeConfig,
+  maskingConfig,
+  resolveDevice,
+  resolveFormats,
+  selectTtsProvider,
+  TTS_PROVIDERS,
+  DEVICE_LAYOUTS,
+  parseDemoSpec,
+  toStorageState,
+  SESSION_FILE,
+  NETWORK_MODES,
+  HAR_DIR,
+  PIPELINE_OUTPUT_ROOT,
+  PIPELINE_STAGES,
+  loadManifest,
+  resumeIndex,
+  saveScriptEdit,
+} from '@makedemo/core';
+import {
+  cancelJob,
+  claimReview,
+  createJob,
+  drainJobs,
+  findUpload,
+  getJob,
+  publicJob,
+  releaseReview,
+  restoreJobs,
+  resumeJob,
+  saveUpload,
+  subscribe,
+} from './lib/jobs.js';
+import { QUEUE_CLOSED } from './lib/queue.js';
+import { UPLOAD_GONE, UPLOAD_KINDS, UPLOAD_TOO_LARGE, UPLOAD_UNKNOWN } from './lib/uploads.js';
 import { OUTPUT_ROOT } from './lib/pipeline.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
@@ -21,22 +56,176 @@ app.post('/api/demos', async (c) => {
     return c.json({ error: 'Invalid JSON body' }, 400);
   }
 
-  const url = (body.url || '').trim();
+  // Declarative demo script (demo.yaml/.json text): skips discovery, and its
+  // `url` stands in when the form's URL is empty. Recordings must be inline.
+  let spec = null;
+  if (body.demo) {
+    try {
+      spec = parseDemoSpec(body.demo);
+    } catch (err) {
+      return c.json({ error: err.message }, 400);
+    }
+  }
+
+  const url = (body.url || spec?.url || '').trim();
   if (!/^https?:\/\/.+/i.test(url)) {
     return c.json({ error: 'A valid http(s) URL is required' }, 400);
   }
 
   const credentials =
-    body.user && body.password ? { user: body.user, password: body.password } : null;
+    body.user && body.password
+      ? {
+          user: body.user,
+          password: body.password,
+          totpSecret: body.totpSecret || undefined,
+          successUrl: body.successUrl || undefined,
+          successSelector: body.successSelector || undefined,
+        }
+      : null;
+
+  // Pre-made login session (Playwright storageState or a cookie export) for
+  // SSO-only apps where a password can't be typed in.
+  let storageState = null;
+  if (body.session) {
+    try {
+      storageState = toStorageState(body.session);
+    } catch (err) {
+      return c.json({ error: err.message }, 400);
+    }
+  }
+
+  // PII/secret masking is on by default; `mask: false` turns it off, and
+  // `{selectors, patterns}` adds app-specific rules.
+  const mask = body.mask === false ? false : body.mask || null;
+  try {
+    maskingConfig(mask);
+  } catch (err) {
+    return c.json({ error: err.message }, 400);
+  }
+
+  // Overlay cleanup is on by default too; `cleanup: false` turns it off, and
+  // `{selectors}` hides app-specific banners.
+  const cleanup = body.cleanup === false ? false : body.cleanup || null;
+
+  // Network fixtures: 'record' saves each feature session as a HAR; 'replay'
+  // re-records an earlier job (`replayFrom`: its id) against its saved HARs.
+  const network = body.network || 'live';
+  if (!NETWORK_MODES.includes(network)) return c.json({ error: `network must be one of ${NETWORK_MODES.join(', ')}` }, 400);
+  let harDir = null;
+  if (network === 'replay') {
+    const from = String(body.replayFrom || '');
+    if (!/^[a-z0-9-]+$/i.test(from)) return c.json({ error: 'replayFrom must be the id of a recorded job' }, 400);
+    harDir = path.join(PIPELINE_OUTPUT_ROOT, from, HAR_DIR);
+    if (!fs.existsSync(harDir)) return c.json({ error: `Job ${from} has no recorded network fixtures` }, 400);
+  }
+
+  // Frozen clock + seeded randomness: `true` or `{time, seed}`.
+  const freeze = body.freeze || null;
+  try {
+    freezeConfig(freeze);
+  } catch (err) {
+    return c.json({ error: err.message }, 400);
+  }
+
+  // Device emulation: a Playwright device name/alias and how to frame it.
+  const device = body.device ? String(body.device) : null;
+  const deviceLayout = body.deviceLayout || 'mockup';
+  try {
+    resolveDevice(device);
+  } catch (err) {
+    return c.json({ error: err.message }, 400);
+  }
+  if (!DEVICE_LAYOUTS.includes(deviceLayout)) {
+    return c.json({ error: `deviceLayout must be one of ${DEVICE_LAYOUTS.join(', ')}` }, 400);
+  }
+
+  // Output formats: one MP4 per aspect ratio ('landscape', 'vertical', 'square').
+  let formats = null;
+  try {
+    if (body.formats) formats = resolveFormats(body.formats);
+  } catch (err) {
+    return c.json({ error: err.message }, 400);
+  }
+
+  // Voice engine: a TTS provider name (availability is checked when the job runs).
+  const tts = body.tts || undefined;
+  if (tts && !TTS_PROVIDERS.includes(tts)) return c.json({ error: `tts must be one of ${TTS_PROVIDERS.join(', ')}` }, 400);
+
+  // B-roll clips and a suno.com song, as ids from POST /api/uploads/:kind.
+  const clips = body.clips || [];
+  if (!Array.isArray(clips) || clips.length > 10) {
+    return c.json({ error: 'clips must be a list of up to 10 upload ids' }, 400);
+  }
+  if (new Set(clips).size !== clips.length) return c.json({ error: 'The same clip upload is listed twice' }, 400);
+  const wanted = [...clips.map((id) => ['clip', id]), ...(body.song ? [['song', body.song]] : [])];
+  const unknown = wanted.find(([kind, id]) => !findUpload(id, kind));
+  if (unknown) return c.json({ error: `Unknown or already used ${unknown[0]} upload: ${unknown[1]}` }, 400);
+
+  let job;
+  try {
+    job = createJob({
+      url,
+      maxSteps: Number(body.maxSteps) || 6,
+      voice: body.voice || null,
+      tts,
+      credentials,
+      storageState,
+      demo: spec ? body.demo : null,
+      mask,
+      cleanup,
+      network,
+      harDir,
+      freeze,
+      device,
+      deviceLayout,
+      formats,
+      burnCaptions: body.burnCaptions === true,
+      cache: body.cache !== false,
+      clips,
+      song: body.song || null,
+      review: body.review === true,
+    });
+  } catch (err) {
+    // 503: the queue is full, or the server is draining for a shutdown. An
+    // upload can also vanish after the check above (pruned, or claimed by a
+    // racing request).
+    const status = { [QUEUE_CLOSED]: 503, [UPLOAD_GONE]: 410, [UPLOAD_UNKNOWN]: 400 }[err.code] || 500;
+    return c.json({ error: err.message }, status);
+  }
+
+  return c.json({ id: job.id, position: job.position }, 201);
+});
 
-  const job = createJob({
-    url,
-    maxSteps: Number(body.maxSteps) || 6,
-    voice: body.voice || null,
-    credentials,
+// Upload of one B-roll clip or suno.com song — a multipart/form-data file, or
+// the file itself as the body with its name in ?name= — streamed to disk,
+// checked and staged until a POST /api/demos lists its id in `clips` / `song`.
+for (const kind of Object.keys(UPLOAD_KINDS)) {
+  app.post(`/api/uploads/${kind}`, async (c) => {
+    try {
+      const upload = await saveUpload(kind, {
+        name: c.req.query('name'),
+        type: c.req.header('content-type'),
+        size: Number(c.req.header('content-length')) || null,
+        body: c.req.raw.body,
+      });
+      return c.json(upload, 201);
+    } catch (err) {
+      return c.json({ error: err.message }, err.code === UPLOAD_TOO_LARGE ? 413 : 400);
+    }
   });
+}
 
-  return c.json({ id: job.id }, 201);
+// Voices of a TTS provider (?tts=piper; default: the one 'auto' would pick).
+app.get('/api/voices', async (c) => {
+  const name = c.req.query('tts') || undefined;
+  if (name && !TTS_PROVIDERS.includes(name)) return c.json({ error: `tts must be one of ${TTS_PROVIDERS.join(', ')}` }, 400);
+  try {
+    const provider = await selectTtsProvider(name);
+    if (!provider) return c.json({ tts: null, voices: [] });
+    return c.json({ tts: provider.name, capabilities: provider.capabilities(), voices: await provider.listVoices() });
+  } catch (err) {
+    return c.json({ error: err.message }, 400);
+  }
 });
 
 app.get('/api/demos/:id', (c) => {
@@ -45,6 +234,70 @@ app.get('/api/demos/:id', (c) => {
   return c.json(publicJob(job));
 });
 
+// Re-run a finished or failed job from a stage ({from}; default: where it
+// stopped), reusing the earlier stages' outputs saved in its manifest.json.
+// A job waiting for a script review resumes through PUT .../script instead.
+app.post('/api/demos/:id/resume', async (c) => {
+  const job = getJob(c.req.param('id'));
+  if (!job) return c.json({ error: 'Not found' }, 404);
+  if (job.status === 'queued' || job.status === 'running') return c.json({ error: 'Job is still running' }, 409);
+  if (job.status === 'review') return c.json({ error: 'Job is waiting for a script review — submit the script' }, 409);
+  const body = await c.req.json().catch(() => ({}));
+  const from = body?.from || true;
+  if (from !== true && !PIPELINE_STAGES.includes(from)) {
+    return c.json({ error: `from must be one of ${PIPELINE_STAGES.join(', ')}` }, 400);
+  }
+  try {
+    resumeIndex(from, await loadManifest(path.join(PIPELINE_OUTPUT_ROOT, job.id)));
+  } catch (err) {
+    return c.json({ error: err.message }, 400);
+  }
+  try {
+    resumeJob(job, from);
+  } catch (err) {
+    // Another request may have resumed it while this one read the manifest.
+    const busy = job.status === 'queued' || job.status === 'running';
+    return c.json({ error: err.message }, busy ? 409 : 503);
+  }
+  return c.json({ id: job.id, from, position: job.position }, 202);
+});
+
+// Finish a script review: validate the edited script ({script}: title,
+// tagline, segments in their new order, sunoPrompt) against demoScriptSchema
+// and the job's features and clips, save it over the manifest's script stage
+// and resume the job from the voiceover.
+app.put('/api/demos/:id/script', async (c) => {
+  const job = getJob(c.req.param('id'));
+  if (!job) return c.json({ error: 'Not found' }, 404);
+  // Claimed before the first await: a second submission gets the 409.
+  if (!claimReview(job)) return c.json({ error: `Job is not waiting for a script review (${job.status})` }, 409);
+  const body = await c.req.json().catch(() => null);
+  try {
+    if (!body?.script) throw new Error('Expected a JSON body with a script');
+    job.script = await saveScriptEdit(path.join(PIPELINE_OUTPUT_ROOT, job.id), body.script, {
+      clipCount: job.clips?.length || 0,
+    });
+  } catch (err) {
+    releaseReview(job);
+    return c.json({ error: err.message }, 400);
+  }
+  try {
+    resumeJob(job, 'voiceover');
+  } catch (err) {
+    return c.json({ error: err.message }, 503);
+  }
+  return c.json({ id: job.id, position: job.position }, 202);
+});
+
+// Cancel a queued or running job: the running stage is aborted and the job
+// ends with a `cancelled` event (it can be resumed like a failed one).
+app.delete('/api/demos/:id', (c) => {
+  const job = getJob(c.req.param('id'));
+  if (!job) return c.json({ error: 'Not found' }, 404);
+  if (!cancelJob(job)) return c.json({ error: `Job is not running (${job.status})` }, 409);
+  return c.json({ id: job.id, status: job.status }, 202);
+});
+
 // Server-Sent Events stream of pipeline progress.
 app.get('/api/demos/:id/events', (c) => {
   const job = getJob(c.req.param('id'));
@@ -75,7 +328,7 @@ app.get('/api/demos/:id/events', (c) => {
         while (queue.length) {
           const evt = queue.shift();
           await s.write(`data: ${JSON.stringify(evt)}\n\n`);
-          if (evt.type === 'done' || evt.type === 'error') {
+          if (['done', 'error', 'cancelled', 'review'].includes(evt.type)) {
             closed = true;
           }
         }
@@ -90,6 +343,23 @@ app.get('/api/demos/:id/events', (c) => {
 
 // Serve generated artifacts (screenshots, audio, final mp4).
 // OUTPUT_ROOT is <project>/output; serveStatic resolves <root>/output/<id>/<file>.
+// Saved login sessions and recorded HARs live in the job dir too, and the job
+// store's SQLite files and staged uploads in the output root; none of them may
+// be served.
+app.use('/output/*', async (c, next) => {
+  let reqPath = c.req.path;
+  try {
+    reqPath = decodeURIComponent(reqPath);
+  } catch {
+    // Malformed escapes fall through to serveStatic's own 404.
+  }
+  const parts = reqPath.split('/');
+  const hidden = parts.at(-1) === SESSION_FILE || parts.includes(HAR_DIR) || parts.includes('.uploads');
+  if (hidden || /\.(har|db|db-wal|db-shm)$/i.test(reqPath)) {
+    return c.json({ error: 'Not found' }, 404);
+  }
+  return next();
+});
 const projectRootRel = path.relative(process.cwd(), path.dirname(OUTPUT_ROOT)) || '.';
 app.use('/output/*', serveStatic({ root: projectRootRel }));
 
@@ -106,7 +376,26 @@ app.get('/healthz', (c) => c.text('ok'));
 
 app.use('/*', serveStatic({ root: path.relative(process.cwd(), path.join(__dirname, 'public')) }));
 
+const interrupted = restoreJobs();
+if (interrupted) console.log(`Marked ${interrupted} job(s) interrupted by the last shutdown`);
+
 const port = Number(process.env.PORT) || 3000;
 serve({ fetch: app.fetch, port }, (info) => {
   console.log(`▶ makedemo web running at http://localhost:${info.port}`);
 });
+
+// Graceful drain on redeploy: stop starting jobs (new POSTs get 503), keep
+// serving progress, and give running jobs MKDEMO_DRAIN_TIMEOUT_S (default 30)
+// to finish before exiting. Anything cut off resumes as 'interrupted'.
+let draining = false;
+for (const signal of ['SIGTERM', 'SIGINT']) {
+  process.on(signal, async () => {
+    if (draining) process.exit(1); // a second signal: stop now
+    draining = true;
+    const timeout = (Number(process.env.MKDEMO_DRAIN_TIMEOUT_S) || 30) * 1000;
+    console.log(`${signal}: draining — waiting up to ${timeout / 1000}s for running jobs`);
+    const finished = await drainJobs(timeout);
+    console.log(finished ? 'All running jobs finished' : 'Drain timed out — unfinished jobs will be marked interrupted');
+    process.exit(0);
+  });
+}
@@ -7,6 +7,7 @@ export { AIDecisionMaker } from './src/ai/decision-maker.js';
 export { VideoProcessor } from './src/video/processor.js';
 export {
   generateSpeech,
+  generateSpeechWithTimestamps,
   estimateAudioDuration,
   getRandomVoice,
   getAvailableVoices,
@@ -16,3 +17,24 @@ export { createDemo } from './src/index.js';
 // Pipeline brain: crawl -> Claude feature detection -> per-feature recording ->
 // Claude VO script + Suno prompt -> ElevenLabs -> motion-graphics assembly.
 export { runPipeline, OUTPUT_ROOT as PIPELINE_OUTPUT_ROOT } from './src/pipeline/index.js';
+export { toStorageState, SESSION_FILE } from './src/pipeline/session.js';
+export { parseDemoSpec } from './src/pipeline/demo-spec.js';
+export {
+  maskingConfig,
+  applyMasking,
+  readMaskReport,
+  createRedactionLog,
+  describeRedactions,
+  REDACTION_FILE,
+} from './src/pipeline/masking.js';
+export { cleanupConfig, applyCleanup, dismissOverlays } from './src/pipeline/cleanup.js';
+export { NETWORK_MODES, HAR_DIR } from './src/pipeline/har.js';
+export { freezeConfig } from './src/pipeline/freeze.js';
+export { resolveDevice, DEVICE_LAYOUTS } from './src/pipeline/device.js';
+export { resolveFormats, OUTPUT_FORMATS } from './src/pipeline/formats.js';
+export { captionCues, toSrt, toVtt } from './src/pipeline/captions.js';
+export { selectTtsProvider, getTtsProvider, resolveVoice, TTS_PROVIDERS } from './src/pipeline/tts.js';
+export { createCache, cacheKey } from './src/pipeline/cache.js';
+export { STAGES as PIPELINE_STAGES, loadManifest, resumeIndex, MANIFEST_FILE } from './src/pipeline/manifest.js';
+export { probeMedia } from './src/pipeline/ffmpeg.js';
+export { saveScriptEdit, validateScriptEdit } from './src/pipeline/review.js';
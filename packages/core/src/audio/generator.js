@@ -204,10 +204,12 @@ const validateEnvironment = () => {
  * @param {string} voiceId - Voice ID to use
  * @param {Object} voiceSettings - Voice configuration settings
  * @param {number} retries - Number of retry attempts
- * @returns {Promise<ArrayBuffer>} - Audio data
+ * @param {boolean} withTimestamps - Use the with-timestamps endpoint (JSON with base64 audio + character alignment)
+ * @param {AbortSignal} [signal] - Aborts the request (and any retries)
+ * @returns {Promise<ArrayBuffer|Object>} - Audio data, or the with-timestamps JSON
  */
-const makeApiRequest = async (text, apiKey, voiceId, voiceSettings, retries = 3) => {
-  const url = `https://api.elevenlabs.io/v1/text-to-speech/${voiceId}`;
+const makeApiRequest = async (text, apiKey, voiceId, voiceSettings, retries = 3, withTimestamps = false, signal) => {
+  const url = `https://api.elevenlabs.io/v1/text-to-speech/${voiceId}${withTimestamps ? '/with-timestamps' : ''}`;
   
   const requestBody = {
     text,
@@ -219,11 +221,12 @@ const makeApiRequest = async (text, apiKey, voiceId, voiceSettings, retries = 3)
   const requestOptions = {
     method: 'POST',
     headers: {
-      'Accept': 'audio/mpeg',
+      'Accept': withTimestamps ? 'application/json' : 'audio/mpeg',
       'xi-api-key': apiKey,
       'Content-Type': 'application/json'
     },
-    body: JSON.stringify(requestBody)
+    body: JSON.stringify(requestBody),
+    signal
   };
 
   for (let attempt = 0; attempt < retries; attempt++) {
@@ -237,11 +240,11 @@ const makeApiRequest = async (text, apiKey, voiceId, voiceSettings, retries = 3)
         );
       }
 
-      return await response.arrayBuffer();
+      return withTimestamps ? await response.json() : await response.arrayBuffer();
     } catch (error) {
       logger.warn(`API request attempt ${attempt + 1} failed: ${error.message}`);
       
-      if (attempt === retries - 1) {
+      if (attempt === retries - 1 || signal?.aborted) {
         throw error;
       }
       
@@ -276,15 +279,37 @@ const mockGenerateAudio = async (text, outputPath) => {
  * Generate speech audio from text using ElevenLabs
  * @param {string} text - Text to convert to speech
  * @param {string} outputPath - Path to save the audio file
- * @param {Object} options - Generation options
+ * @param {Object} options - Generation options (voice, gender, voiceSettings;
+ *   mockFallback: false to throw instead of writing mock audio without a key or on API errors;
+ *   signal: an AbortSignal that cancels the request)
  * @returns {Promise<string>} Path to generated audio file
  */
 export const generateSpeech = async (text, outputPath, options = {}) => {
+  const { path: audioPath } = await synthesize(text, outputPath, options, false);
+  return audioPath;
+};
+
+/**
+ * Generate speech audio plus ElevenLabs' character-level alignment
+ * @param {string} text - Text to convert to speech
+ * @param {string} outputPath - Path to save the audio file
+ * @param {Object} options - Generation options (as generateSpeech)
+ * @returns {Promise<{path: string, alignment: Object|null}>} Audio path and
+ *   `{characters, character_start_times_seconds, character_end_times_seconds}`
+ *   for the text actually spoken (null for mock audio)
+ */
+export const generateSpeechWithTimestamps = async (text, outputPath, options = {}) => {
+  return synthesize(text, outputPath, options, true);
+};
+
+const synthesize = async (text, outputPath, options, withTimestamps) => {
   try {
     const {
       voice = null,
       gender = null,
-      voiceSettings = CONVERSATIONAL_VOICE_SETTINGS
+      voiceSettings = CONVERSATIONAL_VOICE_SETTINGS,
+      mockFallback = true,
+      signal
     } = options;
 
     // Validate input
@@ -302,8 +327,11 @@ export const generateSpeech = async (text, outputPath, options = {}) => {
     // Check if API key is available
     const apiKey = process.env.ELEVENLABS_API_KEY;
     if (!apiKey) {
+      if (!mockFallback) {
+        throw new Error('ELEVENLABS_API_KEY is not set');
+      }
       logger.warn('ELEVENLABS_API_KEY not found, using mock implementation');
-      return await mockGenerateAudio(text, outputPath);
+      return { path: await mockGenerateAudio(text, outputPath), alignment: null };
     }
 
     try {
@@ -324,15 +352,19 @@ export const generateSpeech = async (text, outputPath, options = {}) => {
       await fs.mkdir(path.dirname(outputPath), { recursive: true });
 
       // Make API request
-      const audioBuffer = await makeApiRequest(
+      const response = await makeApiRequest(
         processedText,
         apiKey,
         voiceId,
-        voiceSettings
+        voiceSettings,
+        3,
+        withTimestamps,
+        signal
       );
 
       // Save audio file
-      await fs.writeFile(outputPath, Buffer.from(audioBuffer));
+      const audioBuffer = withTimestamps ? Buffer.from(response.audio_base64 || '', 'base64') : Buffer.from(response);
+      await fs.writeFile(outputPath, audioBuffer);
 
       // Verify file was created and has content
       const stats = await fs.stat(outputPath);
@@ -341,12 +373,15 @@ export const generateSpeech = async (text, outputPath, options = {}) => {
       }
 
       logger.info(`Speech generated successfully: ${outputPath} (${stats.size} bytes)`);
-      return outputPath;
+      return { path: outputPath, alignment: withTimestamps ? response.alignment || null : null };
 
     } catch (apiError) {
       logger.error(`ElevenLabs API error: ${apiError.message}`);
+      if (!mockFallback || signal?.aborted) {
+        throw apiError;
+      }
       logger.info('Falling back to mock audio generation');
-      return await mockGenerateAudio(text, outputPath);
+      return { path: await mockGenerateAudio(text, outputPath), alignment: null };
     }
 
   } catch (error) {
@@ -1,3 +1,20 @@
+import { OTP_DIGIT_SELECTOR, OTP_INPUT_SELECTOR, generateTotp } from './totp.js';
+import {
+  EMAIL_OPTION_PATTERN,
+  IDENTIFIER_SELECTOR,
+  MAX_LOGIN_STEPS,
+  NEXT_BUTTON_PATTERN,
+  SIGN_IN_BUTTON_PATTERN,
+  inSignInForm,
+  newLoginProgress,
+  nextLoginAction,
+  originOf,
+  progressKey,
+} from './login-flow.js';
+
+// Visible password field for the multi-step login state machine.
+const PASSWORD_SELECTOR = 'input[type="password"]';
+
 /**
  * Authentication handler for web login automation
  */
@@ -13,9 +30,30 @@ export class AuthenticationHandler {
    * @param {Object} credentials - User credentials
    * @param {string} credentials.user - User email/username
    * @param {string} credentials.password - User password
+   * @param {string} [credentials.totpSecret] - Base32 TOTP secret for MFA
    * @returns {Promise<boolean>} True if authentication successful
    */
   async authenticate(page, credentials) {
+    const result = await this.login(page, credentials);
+    return result.success;
+  }
+
+  /**
+   * Authenticate and report how it went.
+   *
+   * Drives the shared login state machine (login-flow.js), so single-form,
+   * identifier-first ("Next" before the password), "Continue with email" and
+   * hosted-auth-domain flows all work. Success is verified by
+   * `credentials.successUrl` / `credentials.successSelector` when given,
+   * otherwise by leaving every login form and returning to the app's origin.
+   * @param {Object} page - Puppeteer page object
+   * @param {Object} credentials - User credentials (see authenticate)
+   * @param {string} [credentials.successUrl] - Post-login URL glob or /regex/
+   * @param {string} [credentials.successSelector] - Selector present once logged in
+   * @returns {Promise<{success: boolean, outcome: string, error?: string}>}
+   *   outcome is one of 'success', 'failed', 'mfa_failed', 'no_form', 'error'
+   */
+  async login(page, credentials) {
     const { user, password } = credentials;
 
     if (!user || !password) {
@@ -24,48 +62,174 @@ export class AuthenticationHandler {
 
     this.logger.info('Starting authentication process', { user });
 
+    const criteria = { successUrl: credentials.successUrl, successSelector: credentials.successSelector };
+    const appOrigin = originOf(page.url());
+    const done = newLoginProgress();
+
     try {
-      // Detect login form on the page
-      const loginForm = await this.detectLoginForm(page);
+      for (let step = 0; step < MAX_LOGIN_STEPS; step++) {
+        const facts = await this.observeLoginStep(page, appOrigin, criteria);
+        const action = nextLoginAction(facts, done, criteria);
+        this.logger.debug('Login step', { action, url: facts.url });
+
+        if (action === 'done') {
+          this.logger.info('Authentication successful', { newUrl: facts.url });
+          return { success: true, outcome: 'success' };
+        }
+        if (action === 'failed') {
+          if (!done.identifier && !done.password) {
+            this.logger.warn('No login form detected on page');
+            return { success: false, outcome: 'no_form', error: 'No login form detected' };
+          }
+          const error = (await this.findErrorMessage(page)) || 'Login did not reach the post-login page';
+          this.logger.warn('Authentication failed', { error });
+          return { success: false, outcome: 'failed', error };
+        }
+        if (action === 'mfa_failed') {
+          this.logger.warn('Authentication failed', { error: 'Two-factor code was rejected' });
+          return { success: false, outcome: 'mfa_failed', error: 'Two-factor code was rejected' };
+        }
 
-      if (!loginForm.found) {
-        this.logger.warn('No login form detected on page');
-        return false;
+        done[progressKey(action)] += 1;
+        if (action === 'totp') {
+          // A one-time-code prompt after the password step means MFA is enforced.
+          const result = await this.completeMfa(page, await this.detectOtpField(page), credentials);
+          if (!result.success) {
+            this.logger.warn('Authentication failed', { error: result.error });
+            return { success: false, outcome: 'mfa_failed', error: result.error };
+          }
+          continue;
+        }
+        await this.performLoginStep(page, action, credentials);
       }
 
-      this.logger.debug('Login form detected', {
-        emailField: !!loginForm.emailField,
-        passwordField: !!loginForm.passwordField,
-        submitButton: !!loginForm.submitButton,
+      const error = `Login did not complete within ${MAX_LOGIN_STEPS} steps`;
+      this.logger.warn('Authentication failed', { error });
+      return { success: false, outcome: 'failed', error };
+    } catch (error) {
+      this.logger.error('Authentication error', {
+        error: error.message,
+        stack: error.stack,
       });
+      return { success: false, outcome: 'error', error: error.message };
+    }
+  }
 
-      // Get current URL to detect navigation after login
-      const originalUrl = page.url();
+  /**
+   * Describe the current login screen for the state machine
+   * @param {Object} page - Puppeteer page object
+   * @param {string} appOrigin - Origin the login started from
+   * @param {Object} criteria - { successUrl?, successSelector? }
+   * @returns {Promise<Object>} Facts for nextLoginAction
+   */
+  async observeLoginStep(page, appOrigin, criteria) {
+    const identifier = await this.findVisible(page, IDENTIFIER_SELECTOR);
+    return {
+      url: page.url(),
+      appOrigin,
+      hasOtp: Boolean(await this.detectOtpField(page)),
+      hasPassword: Boolean(await this.findVisible(page, PASSWORD_SELECTOR)),
+      hasIdentifier: Boolean(identifier),
+      identifierInForm: identifier
+        ? await identifier.evaluate(inSignInForm, SIGN_IN_BUTTON_PATTERN.source).catch(() => false)
+        : false,
+      hasEmailOption: Boolean(await this.findByText(page, EMAIL_OPTION_PATTERN)),
+      selectorFound: criteria.successSelector ? Boolean(await this.findVisible(page, criteria.successSelector)) : false,
+    };
+  }
 
-      // Fill and submit login form
-      await this.fillLoginForm(page, loginForm, credentials);
+  /**
+   * Perform one non-MFA login step and wait for the page to react
+   * @param {Object} page - Puppeteer page object
+   * @param {string} action - 'identifier' | 'password' | 'choose_email' | 'wait'
+   * @param {Object} credentials - User credentials
+   */
+  async performLoginStep(page, action, credentials) {
+    switch (action) {
+      case 'identifier': {
+        const field = await this.findVisible(page, IDENTIFIER_SELECTOR);
+        await field.click({ clickCount: 3 });
+        await field.type(credentials.user);
+        const next = await this.findSubmitButton(page);
+        if (next) await next.click();
+        else await page.keyboard.press('Enter');
+        break;
+      }
+      case 'password': {
+        // Single-form pages still need the identifier; identifier-first pages
+        // have already taken it.
+        const identifier = await this.findVisible(page, IDENTIFIER_SELECTOR);
+        const filled = identifier ? await identifier.evaluate(el => el.value).catch(() => '') : '';
+        await this.fillLoginForm(
+          page,
+          {
+            emailField: identifier && !filled ? identifier : null,
+            passwordField: await this.findVisible(page, PASSWORD_SELECTOR),
+            submitButton: await this.findSubmitButton(page),
+          },
+          credentials,
+        );
+        break;
+      }
+      case 'choose_email': {
+        const option = await this.findByText(page, EMAIL_OPTION_PATTERN);
+        if (option) await option.click();
+        break;
+      }
+      default:
+        break;
+    }
 
-      // Wait for authentication result
-      const result = await this.waitForAuthenticationResult(page, originalUrl);
+    await Promise.race([
+      page.waitForNavigation({ timeout: this.timeout }),
+      page.waitForTimeout(action === 'wait' ? 1500 : 3000),
+    ]).catch(() => {});
+  }
 
-      if (result.success) {
-        this.logger.info('Authentication successful', {
-          newUrl: result.newUrl,
-        });
-        return true;
-      } else {
-        this.logger.warn('Authentication failed', {
-          error: result.error,
-        });
-        return false;
+  /**
+   * First visible element matching a selector
+   * @param {Object} page - Puppeteer page object
+   * @param {string} selector - CSS selector
+   * @returns {Promise<Object|null>} Element handle or null
+   */
+  async findVisible(page, selector) {
+    try {
+      for (const el of await page.$$(selector)) {
+        if (await el.isVisible().catch(() => true)) return el;
       }
     } catch (error) {
-      this.logger.error('Authentication error', {
-        error: error.message,
-        stack: error.stack,
-      });
-      return false;
+      this.logger.debug('Invalid selector', { selector, error: error.message });
     }
+    return null;
+  }
+
+  /**
+   * First visible button/link whose text matches a pattern
+   * @param {Object} page - Puppeteer page object
+   * @param {RegExp} pattern - Text to match
+   * @returns {Promise<Object|null>} Element handle or null
+   */
+  async findByText(page, pattern) {
+    const candidates = await page.$$('button, a, [role="button"], input[type="submit"]').catch(() => []);
+    for (const el of candidates) {
+      const text = await el
+        .evaluate(node => (node.innerText || node.value || node.getAttribute('aria-label') || '').trim())
+        .catch(() => '');
+      if (pattern.test(text) && (await el.isVisible().catch(() => false))) return el;
+    }
+    return null;
+  }
+
+  /**
+   * Submit / "Next" button for the current login step
+   * @param {Object} page - Puppeteer page object
+   * @returns {Promise<Object|null>} Element handle or null
+   */
+  async findSubmitButton(page) {
+    return (
+      (await this.findVisible(page, 'button[type="submit"], input[type="submit"]')) ||
+      (await this.findByText(page, NEXT_BUTTON_PATTERN))
+    );
   }
 
   /**
@@ -164,9 +328,11 @@ export class AuthenticationHandler {
     this.logger.debug('Filling login form');
 
     try {
-      // Clear and fill email field
-      await emailField.click({ clickCount: 3 }); // Select all text
-      await emailField.type(user);
+      // Clear and fill email field (absent on identifier-first password steps)
+      if (emailField) {
+        await emailField.click({ clickCount: 3 }); // Select all text
+        await emailField.type(user);
+      }
 
       // Clear and fill password field
       await passwordField.click({ clickCount: 3 }); // Select all text
@@ -176,7 +342,11 @@ export class AuthenticationHandler {
       await page.waitForTimeout(500);
 
       // Submit the form
-      await submitButton.click();
+      if (submitButton) {
+        await submitButton.click();
+      } else {
+        await passwordField.press('Enter');
+      }
 
       this.logger.debug('Login form submitted');
     } catch (error) {
@@ -214,28 +384,12 @@ export class AuthenticationHandler {
       }
 
       // Check for error messages on the page
-      const errorSelectors = [
-        '.error',
-        '.alert-danger',
-        '.alert-error',
-        '[class*="error"]',
-        '[class*="invalid"]',
-        '[role="alert"]',
-      ];
-
-      let errorMessage = null;
-      for (const selector of errorSelectors) {
-        const errorElement = await page.$(selector);
-        if (errorElement) {
-          errorMessage = await page.evaluate(el => el.textContent, errorElement);
-          break;
-        }
-      }
+      const errorMessage = await this.findErrorMessage(page);
 
       if (errorMessage) {
         return {
           success: false,
-          error: errorMessage.trim(),
+          error: errorMessage,
         };
       }
 
@@ -254,4 +408,101 @@ export class AuthenticationHandler {
       };
     }
   }
-}
\ No newline at end of file
+
+  /**
+   * Text of the first error message shown on the page
+   * @param {Object} page - Puppeteer page object
+   * @returns {Promise<string|null>} Trimmed message or null
+   */
+  async findErrorMessage(page) {
+    const errorSelectors = [
+      '.error',
+      '.alert-danger',
+      '.alert-error',
+      '[class*="error"]',
+      '[class*="invalid"]',
+      '[role="alert"]',
+    ];
+
+    for (const selector of errorSelectors) {
+      const errorElement = await page.$(selector);
+      if (errorElement) {
+        const text = await page.evaluate(el => el.textContent, errorElement);
+        return text ? text.trim() : null;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Find a one-time-code input (single field or split per-digit boxes)
+   * @param {Object} page - Puppeteer page object
+   * @returns {Promise<Object|null>} The field, an array of digit fields, or null
+   */
+  async detectOtpField(page) {
+    try {
+      const field = await page.$(OTP_INPUT_SELECTOR);
+      if (field) return field;
+
+      const digits = await page.$$(OTP_DIGIT_SELECTOR);
+      return digits.length >= 6 ? digits.slice(0, 6) : null;
+    } catch (error) {
+      this.logger.debug('Error detecting OTP field', { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Enter a locally generated TOTP code and check it was accepted
+   * @param {Object} page - Puppeteer page object
+   * @param {Object|Object[]} otpField - Field (or digit fields) from detectOtpField
+   * @param {Object} credentials - User credentials
+   * @returns {Promise<Object>} Authentication result
+   */
+  async completeMfa(page, otpField, credentials) {
+    if (!credentials.totpSecret) {
+      return {
+        success: false,
+        outcome: 'mfa_failed',
+        error: 'Two-factor code requested but no TOTP secret was provided',
+      };
+    }
+
+    this.logger.info('Two-factor prompt detected — submitting TOTP code');
+
+    try {
+      const code = generateTotp(credentials.totpSecret);
+
+      if (Array.isArray(otpField)) {
+        for (let i = 0; i < otpField.length; i++) {
+          await otpField[i].type(code[i]);
+        }
+      } else {
+        await otpField.click({ clickCount: 3 });
+        await otpField.type(code);
+      }
+
+      const submitButton = await page.$('button[type="submit"], input[type="submit"]');
+      if (submitButton) {
+        await submitButton.click();
+      } else {
+        await page.keyboard.press('Enter');
+      }
+
+      await Promise.race([
+        page.waitForNavigation({ timeout: this.timeout }),
+        page.waitForTimeout(5000),
+      ]).catch(() => {});
+
+      if (await this.detectOtpField(page)) {
+        return { success: false, outcome: 'mfa_failed', error: 'Two-factor code was rejected' };
+      }
+      return { success: true, newUrl: page.url() };
+    } catch (error) {
+      this.logger.error('Error completing two-factor step', {
+        error: error.message,
+      });
+      return { success: false, outcome: 'mfa_failed', error: error.message };
+    }
+  }
+}
@@ -0,0 +1,154 @@
+/**
+ * Login state machine shared by the Puppeteer AuthenticationHandler and the
+ * Playwright crawler login (pipeline/login.js).
+ *
+ * Real login flows aren't one form: Google/Okta/Auth0 ask for the identifier
+ * first and show the password only after "Next", some put a "Continue with
+ * email" chooser in front, and many redirect to a hosted auth domain and back.
+ * Each driver observes the current page as plain facts, asks `nextLoginAction`
+ * what to do, performs it, and repeats until the login is verified — by the
+ * user's post-login URL pattern / selector when given, otherwise by having left
+ * every login form and landed back on the app's origin.
+ *
+ * Pure — no browser here — so the transitions are unit-testable.
+ */
+
+/** Upper bound on observe/act rounds before giving up. */
+export const MAX_LOGIN_STEPS = 10;
+
+/** Buttons/links that reveal the email+password form. */
+export const EMAIL_OPTION_PATTERN =
+  /continue with (e-?mail|password)|(sign|log) ?in with (e-?mail|password)|use (your )?(e-?mail|password)/i;
+
+/** Buttons that advance a login step ("Next" on identifier-first pages). */
+export const NEXT_BUTTON_PATTERN = /^\s*(next|continue|log ?in|sign ?in|submit|verify)\s*$/i;
+
+/** Submit buttons that mark a form as a sign-in form (not "Subscribe" or "Get started"). */
+export const SIGN_IN_BUTTON_PATTERN = /^\s*(next|log ?in|sign ?in)\s*$/i;
+
+/** Identifier (email / username) inputs, for both login drivers. */
+export const IDENTIFIER_SELECTOR = [
+  'input[type="email"]',
+  'input[name*="email" i]',
+  'input[name*="user" i]',
+  'input[name*="login" i]',
+  'input[name="identifier" i]',
+  'input[id*="email" i]',
+  'input[id*="identifier" i]',
+  'input[autocomplete="username"]',
+].join(', ');
+
+/**
+ * Match a URL against a post-login pattern: `/regex/flags`, or a glob where `*`
+ * matches anything. Globs containing "://" match the full URL; others match
+ * the path (+ query).
+ */
+export function matchesUrlPattern(url, pattern) {
+  if (!pattern) return true;
+  const regex = String(pattern).match(/^\/(.+)\/([a-z]*)$/i);
+  if (regex) {
+    try {
+      return new RegExp(regex[1], regex[2]).test(url);
+    } catch {
+      return false;
+    }
+  }
+
+  let target = url;
+  if (!pattern.includes('://')) {
+    try {
+      const u = new URL(url);
+      target = u.pathname + u.search;
+    } catch {
+      return false;
+    }
+  }
+  const glob = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${glob}$`).test(target);
+}
+
+/**
+ * Has the login finished? With `successUrl`/`successSelector` configured, both
+ * (whichever are set) must match. Otherwise: a secret was submitted, no
+ * password or one-time-code field is left on screen, and we're back on the
+ * app's origin.
+ * @param {object} facts  { url, appOrigin, loginUrl?, hasPassword, hasOtp, hasIdentifier, identifierInForm?, selectorFound }
+ * @param {object} [criteria]  { successUrl?, successSelector? }
+ * @param {object} [done]  counts of actions already taken
+ */
+export function isLoginComplete(facts, criteria = {}, done = {}) {
+  if (criteria.successUrl || criteria.successSelector) {
+    const urlOk = !criteria.successUrl || matchesUrlPattern(facts.url, criteria.successUrl);
+    const selectorOk = !criteria.successSelector || Boolean(facts.selectorFound);
+    return urlOk && selectorOk;
+  }
+  const submitted = (done.password || 0) > 0 || (done.totp || 0) > 0;
+  return submitted && !facts.hasPassword && !facts.hasOtp && originOf(facts.url) === facts.appOrigin;
+}
+
+/**
+ * Decide the next login step from what's on screen and what we've done so far.
+ * @returns {'done'|'identifier'|'password'|'totp'|'choose_email'|'wait'|'failed'|'mfa_failed'}
+ */
+export function nextLoginAction(facts, done, criteria = {}) {
+  if (isLoginComplete(facts, criteria, done)) return 'done';
+  if (facts.hasOtp) return done.totp ? 'mfa_failed' : 'totp';
+  if (facts.hasPassword) {
+    if (!done.password) return 'password';
+    // Still on the password form: give a slow submit one beat, then give up.
+    return done.wait ? 'failed' : 'wait';
+  }
+  // Hosted auth domains may ask for the identifier a second time. Once the
+  // password is in, an email input is the app's own (newsletter, invite form).
+  if (facts.hasIdentifier && !done.password && hasLoginContext(facts, done)) {
+    return done.identifier >= 2 ? 'failed' : 'identifier';
+  }
+  if (facts.hasEmailOption && !done.chooseEmail) return 'choose_email';
+  // Nothing recognizable: likely mid-redirect. Wait a few beats before failing.
+  return (done.wait || 0) >= 3 ? 'failed' : 'wait';
+}
+
+/**
+ * Does an identifier field on screen belong to a login? Only with an explicit
+ * `loginUrl`, on a hosted auth origin, in a form with a password field or a
+ * sign-in button (`identifierInForm`), or after a "Continue with email" click.
+ * Otherwise it's a newsletter or "get started" box on a marketing page.
+ */
+export function hasLoginContext(facts, done = {}) {
+  return Boolean(
+    facts.loginUrl || facts.identifierInForm || done.chooseEmail || originOf(facts.url) !== facts.appOrigin,
+  );
+}
+
+/**
+ * Runs in the page (pass it to `evaluate` with SIGN_IN_BUTTON_PATTERN.source):
+ * is `field` inside a form that has a password input or a sign-in button?
+ */
+export function inSignInForm(field, signInSource) {
+  const form = field.closest('form');
+  if (!form) return false;
+  if (form.querySelector('input[type="password"]')) return true;
+  const signIn = new RegExp(signInSource, 'i');
+  return [...form.querySelectorAll('button, input[type="submit"], [role="button"]')].some((el) =>
+    signIn.test((el.innerText || el.value || el.getAttribute('aria-label') || '').trim()),
+  );
+}
+
+/** Fresh per-attempt action counters for nextLoginAction. */
+export function newLoginProgress() {
+  return { identifier: 0, password: 0, totp: 0, chooseEmail: 0, wait: 0 };
+}
+
+/** Map a login action to its progress counter key. */
+export function progressKey(action) {
+  return action === 'choose_email' ? 'chooseEmail' : action;
+}
+
+/** Origin of `url`, or null if it does not parse. */
+export function originOf(url) {
+  try {
+    return new URL(url).origin;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,77 @@
+import { createHmac } from 'node:crypto';
+
+/**
+ * Time-based one-time passwords (RFC 6238) for logging into MFA-protected apps.
+ *
+ * Credentials may carry a base32 `totpSecret` (the value behind an authenticator
+ * app's QR code); both the Puppeteer AuthenticationHandler and the Playwright
+ * crawler login generate the current code locally when a one-time-code input
+ * shows up after the password step.
+ */
+
+/**
+ * Inputs that look like a one-time-code field. Deliberately narrow — promo,
+ * coupon, zip and country-code inputs must not be mistaken for the MFA step.
+ */
+export const OTP_INPUT_SELECTOR = [
+  'input[autocomplete="one-time-code"]',
+  'input[name*="otp" i]',
+  'input[id*="otp" i]',
+  // Short numeric inputs; maxlength="1" split-digit widgets are OTP_DIGIT_SELECTOR.
+  ...[4, 5, 6, 7, 8].map((n) => `input[inputmode="numeric"][maxlength="${n}"]`),
+]
+  .map((s) => `${s}:not([type="hidden"])`)
+  .join(', ');
+
+/** Split-digit OTP widgets render one single-character input per digit. */
+export const OTP_DIGIT_SELECTOR = 'input[maxlength="1"]:not([type="hidden"])';
+
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Decode an RFC 4648 base32 string (case-insensitive, spaces/dashes/padding
+ * ignored — authenticator secrets are often shown grouped).
+ * @returns {Buffer}
+ */
+export function base32Decode(secret) {
+  const clean = String(secret || '')
+    .toUpperCase()
+    .replace(/[\s=-]/g, '');
+  if (!clean) throw new Error('TOTP secret is empty');
+
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const ch of clean) {
+    const idx = BASE32.indexOf(ch);
+    if (idx === -1) throw new Error(`TOTP secret is not valid base32 (unexpected "${ch}")`);
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate the TOTP code for `secret` at `time`.
+ * @param {string} secret  base32 shared secret
+ * @param {object} [opts]
+ * @param {number} [opts.time]       ms since epoch (default: now)
+ * @param {number} [opts.step]       seconds per code (default 30)
+ * @param {number} [opts.digits]     code length (default 6)
+ * @param {string} [opts.algorithm]  HMAC hash (default 'sha1')
+ * @returns {string}
+ */
+export function generateTotp(secret, { time = Date.now(), step = 30, digits = 6, algorithm = 'sha1' } = {}) {
+  const counter = Math.floor(time / 1000 / step);
+  const msg = Buffer.alloc(8);
+  msg.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = createHmac(algorithm, base32Decode(secret)).update(msg).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** digits;
+  return String(code).padStart(digits, '0');
+}
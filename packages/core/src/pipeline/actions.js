@@ -0,0 +1,200 @@
+import { keyLabel } from './cursor.js';
+
+/**
+ * Typed browser actions (click/fill/select/press/scroll/wait, plus hover/goto
+ * for scripted and imported flows) for the recorder.
+ *
+ * The recording agent picks one of these per turn (see schemas.js
+ * #agentActionSchema); this module resolves the target, performs the action on
+ * a Playwright page, and verifies it actually took effect so the agent can
+ * retry with a different target instead of recording a dead click. No
+ * Playwright import here — it only drives the `page` it's handed, which keeps
+ * the helpers unit-testable with a fake page.
+ */
+
+const ACTION_TIMEOUT = 4000;
+const SCROLL_PX = 600;
+const TARGETED = new Set(['click', 'fill', 'select', 'hover']);
+const WAIT_MS = 1500;
+const WAIT_FOR_TARGET_MS = 10000;
+const SECRET_FIELD_PATTERN = /pass(word|code|phrase)?|secret|token|otp|\bpin\b|cvc|cvv|card.?number/i;
+
+/**
+ * Candidate locators for a target, most specific first: role+name, label /
+ * placeholder / test id (imported codegen scripts), visible text, raw CSS
+ * selector, then role alone.
+ */
+export function candidateLocators(page, target) {
+  if (!target) return [];
+  const out = [];
+  if (target.role && target.name) out.push(page.getByRole(target.role, { name: target.name }));
+  if (target.label) out.push(page.getByLabel(target.label));
+  if (target.placeholder) out.push(page.getByPlaceholder(target.placeholder));
+  if (target.testId) out.push(page.getByTestId(target.testId));
+  if (target.text) out.push(page.getByText(target.text));
+  else if (target.name) out.push(page.getByText(target.name));
+  if (target.selector) out.push(page.locator(target.selector));
+  if (target.role && !target.name) out.push(page.getByRole(target.role));
+  return out.map((l) => l.first());
+}
+
+/** First candidate locator that matches something on the page, or null. */
+export async function resolveTarget(page, target) {
+  for (const locator of candidateLocators(page, target)) {
+    // getByRole throws on an unknown role name; treat that as "no match".
+    const count = await locator.count().catch(() => 0);
+    if (count) return locator;
+  }
+  return null;
+}
+
+/**
+ * Human-readable one-liner for logs and the agent's action history. Values
+ * typed into password-like fields are masked.
+ */
+export function describeAction(action) {
+  const t = action.target || {};
+  const label = t.name || t.label || t.placeholder || t.text || t.testId || t.selector;
+  const parts = [action.type, t.role, label && `"${label}"`].filter(Boolean);
+  if (action.value != null && action.value !== '') {
+    parts.push(action.type === 'fill' && isSecretTarget(t) ? '= "••••"' : `= "${action.value}"`);
+  }
+  return parts.join(' ');
+}
+
+// Does any of a target's fields name a password, PIN, one-time code, token or card field?
+function isSecretTarget(target) {
+  return ['name', 'label', 'placeholder', 'text', 'testId', 'selector'].some((key) =>
+    SECRET_FIELD_PATTERN.test(target[key] || ''),
+  );
+}
+
+/**
+ * Perform one action and verify it. Never throws.
+ * With `cursor` (cursor.js#createCursor) the on-screen cursor glides to the
+ * target first, ripples on clicks and badges keys/typed text. `onTarget(box)`
+ * fires once the target is scrolled into view, before acting on it — the
+ * recorder timestamps these for the assembly's auto zoom.
+ * @returns {Promise<{ok: boolean, error?: string, box?: object|null}>}
+ */
+export async function performAction(page, action, { cursor, onTarget } = {}) {
+  if (action.type === 'done') return { ok: true, box: null };
+  if (action.type === 'wait' && action.target) return waitForTarget(page, action);
+
+  try {
+    const locator = action.target ? await resolveTarget(page, action.target) : null;
+    if (TARGETED.has(action.type) && !locator) {
+      return { ok: false, error: 'target not found on the page', box: null };
+    }
+
+    let box = null;
+    if (locator) {
+      await locator.scrollIntoViewIfNeeded({ timeout: 2000 }).catch(() => {});
+      box = await locator.boundingBox().catch(() => null);
+      if (box) onTarget?.(box);
+      if (cursor) await cursor.moveTo(box);
+    }
+
+    const before = await pageState(page);
+    switch (action.type) {
+      case 'click':
+        await cursor?.click();
+        await locator.click({ timeout: ACTION_TIMEOUT });
+        break;
+      case 'fill':
+        await cursor?.click();
+        if (cursor) {
+          // Never badge a typed password, masked or not.
+          const secret = await locator.evaluate((el) => el.type === 'password').catch(() => false);
+          await cursor.key(keyLabel(secret ? '••••••••' : action.value, { typed: true }));
+        }
+        // Recorder exports use "change" for <select>s too; fall back to picking the option.
+        await locator.fill(action.value ?? '', { timeout: ACTION_TIMEOUT }).catch((err) =>
+          locator.selectOption(action.value ?? '', { timeout: ACTION_TIMEOUT }).catch(() => {
+            throw err;
+          }),
+        );
+        break;
+      case 'select':
+        await cursor?.click();
+        await locator
+          .selectOption({ label: action.value }, { timeout: ACTION_TIMEOUT })
+          .catch(() => locator.selectOption(action.value, { timeout: ACTION_TIMEOUT }));
+        break;
+      case 'press':
+        await cursor?.key(keyLabel(action.value));
+        if (locator) await locator.press(action.value || 'Enter', { timeout: ACTION_TIMEOUT });
+        else await page.keyboard.press(action.value || 'Enter');
+        break;
+      case 'scroll':
+        // "up" / "down" from the agent; an exact pixel delta from imported flows.
+        if (/^-?\d+$/.test(action.value ?? '')) await page.mouse.wheel(0, Number(action.value));
+        else await page.mouse.wheel(0, action.value === 'up' ? -SCROLL_PX : SCROLL_PX);
+        break;
+      case 'hover':
+        await locator.hover({ timeout: ACTION_TIMEOUT });
+        break;
+      case 'goto':
+        await page.goto(action.value, { waitUntil: 'domcontentloaded', timeout: 30000 });
+        break;
+      case 'wait':
+        // Scripted waits carry milliseconds in `value`; the agent leaves it null.
+        await page.waitForTimeout(Number(action.value) || WAIT_MS);
+        break;
+      default:
+        return { ok: false, error: `unknown action type "${action.type}"`, box };
+    }
+    await page.waitForLoadState('networkidle', { timeout: 3000 }).catch(() => {});
+
+    return { ...(await verifyAction(page, action, locator, before)), box };
+  } catch (err) {
+    return { ok: false, error: String(err?.message || err).split('\n')[0].slice(0, 160), box: null };
+  }
+}
+
+// Poll until the target shows up (scripted "wait for the results table").
+async function waitForTarget(page, action) {
+  const deadline = Date.now() + (Number(action.value) || WAIT_FOR_TARGET_MS);
+  do {
+    const locator = await resolveTarget(page, action.target);
+    if (locator) return { ok: true, box: await locator.boundingBox().catch(() => null) };
+    await page.waitForTimeout(250).catch(() => {});
+  } while (Date.now() < deadline);
+  return { ok: false, error: 'target did not appear in time', box: null };
+}
+
+// Cheap before/after fingerprint: URL, scroll offset, and DOM size. Enough to
+// tell "the click opened something" from "the click hit dead pixels".
+async function pageState(page) {
+  const dom = await page
+    .evaluate(() => ({ scrollY: window.scrollY, size: document.body ? document.body.innerHTML.length : 0 }))
+    .catch(() => ({ scrollY: 0, size: 0 }));
+  return { url: page.url(), ...dom };
+}
+
+async function verifyAction(page, action, locator, before) {
+  switch (action.type) {
+    case 'click': {
+      const after = await pageState(page);
+      const changed = after.url !== before.url || after.size !== before.size || after.scrollY !== before.scrollY;
+      return changed ? { ok: true } : { ok: false, error: 'click had no visible effect' };
+    }
+    case 'fill': {
+      const value = await locator.inputValue({ timeout: 2000 }).catch(() => null);
+      // Never echo the field: it may hold a password.
+      return value === (action.value ?? '') ? { ok: true } : { ok: false, error: 'field holds another value after fill' };
+    }
+    case 'select': {
+      const selected = await locator
+        .evaluate((el) => Array.from(el.selectedOptions || []).flatMap((o) => [o.label.trim(), o.value]))
+        .catch(() => []);
+      return selected.includes(action.value) ? { ok: true } : { ok: false, error: 'option not selected' };
+    }
+    case 'scroll': {
+      const after = await pageState(page);
+      return after.scrollY !== before.scrollY ? { ok: true } : { ok: false, error: 'page did not scroll (already at the end?)' };
+    }
+    default:
+      return { ok: true };
+  }
+}
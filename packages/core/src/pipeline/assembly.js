@@ -1,66 +1,64 @@
 import path from 'node:path';
 import fs from 'node:fs/promises';
-import { runFfmpeg } from './ffmpeg.js';
+import { escapeFilterPath, runFfmpeg } from './ffmpeg.js';
 import { renderCard, overlayLowerThird } from './graphics.js';
 import { mixMusicUnderVoice, validateSong } from './music.js';
+import { zoomKeyframes, zoompanFilter } from './zoom.js';
+import { phoneMockup, renderMockupFrame } from './mockup.js';
+import { smartCrop, smartCropFilter } from './formats.js';
+import { karaokeAss } from './captions.js';
 
-const W = 1920;
-const H = 1080;
+const FRAME = { width: 1920, height: 1080 };
 const FPS = 30;
 const PAD_COLOR = '0x0d0c0f';
+const DEFAULT_VIEWPORT = { width: 1280, height: 720 };
 
 /**
  * Assemble the final MP4 from a built timeline.
  *
  * Video and audio are built as two independent tracks, then muxed:
- *   - VIDEO: each segment -> a normalized, silent 1080p/30fps clip (animated
- *     card for intro/outro; recorded feature webm or uploaded clip otherwise,
- *     with an animated lower-third burned on). Concatenated in order.
  *   - AUDIO: each segment's voiceover, padded to the segment's exact duration,
  *     concatenated into one continuous voice track, then (if a suno.com song
- *     was uploaded) ducked under the looped music bed.
+ *     was uploaded) ducked under the looped music bed. Built once per job.
+ *   - VIDEO: each segment -> a normalized, silent clip at the output frame,
+ *     30fps (animated card for intro/outro; recorded feature webm or uploaded
+ *     clip otherwise, with an animated lower-third burned on). Feature clips
+ *     push in on each action's target and ease back out (zoom.js). Concatenated
+ *     in order. Portrait device recordings either sit in a phone mockup on the
+ *     16:9 canvas (`mockup`, mockup.js) or fill a native 9:16 `frame`; in a
+ *     frame narrower or wider than the recording, feature clips are
+ *     smart-cropped around their actions (formats.js).
+ *
+ * With `outputs` one call renders several formats (16:9, 9:16, 1:1) over the
+ * same voice/music track, each in its own workDir subfolder.
+ *
+ * With `captions` each MP4 carries the SRT as a soft subtitle track, and with
+ * `captions.burn` karaoke captions are burned into the picture (captions.js).
  *
  * @param {object} opts
  * @param {Array}  opts.timeline   built timeline (see timeline.js)
  * @param {Array<{path,duration}>} opts.audios  per-segment voiceover (aligned)
- * @param {Array<{path}>}  opts.featureClips    recorded feature clips (mp4/webm on disk)
+ * @param {Array<{path,focus?,viewport?}>} opts.featureClips  recorded feature clips (mp4/webm on
+ *   disk) with the action focus events recordFeature captured
  * @param {string[]} opts.uploadedClips         user-uploaded clip paths
  * @param {string|null} opts.song               uploaded suno.com song path
+ * @param {boolean} [opts.zoom]                 auto zoom-and-pan on feature clips (default true)
+ * @param {{width,height}} [opts.frame]        output size (default 1920x1080; 1080x1920 for native 9:16)
+ * @param {boolean} [opts.mockup]               frame feature clips in a phone (device.js#assemblyLayout)
+ * @param {Array<{name,frame,mockup?,outPath}>} [opts.outputs]  several formats at once (overrides
+ *   frame/mockup/outPath)
+ * @param {{cues: Array, srt: string, burn?: boolean}|null} [opts.captions]  caption cues + SRT sidecar
  * @param {string} opts.workDir
  * @param {string} opts.outPath
  * @param {(m:string)=>void} [opts.log]
+ * @returns {Promise<string>} the first output's path
  */
 export async function assembleVideo(opts) {
-  const { timeline, audios, featureClips, uploadedClips, song, workDir, outPath, log } = opts;
+  const { timeline, audios, song, captions = null, workDir, outPath, log } = opts;
+  const outputs = opts.outputs || [{ name: 'video', frame: opts.frame || FRAME, mockup: opts.mockup, outPath }];
   await fs.mkdir(workDir, { recursive: true });
 
-  // 1. Build one normalized, silent video clip per segment.
-  const segVideos = [];
-  for (const seg of timeline) {
-    const out = path.join(workDir, `seg-${String(seg.index).padStart(2, '0')}.mp4`);
-    log?.(`Rendering segment ${seg.index + 1}/${timeline.length} (${seg.kind})`);
-
-    if (seg.kind === 'intro' || seg.kind === 'outro') {
-      await renderCard({ title: seg.title, subtitle: seg.caption, duration: seg.duration, outPath: out });
-    } else {
-      const src = sourceForSegment(seg, featureClips, uploadedClips);
-      if (!src) {
-        // Missing source — render a titled card so the timeline stays intact.
-        await renderCard({ title: seg.title || '', subtitle: seg.caption || '', duration: seg.duration, outPath: out });
-      } else {
-        const normalized = path.join(workDir, `norm-${String(seg.index).padStart(2, '0')}.mp4`);
-        await normalizeClip(src, seg.duration, normalized);
-        await overlayLowerThird(normalized, { title: seg.title, caption: seg.caption, outPath: out });
-      }
-    }
-    segVideos.push(out);
-  }
-
-  // 2. Concat the segment videos (identical params -> stream copy).
-  const videoTrack = path.join(workDir, 'video.mp4');
-  await concatCopy(segVideos, path.join(workDir, 'video-list.txt'), videoTrack);
-
-  // 3. Build the continuous voiceover track (pad each segment to its duration).
+  // 1. Build the continuous voiceover track (pad each segment to its duration).
   const paddedVo = [];
   for (const seg of timeline) {
     const vo = audios[seg.index];
@@ -71,7 +69,7 @@ export async function assembleVideo(opts) {
   const voiceTrack = path.join(workDir, 'voice.m4a');
   await concatAudioFilter(paddedVo, voiceTrack);
 
-  // 4. Mix in the ducked music bed if a song was uploaded.
+  // 2. Mix in the ducked music bed if a song was uploaded.
   let audioTrack = voiceTrack;
   if (song && (await validateSong(song))) {
     log?.('Ducking suno.com song under the voiceover');
@@ -81,17 +79,85 @@ export async function assembleVideo(opts) {
     log?.('Uploaded song unreadable — continuing with voiceover only');
   }
 
-  // 5. Mux video + audio.
-  await runFfmpeg([
-    '-i', videoTrack,
-    '-i', audioTrack,
-    '-map', '0:v:0', '-map', '1:a:0',
-    '-c:v', 'copy', '-c:a', 'aac', '-b:a', '192k',
-    '-shortest', '-movflags', '+faststart',
-    outPath,
-  ]);
-  log?.(`Final video written: ${outPath}`);
-  return outPath;
+  for (const output of outputs) {
+    const dir = outputs.length > 1 ? path.join(workDir, output.name) : workDir;
+    await fs.mkdir(dir, { recursive: true });
+    if (outputs.length > 1) log?.(`Rendering ${output.name} (${output.frame.width}x${output.frame.height})`);
+
+    // 3. Build and concat the segment videos (identical params -> stream copy).
+    const segVideos = await renderSegments({ ...opts, frame: output.frame, mockup: output.mockup, workDir: dir });
+    let videoTrack = path.join(dir, 'video.mp4');
+    await concatCopy(segVideos, path.join(dir, 'video-list.txt'), videoTrack);
+    if (captions?.burn && captions.cues.length) {
+      videoTrack = await burnCaptions(videoTrack, captions.cues, output.frame, dir);
+    }
+
+    // 4. Mux video + audio (+ the soft subtitle track).
+    const muxed = captions?.srt ? path.join(dir, 'muxed.mp4') : output.outPath;
+    await runFfmpeg([
+      '-i', videoTrack,
+      '-i', audioTrack,
+      '-map', '0:v:0', '-map', '1:a:0',
+      '-c:v', 'copy', '-c:a', 'aac', '-b:a', '192k',
+      '-shortest', '-movflags', '+faststart',
+      muxed,
+    ]);
+    if (captions?.srt) await addSubtitleTrack(muxed, captions.srt, output.outPath);
+    log?.(`Final video written: ${output.outPath}`);
+  }
+  return outputs[0].outPath;
+}
+
+// One normalized, silent video clip per timeline segment, at `frame`.
+async function renderSegments(opts) {
+  const { timeline, featureClips, uploadedClips, zoom = true, frame, mockup = false, workDir, log } = opts;
+  const mockups = new Map(); // one overlay PNG per recording viewport
+  const phoneFor = async (viewport) => {
+    const key = `${viewport.width}x${viewport.height}`;
+    if (!mockups.has(key)) {
+      const png = await renderMockupFrame(viewport, frame, path.join(workDir, `mockup-${key}.png`));
+      mockups.set(key, { png, screen: phoneMockup(viewport, frame).screen });
+    }
+    return mockups.get(key);
+  };
+
+  const segVideos = [];
+  for (const seg of timeline) {
+    const out = path.join(workDir, `seg-${String(seg.index).padStart(2, '0')}.mp4`);
+    log?.(`Rendering segment ${seg.index + 1}/${timeline.length} (${seg.kind})`);
+
+    if (seg.kind === 'intro' || seg.kind === 'outro') {
+      await renderCard({ title: seg.title, subtitle: seg.caption, duration: seg.duration, outPath: out, frame });
+    } else {
+      const src = sourceForSegment(seg, featureClips, uploadedClips);
+      if (!src) {
+        // Missing source — render a titled card so the timeline stays intact.
+        await renderCard({
+          title: seg.title || '',
+          subtitle: seg.caption || '',
+          duration: seg.duration,
+          outPath: out,
+          frame,
+        });
+      } else {
+        const normalized = path.join(workDir, `norm-${String(seg.index).padStart(2, '0')}.mp4`);
+        const clip = seg.kind === 'feature' ? featureClips[seg.featureIndex] : null;
+        const viewport = clip?.viewport || DEFAULT_VIEWPORT;
+        const phone = mockup && clip ? await phoneFor(viewport) : null;
+        const crop = clip && !phone ? smartCrop(clip.focus, { viewport, frame, duration: seg.duration }) : null;
+        const focus = crop ? crop.focus : clip?.focus;
+        const zoompan =
+          zoom && focus?.length
+            ? zoomFilterFor(focus, crop ? crop.crop : viewport, seg.duration, frame, phone?.screen)
+            : null;
+        const fit = crop ? smartCropFilter(crop, { viewport, frame }) : null;
+        await normalizeClip(src, seg.duration, normalized, { frame, fit, zoompan, phone });
+        await overlayLowerThird(normalized, { title: seg.title, caption: seg.caption, outPath: out, frame });
+      }
+    }
+    segVideos.push(out);
+  }
+  return segVideos;
 }
 
 function sourceForSegment(seg, featureClips, uploadedClips) {
@@ -100,16 +166,73 @@ function sourceForSegment(seg, featureClips, uploadedClips) {
   return null;
 }
 
-// Scale + letterbox a source to 1080p/30fps, looping short clips and trimming to
-// an exact duration. Output is silent so audio can be assembled independently.
-async function normalizeClip(src, duration, outPath) {
-  const vf = `scale=${W}:${H}:force_original_aspect_ratio=decrease,pad=${W}:${H}:(ow-iw)/2:(oh-ih)/2:color=${PAD_COLOR},fps=${FPS},format=yuv420p`;
+// Zoompan filter for a recorded feature clip's action focus events, or null.
+// `viewport` is what the boxes are relative to (the smart crop, if any);
+// `area` is the mockup screen the clip sits in, if any.
+function zoomFilterFor(focus, viewport, duration, frame, area) {
+  const keys = zoomKeyframes(focus, { viewport, frame, duration, area });
+  return zoompanFilter(keys, { frame, fps: FPS });
+}
+
+const letterbox = (w, h, color) =>
+  `scale=${w}:${h}:force_original_aspect_ratio=decrease,pad=${w}:${h}:(ow-iw)/2:(oh-ih)/2:color=${color}`;
+
+// Scale + letterbox a source to the frame at 30fps (or into the phone
+// mockup's screen, under its overlay; or through a smart-crop `fit` filter),
+// looping short clips and trimming to an exact duration, then apply the
+// optional zoompan. Output is silent so audio can be assembled independently.
+async function normalizeClip(src, duration, outPath, { frame = FRAME, fit = null, zoompan = null, phone = null } = {}) {
+  const { width: W, height: H } = frame;
+  const tail = [zoompan, 'format=yuv420p'].filter(Boolean).join(',');
+  const encode = ['-an', '-c:v', 'libx264', '-preset', 'veryfast', '-pix_fmt', 'yuv420p', outPath];
+
+  if (phone) {
+    const { x, y, width, height } = phone.screen;
+    const fit = letterbox(width, height, 'black');
+    const place = `pad=${W}:${H}:${x}:${y}:color=${PAD_COLOR},fps=${FPS}`;
+    await runFfmpeg([
+      '-stream_loop', '-1', '-i', src,
+      '-loop', '1', '-i', phone.png,
+      '-t', String(duration),
+      '-filter_complex', `[0:v]${fit},${place}[clip];[clip][1:v]overlay=0:0,${tail}[v]`,
+      '-map', '[v]',
+      ...encode,
+    ]);
+    return;
+  }
+
   await runFfmpeg([
     '-stream_loop', '-1', '-i', src,
     '-t', String(duration),
-    '-vf', vf,
-    '-an',
+    '-vf', `${fit || letterbox(W, H, PAD_COLOR)},fps=${FPS},${tail}`,
+    ...encode,
+  ]);
+}
+
+// Burn karaoke captions (an ASS script sized for `frame`) into a video track.
+async function burnCaptions(videoTrack, cues, frame, dir) {
+  const assPath = path.join(dir, 'captions.ass');
+  await fs.writeFile(assPath, karaokeAss(cues, frame), 'utf8');
+  const out = path.join(dir, 'video-captioned.mp4');
+  await runFfmpeg([
+    '-i', videoTrack,
+    '-vf', `ass=${escapeFilterPath(assPath)}`,
     '-c:v', 'libx264', '-preset', 'veryfast', '-pix_fmt', 'yuv420p',
+    out,
+  ]);
+  return out;
+}
+
+// Add the SRT as a soft (toggleable) mov_text subtitle track. A separate copy
+// pass so the sparse subtitle stream can't interfere with -shortest.
+async function addSubtitleTrack(input, srtPath, outPath) {
+  await runFfmpeg([
+    '-i', input,
+    '-i', srtPath,
+    '-map', '0', '-map', '1:s:0',
+    '-c', 'copy', '-c:s', 'mov_text',
+    '-metadata:s:s:0', 'language=eng',
+    '-movflags', '+faststart',
     outPath,
   ]);
 }
@@ -0,0 +1,105 @@
+import { parseStructured } from './llm.js';
+import { agentActionSchema } from './schemas.js';
+import { describeAction, performAction } from './actions.js';
+
+/**
+ * Claude-driven observe/act loop for feature recordings (ported from the qaaas
+ * browser-agent).
+ *
+ * Each turn snapshots the page (ARIA tree + a JPEG screenshot), asks Claude for
+ * the single next typed action toward showing the feature, performs it, and
+ * verifies it took effect. The outcome goes back into the next prompt so a
+ * failed click gets retried with a different target rather than repeated. Stops
+ * when Claude answers "done", when it stops answering, or when the step budget
+ * runs out.
+ */
+
+const MAX_ARIA_CHARS = 8000;
+
+const SYSTEM =
+  'You are operating a web browser to record a short product demo video of ONE feature. Each turn you get the feature (name, pitch, suggested steps), the current page URL, its accessibility (ARIA) snapshot, a screenshot, and the actions taken so far with whether each succeeded. Choose the single next action that visibly shows the feature in use: click, fill (type into a field), select (pick an option), press (a key such as Enter), scroll ("up"/"down"), or wait. Target elements by the role and accessible name exactly as they appear in the snapshot; fall back to visible text or a CSS selector only when the snapshot has no usable name. Use realistic, non-destructive demo values (never delete, pay, or send real messages). If an action failed, try a different target instead of repeating it. Answer "done" once the feature has been shown.';
+
+/**
+ * @param {import('playwright').Page} page
+ * @param {{name,pitch,steps}} feature
+ * @param {object} [opts]
+ * @param {number} [opts.maxSteps]  action budget (excluding the final "done")
+ * @param {(msg:string)=>void} [opts.log]
+ * @param {object} [opts.cursor]    cursor.js driver shown in the recording
+ * @param {(box:object)=>void} [opts.onTarget]  see actions.js#performAction
+ * @param {AbortSignal} [opts.signal]  stops the loop before its next step
+ * @returns {Promise<Array<{action, ok, error?, box?}>>} the performed actions
+ */
+export async function runAgentLoop(page, feature, { maxSteps = 8, log, cursor, onTarget, signal } = {}) {
+  const history = [];
+
+  for (let i = 0; i < maxSteps; i++) {
+    signal?.throwIfAborted();
+    const snapshot = await observe(page);
+    const action = await parseStructured({
+      system: SYSTEM,
+      prompt: buildAgentPrompt(feature, snapshot, history, maxSteps - i),
+      schema: agentActionSchema,
+      maxTokens: 4000,
+    });
+
+    if (!action) {
+      log?.('Agent returned no action — ending recording');
+      break;
+    }
+    if (action.type === 'done') {
+      log?.(`Agent finished "${feature.name}" after ${history.length} action(s)`);
+      break;
+    }
+
+    const result = await performAction(page, action, { cursor, onTarget });
+    history.push({ action, ...result });
+    log?.(`Agent ${i + 1}/${maxSteps}: ${describeAction(action)} — ${result.ok ? 'ok' : `failed (${result.error})`}`);
+    await page.waitForTimeout(1200);
+  }
+
+  return history;
+}
+
+/**
+ * Build the multimodal user turn: screenshot (when we have one) followed by the
+ * text context. Pure, so it's unit-testable.
+ */
+export function buildAgentPrompt(feature, snapshot, history, remaining) {
+  const steps = (feature.steps || []).map((s, i) => `${i + 1}. ${s}`).join('\n') || '(none)';
+  const done = history.length
+    ? history.map((h, i) => `${i + 1}. ${describeAction(h.action)} — ${h.ok ? 'ok' : `FAILED: ${h.error}`}`).join('\n')
+    : '(nothing yet)';
+
+  const text = [
+    `Feature: ${feature.name}`,
+    `Pitch: ${feature.pitch || ''}`,
+    `Suggested steps:\n${steps}`,
+    `Actions so far:\n${done}`,
+    `Actions left in budget: ${remaining}`,
+    `Current URL: ${snapshot.url}`,
+    `Page title: ${snapshot.title}`,
+    `ARIA snapshot:\n${snapshot.aria || '(unavailable)'}`,
+  ].join('\n\n');
+
+  const content = [];
+  if (snapshot.screenshot) {
+    content.push({
+      type: 'image',
+      source: { type: 'base64', media_type: 'image/jpeg', data: snapshot.screenshot.toString('base64') },
+    });
+  }
+  content.push({ type: 'text', text });
+  return content;
+}
+
+async function observe(page) {
+  const aria = await page.locator('body').ariaSnapshot({ timeout: 5000 }).catch(() => '');
+  const screenshot = await page.screenshot({ type: 'jpeg', quality: 60 }).catch(() => null);
+  return {
+    url: page.url(),
+    title: await page.title().catch(() => ''),
+    aria: aria.length > MAX_ARIA_CHARS ? `${aria.slice(0, MAX_ARIA_CHARS)}\n…(truncated)` : aria,
+    screenshot,
+  };
+}
@@ -0,0 +1,161 @@
+import { createHash, randomUUID } from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+/**
+ * Content-addressed cache for the expensive, repeatable pipeline steps.
+ *
+ * Tweak-and-rerender loops re-run the whole brain, but most of it doesn't
+ * change: the same crawl gives the same Claude feature list, the same features
+ * the same script, the same narration the same audio. Each step hashes its
+ * inputs (cacheKey) and stores its result under that key, so a rerun only pays
+ * for what actually changed:
+ *   - 'llm'       parseStructured results (model + system + prompt + schema)
+ *   - 'tts'       voiceover MP3s + word timings (engine + settings + voice + text)
+ *   - 'recording' feature webms + focus (feature URL + steps + session + capture options)
+ *
+ * Entries live under MKDEMO_CACHE_DIR (default <project>/.cache/makedemo) as
+ * `<namespace>/<key>.json`, plus `<key>.bin` for a file. The store is capped
+ * at MKDEMO_CACHE_MAX_MB (default 2048; 0 turns caching off): after a write
+ * the least recently used entries are evicted until it fits. `bypass` skips
+ * every lookup but still writes fresh results, refreshing stale entries.
+ *
+ * A cache error never fails a job — it logs and behaves as a miss.
+ */
+
+export const CACHE_NAMESPACES = ['llm', 'tts', 'recording'];
+const DEFAULT_MAX_MB = 2048;
+
+/** JSON with object keys sorted, so equal inputs serialize (and hash) equally. */
+export function stableJson(value) {
+  if (value === undefined || typeof value === 'function') return undefined;
+  if (value === null || typeof value !== 'object') return JSON.stringify(value);
+  if (typeof value.toJSON === 'function') return stableJson(value.toJSON());
+  if (Array.isArray(value)) return `[${value.map((v) => stableJson(v) ?? 'null').join(',')}]`;
+  const entries = Object.keys(value)
+    .sort()
+    .map((k) => [k, stableJson(value[k])])
+    .filter(([, v]) => v !== undefined)
+    .map(([k, v]) => `${JSON.stringify(k)}:${v}`);
+  return `{${entries.join(',')}}`;
+}
+
+/** sha256 (hex) of the inputs that determine a result. */
+export function cacheKey(parts) {
+  return createHash('sha256').update(stableJson(parts) ?? '').digest('hex');
+}
+
+/**
+ * Entries to delete so `entries` fit in `maxBytes`, least recently used
+ * first. Pure; `entries` are {key, bytes, usedAt}.
+ */
+export function evictionOrder(entries, maxBytes) {
+  let total = entries.reduce((sum, e) => sum + e.bytes, 0);
+  const evict = [];
+  for (const entry of [...entries].sort((a, b) => a.usedAt - b.usedAt)) {
+    if (total <= maxBytes) break;
+    evict.push(entry);
+    total -= entry.bytes;
+  }
+  return evict;
+}
+
+/**
+ * A cache for one run.
+ * @param {object} [opts]
+ * @param {string} opts.dir         store root
+ * @param {number} [opts.maxBytes]  size cap (default MKDEMO_CACHE_MAX_MB); 0 disables the cache
+ * @param {boolean} [opts.bypass]   skip lookups, still write
+ */
+export function createCache({ dir, maxBytes, bypass = false, log } = {}) {
+  const envMb = Number(process.env.MKDEMO_CACHE_MAX_MB);
+  const cap = maxBytes ?? (Number.isFinite(envMb) && envMb >= 0 ? envMb : DEFAULT_MAX_MB) * 1024 * 1024;
+  const root = dir ? path.resolve(dir) : null;
+  const enabled = Boolean(root) && cap > 0;
+  const stats = { hits: 0, misses: 0, writes: 0 };
+  const paths = (ns, parts) => {
+    const base = path.join(root, ns, cacheKey(parts));
+    return { meta: `${base}.json`, file: `${base}.bin` };
+  };
+  const warn = (what, err) => log?.(`Cache ${what} failed (${err.message}) — continuing without it`);
+
+  // Write to a unique temp name and rename, so a crashed run never leaves a
+  // torn entry and two jobs storing the same key don't share a temp file.
+  async function writeAtomic(dest, write) {
+    const tmp = `${dest}.${process.pid}.${randomUUID()}.tmp`;
+    await write(tmp);
+    await fs.rename(tmp, dest);
+  }
+
+  async function lookup(ns, parts, destPath) {
+    if (!enabled || bypass) return null;
+    const p = paths(ns, parts);
+    try {
+      const entry = JSON.parse(await fs.readFile(p.meta, 'utf8'));
+      if (destPath) await fs.copyFile(p.file, destPath);
+      const now = new Date();
+      await fs.utimes(p.meta, now, now);
+      if (destPath) await fs.utimes(p.file, now, now);
+      stats.hits++;
+      return entry;
+    } catch (err) {
+      if (err.code !== 'ENOENT') warn('read', err);
+      stats.misses++;
+      return null;
+    }
+  }
+
+  async function store(ns, parts, value, srcPath) {
+    if (!enabled) return;
+    const p = paths(ns, parts);
+    try {
+      await fs.mkdir(path.dirname(p.meta), { recursive: true });
+      if (srcPath) await writeAtomic(p.file, (tmp) => fs.copyFile(srcPath, tmp));
+      // The .json goes last: an entry exists once its metadata does.
+      await writeAtomic(p.meta, (tmp) => fs.writeFile(tmp, JSON.stringify(value ?? null), 'utf8'));
+      stats.writes++;
+      await prune();
+    } catch (err) {
+      warn('write', err);
+    }
+  }
+
+  /** Evict least recently used entries until the store fits the cap. */
+  async function prune() {
+    const entries = [];
+    for (const ns of CACHE_NAMESPACES) {
+      const nsDir = path.join(root, ns);
+      const names = await fs.readdir(nsDir).catch(() => []);
+      const byKey = new Map();
+      for (const name of names) {
+        const stat = await fs.stat(path.join(nsDir, name)).catch(() => null);
+        if (!stat) continue;
+        const key = `${ns}/${name.split('.')[0]}`; // <key>.json, <key>.bin and their .tmp files
+        const entry = byKey.get(key) || { key, files: [], bytes: 0, usedAt: 0 };
+        entry.files.push(path.join(nsDir, name));
+        entry.bytes += stat.size;
+        entry.usedAt = Math.max(entry.usedAt, stat.mtimeMs);
+        byKey.set(key, entry);
+      }
+      entries.push(...byKey.values());
+    }
+    const evict = evictionOrder(entries, cap);
+    for (const entry of evict) await Promise.all(entry.files.map((f) => fs.rm(f, { force: true })));
+    if (evict.length) log?.(`Cache over its size limit — evicted ${evict.length} least recently used item(s)`);
+    return evict.length;
+  }
+
+  return {
+    dir: root,
+    enabled,
+    bypass,
+    stats,
+    /** The cached value for `parts` in namespace `ns`, or null. */
+    getJson: (ns, parts) => lookup(ns, parts),
+    putJson: (ns, parts, value) => store(ns, parts, value),
+    /** Copy the cached file to `destPath`; resolves to its metadata, or null on a miss. */
+    getFile: (ns, parts, destPath) => lookup(ns, parts, destPath),
+    putFile: (ns, parts, srcPath, meta = {}) => store(ns, parts, meta, srcPath),
+    prune: () => (enabled ? prune() : Promise.resolve(0)),
+  };
+}
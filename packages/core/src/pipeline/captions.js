@@ -0,0 +1,187 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+/**
+ * Captions from the built timeline: sidecar SRT/WebVTT, a soft subtitle track
+ * and burned-in karaoke captions.
+ *
+ * Every narrated segment gets word timings — from the TTS provider's alignment
+ * when it returns one (ElevenLabs with-timestamps), otherwise spread over the
+ * measured voiceover by word length — offset by the segment's real `start` in
+ * the timeline. Words are grouped into short cues (a line or two, broken at
+ * sentence ends). Cues become SRT/VTT next to the video, a `mov_text` track in
+ * the MP4, and optionally an ASS script whose `\kf` tags sweep a highlight
+ * across each word as it's spoken, for muted autoplay.
+ *
+ * Pure except writeCaptions.
+ */
+
+export const CAPTION_FILES = { srt: 'captions.srt', vtt: 'captions.vtt' };
+
+const MAX_WORDS = 7;
+const MAX_CHARS = 42;
+const TAIL_S = 0.3; // keep a cue up a moment after its last word
+const hasText = (w) => /[\p{L}\p{N}]/u.test(w);
+
+/**
+ * Word timings from an ElevenLabs character alignment. The TTS speaks a
+ * cleaned-up copy of the narration (pauses, emphasis marks), so when the
+ * spoken word count matches `narration`'s, the narration's own words are used.
+ * @param {{characters: string[], character_start_times_seconds: number[], character_end_times_seconds: number[]}|null} alignment
+ * @param {string} [narration]
+ * @returns {Array<{word: string, start: number, end: number}> | null}
+ */
+export function wordsFromAlignment(alignment, narration = '') {
+  const chars = alignment?.characters;
+  if (!chars?.length) return null;
+  const starts = alignment.character_start_times_seconds;
+  const ends = alignment.character_end_times_seconds;
+  const words = [];
+  let cur = null;
+  chars.forEach((ch, i) => {
+    if (/\s/.test(ch)) {
+      cur = null;
+      return;
+    }
+    if (!cur) {
+      cur = { word: '', start: starts[i], end: ends[i] };
+      words.push(cur);
+    }
+    cur.word += ch;
+    cur.end = ends[i];
+  });
+  const spoken = words.filter((w) => hasText(w.word)).map((w) => ({ ...w, word: w.word.replace(/\*/g, '') }));
+  const written = narration.split(/\s+/).filter(hasText);
+  if (written.length === spoken.length) spoken.forEach((w, i) => (w.word = written[i]));
+  return spoken;
+}
+
+/**
+ * Estimated word timings when the TTS gives none: `duration` split across the
+ * words by length, with a little extra after commas and sentence ends.
+ */
+export function estimateWordTimings(narration, duration) {
+  const words = String(narration || '').split(/\s+/).filter(hasText);
+  if (!words.length || !(duration > 0)) return [];
+  const weight = (w) => w.length + 1 + (/[.!?]$/.test(w) ? 4 : /[,;:]$/.test(w) ? 2 : 0);
+  const total = words.reduce((sum, w) => sum + weight(w), 0);
+  let t = 0;
+  return words.map((word) => {
+    const start = t;
+    t += (weight(word) / total) * duration;
+    return { word, start: round(start), end: round(t) };
+  });
+}
+
+/**
+ * Group per-segment word timings into cues on the video's clock.
+ * @param {Array<{start:number, duration:number}>} timeline  built timeline
+ * @param {Array<Array<{word,start,end}>>} wordsBySegment     segment-relative timings, aligned to timeline
+ * @returns {Array<{start:number, end:number, text:string, words:Array<{word,start,end}>}>}
+ */
+export function captionCues(timeline, wordsBySegment, { maxWords = MAX_WORDS, maxChars = MAX_CHARS } = {}) {
+  const cues = [];
+  timeline.forEach((seg, i) => {
+    const segEnd = seg.start + seg.duration;
+    const words = (wordsBySegment[i] || [])
+      .map((w) => ({ word: w.word, start: round(seg.start + w.start), end: round(seg.start + w.end) }))
+      .filter((w) => w.start < segEnd)
+      .map((w) => ({ ...w, end: Math.min(w.end, round(segEnd)) }));
+    const firstCue = cues.length;
+    let group = [];
+    const flush = () => {
+      if (!group.length) return;
+      const text = group.map((w) => w.word).join(' ');
+      cues.push({ start: group[0].start, end: group[group.length - 1].end, text, words: group });
+      group = [];
+    };
+    for (const w of words) {
+      const length = group.reduce((n, g) => n + g.word.length + 1, 0) + w.word.length;
+      if (group.length >= maxWords || (group.length && length > maxChars)) flush();
+      group.push(w);
+      if (/[.!?]["')]?$/.test(w.word)) flush();
+    }
+    flush();
+    // Hold each cue a beat longer, without running into the next or past the segment.
+    for (let c = firstCue; c < cues.length; c++) {
+      const next = cues[c + 1]?.start ?? segEnd;
+      cues[c].end = round(Math.max(cues[c].end, Math.min(next, segEnd, cues[c].end + TAIL_S)));
+    }
+  });
+  return cues;
+}
+
+function round(n) {
+  return Math.round(n * 1000) / 1000;
+}
+
+/** `HH:MM:SS<sep>mmm` for SRT (',') and WebVTT ('.'). */
+export function formatTimestamp(seconds, sep = ',') {
+  const ms = Math.max(0, Math.round(seconds * 1000));
+  const pad = (n, w = 2) => String(n).padStart(w, '0');
+  const h = Math.floor(ms / 3600000);
+  const m = Math.floor((ms % 3600000) / 60000);
+  const s = Math.floor((ms % 60000) / 1000);
+  return `${pad(h)}:${pad(m)}:${pad(s)}${sep}${pad(ms % 1000, 3)}`;
+}
+
+export function toSrt(cues) {
+  const body = cues.map((c, i) => `${i + 1}\n${formatTimestamp(c.start)} --> ${formatTimestamp(c.end)}\n${c.text}\n`);
+  return body.join('\n');
+}
+
+export function toVtt(cues) {
+  const body = cues.map((c) => `${formatTimestamp(c.start, '.')} --> ${formatTimestamp(c.end, '.')}\n${c.text}\n`);
+  return ['WEBVTT\n', ...body].join('\n');
+}
+
+/** Write the SRT + VTT sidecars into `dir`; returns their file names. */
+export async function writeCaptions(dir, cues) {
+  await fs.writeFile(path.join(dir, CAPTION_FILES.srt), toSrt(cues), 'utf8');
+  await fs.writeFile(path.join(dir, CAPTION_FILES.vtt), toVtt(cues), 'utf8');
+  return { ...CAPTION_FILES };
+}
+
+// ASS clock: H:MM:SS.cc
+function assTime(seconds) {
+  const cs = Math.max(0, Math.round(seconds * 100));
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${Math.floor(cs / 360000)}:${pad(Math.floor((cs % 360000) / 6000))}:${pad(Math.floor((cs % 6000) / 100))}.${pad(cs % 100)}`;
+}
+
+/**
+ * ASS script for burned-in karaoke captions on `frame`: bold white words with
+ * an outline, bottom-centred above the lower-third, each swept amber over its
+ * spoken time (`\kf`) and faded in/out per cue.
+ */
+export function karaokeAss(cues, frame) {
+  const k = Math.min(1, frame.width / 1440);
+  const size = Math.round(64 * k);
+  const margin = Math.round(frame.width * 0.08);
+  const marginV = Math.round(frame.height * 0.24);
+  const clean = (w) => w.replace(/[{}\\]/g, '');
+  const events = cues.map((c) => {
+    const words = c.words.map((w, i) => {
+      const until = c.words[i + 1]?.start ?? w.end;
+      return `{\\kf${Math.max(1, Math.round((until - w.start) * 100))}}${clean(w.word)}`;
+    });
+    return `Dialogue: 0,${assTime(c.start)},${assTime(c.end)},Karaoke,,0,0,0,,{\\fad(120,120)}${words.join(' ')}`;
+  });
+  return [
+    '[Script Info]',
+    'ScriptType: v4.00+',
+    `PlayResX: ${frame.width}`,
+    `PlayResY: ${frame.height}`,
+    'WrapStyle: 0',
+    'ScaledBorderAndShadow: yes',
+    '',
+    '[V4+ Styles]',
+    'Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding',
+    `Style: Karaoke,DejaVu Sans,${size},&H0000C8FF,&H00FFFFFF,&H00000000,&H80000000,-1,0,0,0,100,100,0,0,1,${Math.max(2, Math.round(4 * k))},${Math.round(2 * k)},2,${margin},${margin},${marginV},1`,
+    '',
+    '[Events]',
+    'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+    ...events,
+    '',
+  ].join('\n');
+}
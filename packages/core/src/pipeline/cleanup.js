@@ -0,0 +1,183 @@
+import { addInitScript } from './init-script.js';
+
+/**
+ * Page cleanup: keep cookie banners, chat bubbles and newsletter popups out of
+ * recordings and screenshots.
+ *
+ * Two layers, applied the same way in crawl, recording and the legacy shell's
+ * screenshots:
+ *  - an init script hides every known overlay with CSS from the first frame
+ *    (the maintained OVERLAY_SELECTORS list plus the job's extra selectors);
+ *  - after each navigation, dismissOverlays clicks the overlay's own "Accept" /
+ *    close button via the DOM, so the consent sticks for later pages and
+ *    scroll locks added by the overlay are released. It also closes dialogs
+ *    whose text reads like a newsletter/cookie nag, which CSS can't know about.
+ * Only overlays are touched; the app's own dialogs opened by an action stay.
+ */
+
+/** Known overlay containers, grouped by kind. Keep entries specific. */
+export const OVERLAY_SELECTORS = {
+  consent: [
+    '#onetrust-consent-sdk',
+    '#onetrust-banner-sdk',
+    '#CybotCookiebotDialog',
+    '#usercentrics-root',
+    '#truste-consent-track',
+    '#cookie-law-info-bar',
+    '#cookie-notice',
+    '#cookiescript_injected',
+    '#cmplz-cookiebanner-container',
+    '#moove_gdpr_cookie_info_bar',
+    '#iubenda-cs-banner',
+    '#didomi-host',
+    '#qc-cmp2-container',
+    '.qc-cmp2-container',
+    '.fc-consent-root',
+    '.cc-window',
+    '.cky-consent-container',
+    '.osano-cm-window',
+    '.termly-styles-root',
+    'div[id^="sp_message_container"]',
+    '[aria-label="cookieconsent"]',
+  ],
+  chat: [
+    '#intercom-container',
+    '.intercom-lightweight-app',
+    '#hubspot-messages-iframe-container',
+    '#drift-widget-container',
+    '#drift-frame-controller',
+    '#crisp-chatbox',
+    '#tidio-chat',
+    '#fc_frame',
+    '.zsiq_floatmain',
+    '#launcher[title*="messaging" i]',
+    'iframe#launcher',
+    'iframe[title="Button to launch messaging window"]',
+    '#chat-widget-container',
+    '.olark-launch-button',
+    '#beacon-container',
+    '#front-chat-container',
+    '.tawk-min-container',
+  ],
+  popup: [
+    '.klaviyo-form[role="dialog"]',
+    '#mailmunch-pop',
+    '.pum-overlay',
+    '.sumome-react-wysiwyg-popup-container',
+    '#attentive_overlay',
+    '.privy-popup-container',
+    '.om-holder',
+  ],
+};
+
+/**
+ * What clicking a button labelled `label` does to an overlay: 'accept',
+ * 'close', or null (leave it). Also runs in the page, so self-contained.
+ */
+export function dismissKind(label) {
+  const text = String(label || '').trim().replace(/\s+/g, ' ');
+  if (/^(accept( all)?( cookies)?|allow( all)?( cookies)?|i agree|agree( and close)?|got it|ok(ay)?|i understand|understood)$/i.test(text)) {
+    return 'accept';
+  }
+  if (/^(close|dismiss|no,? thanks|not now|maybe later|skip|x|×|✕|✖)$/i.test(text)) return 'close';
+  return null;
+}
+
+/** True for dialog text that reads like a cookie/newsletter nag rather than the app's own UI. */
+export function isNagText(text) {
+  return /cookie|consent|newsletter|subscribe|sign up for (our|updates)|\d+% off|discount code/i.test(String(text || ''));
+}
+
+/**
+ * Resolve the job's `cleanup` option: `false` turns it off (null); otherwise
+ * `{selectors?, dismiss?}` adds CSS selectors to hide on top of the built-in
+ * list, and `dismiss: false` skips the click-to-dismiss pass.
+ * @returns {{selectors: string[], dismiss: boolean} | null}
+ */
+export function cleanupConfig(option = {}) {
+  if (option === false) return null;
+  const opts = option === true || option == null ? {} : option;
+  const extra = [opts.selectors ?? []].flat().map((s) => String(s).trim()).filter(Boolean);
+  return {
+    selectors: [...Object.values(OVERLAY_SELECTORS).flat(), ...extra],
+    dismiss: opts.dismiss !== false,
+  };
+}
+
+/**
+ * Stylesheet that hides `selectors`, one rule each so a typo in a user
+ * selector doesn't drop the whole sheet.
+ */
+export function hideOverlaysCss(selectors) {
+  return selectors.map((sel) => `${sel} { display: none !important; visibility: hidden !important; }`).join('\n');
+}
+
+/** In-page half: keep the hiding stylesheet attached. Must be self-contained. */
+export function installCleanup(css) {
+  if (window.__mkdemoCleanup) return;
+  window.__mkdemoCleanup = true;
+  const style = document.createElement('style');
+  style.textContent = css;
+  const ensure = () => {
+    if (!style.isConnected) (document.head || document.documentElement)?.appendChild(style);
+  };
+  ensure();
+  // Pages that swap <head> (or had none yet) get the sheet back.
+  new MutationObserver(ensure).observe(document, { childList: true, subtree: true });
+}
+
+/** Init-script source for `config`, shared by Playwright and Puppeteer. */
+export function cleanupScript(config) {
+  return `(${installCleanup})(${JSON.stringify(hideOverlaysCss(config.selectors))});`;
+}
+
+/** Install the hiding stylesheet before the page navigates. No-op when off. */
+export async function applyCleanup(target, config) {
+  if (config) await addInitScript(target, cleanupScript(config));
+}
+
+/**
+ * In-page dismiss pass, run as `(clickDismissButtons)(selectors, dismissKind,
+ * isNagText)`: in each overlay container (and each dialog whose text reads
+ * like a nag), DOM-click the accept button, else a close button. DOM clicks
+ * work on containers the stylesheet has already hidden.
+ * @returns {number} buttons clicked
+ */
+export function clickDismissButtons(selectors, kindOf, isNag) {
+  const label = (el) => el.getAttribute('aria-label') || el.innerText || el.value || el.title || '';
+  const roots = new Set();
+  for (const sel of selectors) {
+    try {
+      document.querySelectorAll(sel).forEach((el) => roots.add(el));
+    } catch {
+      // Invalid selector: its CSS rule is ignored too.
+    }
+  }
+  for (const el of document.querySelectorAll('[role="dialog"], [aria-modal="true"], dialog[open]')) {
+    if (isNag(el.textContent)) roots.add(el);
+  }
+
+  const clicked = new Set();
+  for (const root of roots) {
+    const buttons = [...root.querySelectorAll('button, [role="button"], a, input[type="button"], input[type="submit"]')];
+    const hit =
+      buttons.find((b) => kindOf(label(b)) === 'accept') || buttons.find((b) => kindOf(label(b)) === 'close');
+    if (!hit || clicked.has(hit)) continue;
+    clicked.add(hit);
+    hit.click();
+  }
+  return clicked.size;
+}
+
+/**
+ * Run the dismiss pass on `page` (Playwright or Puppeteer) after a navigation.
+ * Best-effort: returns the number of overlays dismissed, 0 on any failure.
+ */
+export async function dismissOverlays(page, config) {
+  if (!config?.dismiss) return 0;
+  const script = `(${clickDismissButtons})(${JSON.stringify(config.selectors)}, ${dismissKind}, ${isNagText})`;
+  const clicked = await page.evaluate(script).catch(() => 0);
+  // Let the overlay's own close animation and scroll unlock finish.
+  if (clicked) await new Promise((r) => setTimeout(r, 300));
+  return clicked;
+}
@@ -1,87 +1,132 @@
 import { chromium } from 'playwright';
 import { globToRegExp, isExcluded, normalize } from './url-utils.js';
+import { parseRobots, isAllowedByRobots } from './robots.js';
+import { collectSitemapUrls } from './sitemap.js';
+import { probeSpaRoutes, recordClientRoutes } from './spa-routes.js';
+import { tryLogin } from './login.js';
+import { applyMasking, readMaskReport } from './masking.js';
+import { applyCleanup, dismissOverlays } from './cleanup.js';
+import { applyFreeze } from './freeze.js';
+import { deviceContextOptions } from './device.js';
 
 /**
  * Same-origin site crawler (ported/adapted from the qaaas discovery flow).
  *
- * BFS over <a href> links from the homepage, capturing each page's URL, title,
- * and a snippet of visible text. Optional credential login runs first so the
- * crawl can reach authenticated app surfaces. The crawled pages feed Claude in
+ * BFS over <a href> links from the homepage, with the queue seeded from the
+ * site's sitemaps (robots.txt `Sitemap:` lines + /sitemap.xml) so pages only
+ * reachable that way still get crawled. robots.txt `Disallow` rules for our
+ * user-agent token are honored unless `respectRobots: false`. Each page records
+ * its URL, title, a snippet of visible text, and the `source` that discovered
+ * it ('start' | 'sitemap' | 'link' | 'spa'). With `spaDiscovery`, each page's
+ * nav-like buttons are also clicked to catch client-side router navigations
+ * (spa-routes.js). Optional credential login runs first so the crawl can reach
+ * authenticated app surfaces; the resulting session is saved to
+ * `saveStorageState` for the recorder. A pre-made `storageState` (SSO-only apps)
+ * replaces the login entirely. The crawled pages feed Claude in
  * feature-detect.js.
  */
 
 export { globToRegExp, isExcluded, normalize };
 
-// Best-effort heuristic login using Playwright (the existing auth handler is
-// Puppeteer-bound; here we keep the crawler self-contained on Playwright).
-async function tryLogin(page, { loginUrl, homepageUrl, user, password }, log) {
-  try {
-    await page.goto(loginUrl || homepageUrl, { waitUntil: 'domcontentloaded', timeout: 30000 }).catch(() => {});
-    await page.waitForLoadState('networkidle', { timeout: 6000 }).catch(() => {});
-
-    const emailSel = 'input[type="email"], input[name*="email" i], input[name*="user" i], input[id*="email" i]';
-    const passSel = 'input[type="password"]';
-    const email = page.locator(emailSel).first();
-    const pass = page.locator(passSel).first();
-
-    if (await email.count()) await email.fill(user, { timeout: 4000 }).catch(() => {});
-    if (await pass.count()) await pass.fill(password, { timeout: 4000 }).catch(() => {});
-
-    const submit = page
-      .locator('button[type="submit"], input[type="submit"], button:has-text("Log in"), button:has-text("Sign in")')
-      .first();
-    if (await submit.count()) await submit.click({ timeout: 4000 }).catch(() => {});
-    else await pass.press('Enter').catch(() => {});
-
-    await page.waitForLoadState('networkidle', { timeout: 8000 }).catch(() => {});
-    log?.(`Attempted login as ${user}`);
-  } catch (err) {
-    log?.(`Login skipped/failed: ${String(err).slice(0, 120)}`);
-  }
-}
-
 /**
  * @param {object} opts
  * @param {string} opts.homepageUrl
  * @param {number} [opts.maxPages]
- * @param {{user,password,loginUrl?}|null} [opts.credentials]
+ * @param {{user,password,loginUrl?,totpSecret?,successUrl?,successSelector?}|null} [opts.credentials]
+ * @param {string|null} [opts.storageState]      Playwright storageState file to start from (skips login)
+ * @param {string|null} [opts.saveStorageState]  where to save the session after login
  * @param {string[]} [opts.excludedPaths]
+ * @param {boolean} [opts.respectRobots]  honor robots.txt Disallow (default true)
+ * @param {boolean} [opts.useSitemap]     seed the queue from sitemaps (default true)
+ * @param {boolean} [opts.spaDiscovery]   probe nav buttons for client-side routes (default false)
+ * @param {object|null} [opts.masking]    masking.js#maskingConfig result (null = off)
+ * @param {{add: Function}} [opts.redactions]  masking.js#createRedactionLog to record per-page counts
+ * @param {object|null} [opts.cleanup]    cleanup.js#cleanupConfig result, so banners don't cover the login (null = off)
+ * @param {{time,seed}|null} [opts.freeze] freeze.js#freezeConfig result (null = live clock)
+ * @param {object|null} [opts.device]     device.js#resolveDevice result (null = 1280x720 desktop)
+ * @param {AbortSignal} [opts.signal]     closes the browser and rejects
  * @param {(msg:string)=>void} [opts.log]
- * @returns {Promise<Array<{url,title,text}>>}
+ * @returns {Promise<Array<{url,title,text,source}>>}
  */
 export async function crawlSite(opts) {
   const maxPages = Math.min(opts.maxPages || 20, 40);
   const excludePatterns = (opts.excludedPaths ?? []).map((p) => p.trim()).filter(Boolean).map(globToRegExp);
-  const log = opts.log;
+  const { log, signal } = opts;
 
+  signal?.throwIfAborted();
   const browser = await chromium.launch({ headless: true });
-  const context = await browser.newContext({ viewport: { width: 1280, height: 720 } });
+  // Closing the browser fails whatever page call is in flight; the checks below stop the crawl.
+  const closeOnAbort = () => browser.close().catch(() => {});
+  signal?.addEventListener('abort', closeOnAbort, { once: true });
   try {
+    const context = await browser.newContext({
+      ...deviceContextOptions(opts.device),
+      storageState: opts.storageState || undefined,
+    });
+    if (opts.spaDiscovery) await context.addInitScript(recordClientRoutes);
+    await applyMasking(context, opts.masking);
+    await applyCleanup(context, opts.cleanup);
+    await applyFreeze(context, opts.freeze);
     const page = await context.newPage();
     const origin = new URL(opts.homepageUrl).origin;
     const deadline = Date.now() + 5 * 60 * 1000;
 
-    if (opts.credentials?.user && opts.credentials?.password) {
-      await tryLogin(page, { ...opts.credentials, homepageUrl: opts.homepageUrl }, log);
+    if (opts.storageState) {
+      log?.('Reusing saved login session');
+    } else if (opts.credentials?.user && opts.credentials?.password) {
+      const outcome = await tryLogin(page, { ...opts.credentials, homepageUrl: opts.homepageUrl }, log);
+      if (outcome === 'mfa_failed') log?.('Two-factor login failed (mfa_failed) — crawling as guest');
+      if (outcome === 'success' && opts.saveStorageState) {
+        await context.storageState({ path: opts.saveStorageState }).catch((err) => {
+          log?.(`Could not save login session: ${String(err).slice(0, 120)}`);
+        });
+      }
     }
 
+    // Shares the browser context's cookies, so post-login sitemaps work too.
+    const get = async (u) => {
+      const res = await context.request.get(u, { timeout: 10000 }).catch(() => null);
+      return res?.ok() ? res.body() : null;
+    };
+    const robots = parseRobots((await get(`${origin}/robots.txt`))?.toString('utf8') || '');
+    const allowed = (u) => opts.respectRobots === false || isAllowedByRobots(u, robots);
+
     const visited = new Set();
-    const queue = [normalize(opts.homepageUrl)];
+    const queue = [];
     const pages = [];
+    const enqueue = (url, source) => {
+      if (visited.has(url) || queue.some((q) => q.url === url) || isExcluded(url, excludePatterns)) return;
+      if (queue.length < maxPages * 3) queue.push({ url, source });
+    };
+
+    enqueue(normalize(opts.homepageUrl), 'start');
+    if (opts.useSitemap !== false) {
+      const fromSitemap = await collectSitemapUrls({ origin, get, sitemaps: robots.sitemaps, limit: maxPages * 2 });
+      if (fromSitemap.length) log?.(`Sitemap listed ${fromSitemap.length} page(s)`);
+      for (const u of fromSitemap) enqueue(normalize(u), 'sitemap');
+    }
 
     while (queue.length && pages.length < maxPages && Date.now() < deadline) {
-      const url = queue.shift();
+      signal?.throwIfAborted();
+      const { url, source } = queue.shift();
       if (visited.has(url)) continue;
       visited.add(url);
       if (isExcluded(url, excludePatterns)) continue;
+      if (!allowed(url)) {
+        log?.(`robots.txt disallows ${url} — skipping`);
+        continue;
+      }
 
       try {
         await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 20000 });
         await page.waitForLoadState('networkidle', { timeout: 5000 }).catch(() => {});
+        const dismissed = await dismissOverlays(page, opts.cleanup);
+        if (dismissed) log?.(`Dismissed ${dismissed} overlay(s) on ${url}`);
 
         const title = await page.title();
         const text = (await page.locator('body').innerText({ timeout: 4000 }).catch(() => '')).slice(0, 1500);
-        pages.push({ url, title, text });
+        pages.push({ url, title, text, source });
+        if (opts.masking) opts.redactions?.add('crawl', url, await readMaskReport(page, { reset: true }));
         log?.(`Crawled ${title || url}`);
 
         const links = await page.evaluate(
@@ -98,18 +143,21 @@ export async function crawlSite(opts) {
           origin,
         );
 
-        for (const link of links.map(normalize)) {
-          if (!visited.has(link) && !queue.includes(link) && !isExcluded(link, excludePatterns) && queue.length < maxPages * 3) {
-            queue.push(link);
-          }
+        for (const link of links.map(normalize)) enqueue(link, 'link');
+
+        if (opts.spaDiscovery) {
+          const routes = await probeSpaRoutes(page, { origin, log });
+          for (const route of routes.map(normalize)) enqueue(route, 'spa');
         }
       } catch (err) {
         log?.(`Skipped ${url}: ${String(err).slice(0, 120)}`);
       }
     }
 
+    signal?.throwIfAborted();
     return pages;
   } finally {
+    signal?.removeEventListener('abort', closeOnAbort);
     await browser.close();
   }
 }
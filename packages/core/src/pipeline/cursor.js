@@ -0,0 +1,168 @@
+/**
+ * Synthetic cursor overlay for recorded feature clips.
+ *
+ * Playwright's recordVideo doesn't capture the mouse, so viewers can't tell
+ * what was clicked. `installCursor` (an init script) draws an arrow cursor, a
+ * click ripple and a keypress badge in a shadow root hung off <html> — outside
+ * <body>, so ARIA snapshots and actions.js's DOM-size check never see it — and
+ * `createCursor(page)` drives it from the actions actually performed: glide to
+ * the target with eased motion, ripple on click, badge on keys and typing. The
+ * position is kept in sessionStorage so the cursor doesn't jump back to the
+ * middle after a navigation.
+ */
+
+const MIN_TRAVEL_MS = 250;
+const MAX_TRAVEL_MS = 900;
+const SETTLE_MS = 80;
+
+/** Where the cursor should land on a target box: its center. */
+export function targetPoint(box) {
+  return { x: Math.round(box.x + box.width / 2), y: Math.round(box.y + box.height / 2) };
+}
+
+/**
+ * Glide duration between two points: longer for longer trips, like a hand,
+ * clamped so short hops still read as motion and long ones don't drag.
+ */
+export function cursorTravelMs(from, to) {
+  if (!from) return MIN_TRAVEL_MS;
+  const distance = Math.hypot(to.x - from.x, to.y - from.y);
+  return Math.round(Math.min(MAX_TRAVEL_MS, Math.max(MIN_TRAVEL_MS, 180 + distance * 0.6)));
+}
+
+const KEY_GLYPHS = { Enter: '⏎', Tab: '⇥', Escape: 'Esc', Backspace: '⌫', ArrowDown: '↓', ArrowUp: '↑', ArrowLeft: '←', ArrowRight: '→' };
+
+/** Badge text for a pressed key ("Control+a" → "Ctrl + A") or typed text. */
+export function keyLabel(key, { typed = false } = {}) {
+  if (typed) {
+    const text = String(key ?? '');
+    return `⌨ ${text.length > 32 ? `${text.slice(0, 31)}…` : text}`;
+  }
+  return String(key || 'Enter')
+    .split('+')
+    .map((k) => KEY_GLYPHS[k] || (k === 'Control' ? 'Ctrl' : k === 'Meta' ? '⌘' : k.length === 1 ? k.toUpperCase() : k))
+    .join(' + ');
+}
+
+/**
+ * Init script for context.addInitScript: defines `window.__mkdemoCursor` with
+ * moveTo(x, y, ms), click() and key(label). Must be self-contained.
+ */
+export function installCursor() {
+  if (window.__mkdemoCursor) return;
+  const STORE = '__mkdemoCursorPos';
+  let pos = null;
+  try {
+    pos = JSON.parse(sessionStorage.getItem(STORE) || 'null');
+  } catch {
+    // Opaque origins (about:blank, data:) have no sessionStorage.
+  }
+  pos ||= { x: Math.round(innerWidth / 2), y: Math.round(innerHeight / 2) };
+
+  let root = null;
+  let badgeTimer = null;
+  const ensure = () => {
+    if (root?.host.isConnected) return root;
+    const host = document.createElement('mkdemo-cursor');
+    host.setAttribute('aria-hidden', 'true');
+    host.style.cssText = 'position:fixed;inset:0;pointer-events:none;z-index:2147483647;';
+    root = host.attachShadow({ mode: 'open' });
+    root.innerHTML = `
+      <style>
+        .pointer { position: fixed; left: 0; top: 0; margin: -2px 0 0 -3px; will-change: transform; }
+        .pointer svg { display: block; filter: drop-shadow(0 1px 2px rgba(0,0,0,.35)); transition: transform 120ms ease-out; }
+        .pointer.down svg { transform: scale(.85); }
+        .ripple { position: fixed; width: 36px; height: 36px; margin: -18px 0 0 -18px; border-radius: 50%;
+          border: 3px solid rgba(255, 196, 0, .9); background: rgba(255, 196, 0, .25);
+          animation: ripple 520ms ease-out forwards; }
+        @keyframes ripple { from { transform: scale(.3); opacity: 1; } to { transform: scale(1.6); opacity: 0; } }
+        .badge { position: fixed; left: 50%; bottom: 36px; transform: translate(-50%, 12px); opacity: 0;
+          padding: 8px 16px; border-radius: 10px; background: rgba(17,17,17,.85); color: #fff;
+          font: 600 20px/1.2 ui-monospace, SFMono-Regular, Menlo, monospace; white-space: pre;
+          transition: opacity 160ms ease, transform 160ms ease; }
+        .badge.show { opacity: 1; transform: translate(-50%, 0); }
+      </style>
+      <div class="pointer"><svg width="26" height="26" viewBox="0 0 24 24">
+        <path d="M3 2l7 19 2.5-7.5L20 11z" fill="#111" stroke="#fff" stroke-width="1.6" stroke-linejoin="round"/>
+      </svg></div>
+      <div class="badge"></div>`;
+    document.documentElement.appendChild(host);
+    place(0);
+    return root;
+  };
+  const place = (ms) => {
+    const pointer = root.querySelector('.pointer');
+    pointer.style.transition = ms ? `transform ${ms}ms cubic-bezier(0.65, 0, 0.35, 1)` : 'none';
+    pointer.style.transform = `translate(${pos.x}px, ${pos.y}px)`;
+  };
+
+  window.__mkdemoCursor = {
+    moveTo(x, y, ms) {
+      ensure();
+      pos = { x, y };
+      try {
+        sessionStorage.setItem(STORE, JSON.stringify(pos));
+      } catch {
+        // see above
+      }
+      place(ms);
+    },
+    click() {
+      const r = ensure();
+      const ripple = document.createElement('div');
+      ripple.className = 'ripple';
+      ripple.style.left = `${pos.x}px`;
+      ripple.style.top = `${pos.y}px`;
+      r.appendChild(ripple);
+      setTimeout(() => ripple.remove(), 600);
+      const pointer = r.querySelector('.pointer');
+      pointer.classList.add('down');
+      setTimeout(() => pointer.classList.remove('down'), 140);
+    },
+    key(label) {
+      const badge = ensure().querySelector('.badge');
+      // Typed text goes through the PII mask (masking.js) when it's installed.
+      badge.textContent = window.__mkdemoMask?.text(label) ?? label;
+      badge.classList.add('show');
+      clearTimeout(badgeTimer);
+      badgeTimer = setTimeout(() => badge.classList.remove('show'), 1100);
+    },
+  };
+
+  // Show the cursor where it was as soon as the new page has a document.
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => ensure(), { once: true });
+  } else {
+    ensure();
+  }
+}
+
+/**
+ * Node-side driver for the overlay on `page` (whose context ran
+ * installCursor). Every call is best-effort: a page mid-navigation just skips
+ * the effect rather than failing the action.
+ */
+export function createCursor(page) {
+  let last = null;
+  const run = (fn, arg) => page.evaluate(fn, arg).catch(() => {});
+
+  return {
+    /** Glide to the center of `box` and wait until the cursor arrives. */
+    async moveTo(box) {
+      if (!box) return;
+      const to = targetPoint(box);
+      const ms = cursorTravelMs(last, to);
+      last = to;
+      await run(({ x, y, ms }) => window.__mkdemoCursor?.moveTo(x, y, ms), { ...to, ms });
+      await page.waitForTimeout(ms + SETTLE_MS);
+    },
+    /** Ripple at the current position. */
+    async click() {
+      await run(() => window.__mkdemoCursor?.click());
+    },
+    /** Flash a keypress / typing badge. */
+    async key(label) {
+      await run((text) => window.__mkdemoCursor?.key(text), label);
+    },
+  };
+}
@@ -0,0 +1,173 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { parse as parseYaml } from 'yaml';
+import { z } from 'zod';
+import { demoActionSchema, demoSpecSchema } from './schemas.js';
+import { describeAction } from './actions.js';
+import { importRecording } from './importers.js';
+
+/**
+ * Declarative demo scripts (demo.yaml / demo.json).
+ *
+ * When we already know which features and clicks we want, a demo script lists
+ * them — name, featureUrl, pitch, and the exact actions (selector or text
+ * targets, waits, typed values) — plus optional title/caption/narration
+ * overrides. runPipeline then skips crawl + feature detection, the recorder
+ * replays the actions instead of improvising, and the same script renders the
+ * same video every time.
+ *
+ *   url: https://app.example.com
+ *   title: Acme in 60 seconds
+ *   narration:
+ *     intro: Meet Acme, the fastest way to ship invoices.
+ *   features:
+ *     - name: Instant search
+ *       featureUrl: /search
+ *       pitch: Find any invoice as you type.
+ *       actions:
+ *         - { type: fill, target: { selector: "#q" }, value: "overdue" }
+ *         - { type: wait, target: { text: "Results" } }
+ *         - { type: click, target: { role: button, name: "Export" } }
+ *         - { type: wait, value: 1500 }
+ *
+ * A feature can instead point `recording` at a Chrome DevTools Recorder export
+ * or a `playwright codegen` script (importers.js); its name, start URL,
+ * viewport and actions fill in whatever the feature doesn't set itself.
+ *
+ *     - recording: ./flows/checkout.json
+ *       pitch: Checkout in two taps.
+ *
+ * YAML is a superset of JSON, so one parser reads both formats.
+ */
+
+const SPEC_FILE = /\.(ya?ml|json)$/i;
+const RECORDING_FILE = /\.(json|[cm]?[jt]s)$/i;
+const isFilePath = (value, pattern) => typeof value === 'string' && !value.includes('\n') && pattern.test(value.trim());
+
+/**
+ * Parse and validate a demo script given as text, a parsed object, or a path to
+ * a .yaml/.yml/.json file. Recording paths are read relative to that file —
+ * only when the script itself came from a file. Throws an Error naming every
+ * invalid field.
+ * @returns {Promise<object>} spec shaped by schemas.js#demoSpecSchema, plus
+ *   `warnings` for recording steps that couldn't be imported
+ */
+export async function loadDemoSpec(input) {
+  if (!isFilePath(input, SPEC_FILE)) return parseDemoSpec(input);
+
+  const file = path.resolve(input.trim());
+  const data = toData(await fs.readFile(file, 'utf8'));
+  for (const f of Array.isArray(data?.features) ? data.features : []) {
+    if (isFilePath(f?.recording, RECORDING_FILE)) {
+      f.recording = await fs.readFile(path.resolve(path.dirname(file), f.recording.trim()), 'utf8');
+    }
+  }
+  return parseDemoSpec(data);
+}
+
+/**
+ * Synchronous variant of loadDemoSpec for text or an already-parsed object.
+ * `recording` fields must hold the recording itself (never a path), so
+ * untrusted scripts can't make us read files.
+ */
+export function parseDemoSpec(source) {
+  const result = demoSpecSchema.safeParse(toData(source));
+  if (!result.success) throw invalid(result.error.issues);
+
+  const warnings = [];
+  const features = result.data.features.map((f, i) => (f.recording ? withRecording(f, i, warnings) : f));
+  return { ...result.data, features, warnings };
+}
+
+function toData(source) {
+  if (typeof source !== 'string') return source;
+  try {
+    return parseYaml(source);
+  } catch (err) {
+    throw new Error(`Demo script is not valid YAML/JSON: ${String(err.message).split('\n')[0]}`);
+  }
+}
+
+function invalid(issues, prefix = []) {
+  const lines = issues.map((i) => `${[...prefix, ...i.path].join('.') || '(root)'}: ${i.message}`);
+  return new Error(`Invalid demo script — ${lines.join('; ')}`);
+}
+
+// Fill a feature's unset fields from its imported recording.
+function withRecording({ recording, ...f }, index, warnings) {
+  let imported;
+  try {
+    imported = importRecording(recording);
+  } catch (err) {
+    throw invalid([{ path: ['recording'], message: err.message }], ['features', index]);
+  }
+  const { feature } = imported;
+  const actions = f.actions.length ? f.actions : feature.actions;
+  const checked = z.array(demoActionSchema).safeParse(actions);
+  if (!checked.success) throw invalid(checked.error.issues, ['features', index, 'recording']);
+
+  for (const w of imported.warnings) warnings.push(`${f.name || feature.name}: ${w}`);
+  return {
+    ...f,
+    name: f.name || feature.name,
+    featureUrl: f.featureUrl || feature.featureUrl,
+    viewport: f.viewport || feature.viewport,
+    actions: checked.data,
+  };
+}
+
+/**
+ * Turn a spec's features into the pipeline's feature objects. Relative
+ * featureUrls resolve against `baseUrl` (the job URL or the spec's `url`).
+ * `steps` gets a readable line per action for logs and the script writer;
+ * `actions` is what the recorder replays.
+ */
+export function specFeatures(spec, baseUrl) {
+  return spec.features.map((f) => {
+    let featureUrl = f.featureUrl;
+    try {
+      featureUrl = new URL(f.featureUrl, baseUrl).href;
+    } catch {
+      // Leave it as written; the recorder's goto will report it.
+    }
+    return {
+      name: f.name,
+      featureUrl,
+      pitch: f.pitch,
+      steps: f.actions.map(describeAction),
+      actions: f.actions,
+      ...(f.viewport ? { viewport: f.viewport } : {}),
+    };
+  });
+}
+
+/**
+ * Apply the spec's title/tagline/narration overrides to a written script.
+ * Feature overrides match feature segments by featureIndex; intro/outro
+ * narration replaces the first intro / last outro segment's line.
+ */
+export function applyScriptOverrides(script, spec) {
+  const segments = script.segments.map((seg) => {
+    const out = { ...seg };
+    if (seg.kind === 'feature' && seg.featureIndex != null) {
+      const f = spec.features[seg.featureIndex];
+      if (f?.title != null) out.title = f.title;
+      if (f?.caption != null) out.caption = f.caption;
+      if (f?.narration != null) out.narration = f.narration;
+    }
+    return out;
+  });
+
+  const intro = segments.find((s) => s.kind === 'intro');
+  if (intro && spec.narration?.intro != null) intro.narration = spec.narration.intro;
+  const outro = segments.findLast((s) => s.kind === 'outro');
+  if (outro && spec.narration?.outro != null) outro.narration = spec.narration.outro;
+  if (intro && spec.title != null) intro.title = spec.title;
+
+  return {
+    ...script,
+    title: spec.title ?? script.title,
+    tagline: spec.tagline ?? script.tagline,
+    segments,
+  };
+}
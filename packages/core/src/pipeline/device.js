@@ -0,0 +1,94 @@
+import { devices } from 'playwright';
+
+/**
+ * Device emulation for crawl and recording.
+ *
+ * The job's `device` names a Playwright device descriptor ("iPhone 15",
+ * "Pixel 8", "iPad Pro 11", or a short alias like "iphone") whose viewport,
+ * device scale factor, touch support and user agent are used by every crawl
+ * and recording context, so mobile layouts are what gets discovered and
+ * recorded. Without one, both keep the 1280x720 desktop viewport.
+ *
+ * Portrait recordings need a different assembly layout than the 16:9 desktop
+ * letterbox: `deviceLayout` 'mockup' (default) frames them in a phone on the
+ * 1920x1080 canvas, 'native' renders the whole video at 9:16.
+ */
+
+export const DESKTOP_VIEWPORT = { width: 1280, height: 720 };
+export const DEVICE_LAYOUTS = ['mockup', 'native'];
+
+const ALIASES = {
+  iphone: 'iPhone 15',
+  'iphone pro': 'iPhone 15 Pro',
+  'iphone pro max': 'iPhone 15 Pro Max',
+  pixel: 'Pixel 8',
+  android: 'Pixel 8',
+  galaxy: 'Galaxy S24',
+  ipad: 'iPad Pro 11',
+  'ipad mini': 'iPad Mini',
+  tablet: 'iPad Pro 11',
+};
+
+/**
+ * Look up a device by descriptor name (case-insensitive) or alias.
+ * @param {string|null} name
+ * @param {object} [registry]  Playwright's `devices` (injectable for tests)
+ * @returns {{name: string, viewport, deviceScaleFactor, isMobile, hasTouch, userAgent} | null}
+ *   null for no device (desktop); throws for an unknown name
+ */
+export function resolveDevice(name, registry = devices) {
+  if (!name) return null;
+  const wanted = String(name).trim().toLowerCase();
+  const key = Object.keys(registry).find((k) => k.toLowerCase() === (ALIASES[wanted] || wanted).toLowerCase());
+  if (!key) {
+    const close = Object.keys(registry)
+      .filter((k) => !/landscape/i.test(k) && k.toLowerCase().includes(wanted.split(/\s+/)[0]))
+      .slice(0, 6);
+    throw new Error(`Unknown device "${name}"${close.length ? ` — try ${close.map((k) => `"${k}"`).join(', ')}` : ''}`);
+  }
+  const d = registry[key];
+  return {
+    name: key,
+    viewport: d.viewport,
+    deviceScaleFactor: d.deviceScaleFactor,
+    isMobile: d.isMobile,
+    hasTouch: d.hasTouch,
+    userAgent: d.userAgent,
+  };
+}
+
+/**
+ * newContext options for `device` (we always drive Chromium, so the
+ * descriptor's defaultBrowserType is dropped). Desktop: just the viewport.
+ */
+export function deviceContextOptions(device, viewport = DESKTOP_VIEWPORT) {
+  if (!device) return { viewport };
+  const { viewport: v, deviceScaleFactor, isMobile, hasTouch, userAgent } = device;
+  return { viewport: v, deviceScaleFactor, isMobile, hasTouch, userAgent };
+}
+
+/**
+ * recordVideo frame size: the viewport, scaled by the device's pixel ratio (up
+ * to 2x) so a 393px-wide phone isn't upscaled from a thumbnail.
+ */
+export function videoSize(viewport, device) {
+  const dpr = Math.min(2, device?.deviceScaleFactor || 1);
+  const even = (n) => Math.round((n * dpr) / 2) * 2;
+  return { width: even(viewport.width), height: even(viewport.height) };
+}
+
+export const isPortrait = (viewport) => Boolean(viewport) && viewport.height > viewport.width;
+
+/**
+ * Assembly layout for a job: the output frame and whether feature clips sit
+ * in a phone mockup. Desktop and landscape devices keep the 1080p letterbox.
+ * @returns {{frame: {width:number, height:number}, mockup: boolean}}
+ */
+export function assemblyLayout(device, layout = 'mockup') {
+  if (!DEVICE_LAYOUTS.includes(layout)) {
+    throw new Error(`Unknown deviceLayout "${layout}" (expected ${DEVICE_LAYOUTS.join(', ')})`);
+  }
+  if (!isPortrait(device?.viewport)) return { frame: { width: 1920, height: 1080 }, mockup: false };
+  if (layout === 'native') return { frame: { width: 1080, height: 1920 }, mockup: false };
+  return { frame: { width: 1920, height: 1080 }, mockup: true };
+}
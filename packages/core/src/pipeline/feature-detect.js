@@ -12,7 +12,7 @@ import { featureDetectionSchema } from './schemas.js';
  * Falls back to a heuristic (homepage + a few distinct crawled pages) when no
  * ANTHROPIC_API_KEY is configured.
  */
-export async function detectFeatures({ homepageUrl, pages, maxFeatures = 5, log }) {
+export async function detectFeatures({ homepageUrl, pages, maxFeatures = 5, cache, log }) {
   log?.(`Analyzing ${pages.length} page(s) to pick demo-worthy features`);
 
   const result = await parseStructured({
@@ -23,6 +23,7 @@ export async function detectFeatures({ homepageUrl, pages, maxFeatures = 5, log
       .join('\n')}`,
     schema: featureDetectionSchema,
     maxTokens: 8000,
+    cache,
   });
 
   let features = result?.features ?? [];
@@ -2,6 +2,15 @@ import { chromium } from 'playwright';
 import { mkdtemp, readFile, rm } from 'node:fs/promises';
 import { tmpdir } from 'node:os';
 import { join } from 'node:path';
+import { isLlmEnabled } from './llm.js';
+import { runAgentLoop } from './browser-agent.js';
+import { describeAction, performAction } from './actions.js';
+import { createCursor, installCursor } from './cursor.js';
+import { applyMasking, readMaskReport } from './masking.js';
+import { applyCleanup, dismissOverlays } from './cleanup.js';
+import { harContextOptions, routeFromHar } from './har.js';
+import { applyFreeze } from './freeze.js';
+import { DESKTOP_VIEWPORT, deviceContextOptions, videoSize } from './device.js';
 
 /**
  * Record a short screen-capture clip of one feature (Playwright recordVideo).
@@ -10,30 +19,101 @@ import { join } from 'node:path';
  * video while performing the feature's steps, then flush the .webm to disk and
  * return its bytes (the assembly stage transcodes/trims to the timeline).
  *
- * Steps are plain English; we run a light best-effort interpreter (click text
- * matches, scroll, wait) so the recording shows motion. A full Claude-driven
- * action loop (like qaaas browser-agent) is the documented upgrade path.
+ * With Claude enabled, an observe/act agent loop (browser-agent.js) drives the
+ * page: it reads an ARIA snapshot + screenshot, picks a typed action, and
+ * verifies each one before the next, within a `maxSteps` budget. Without a key
+ * we fall back to a light best-effort interpreter over the plain-English steps
+ * (click text matches, scroll, wait) so the recording still shows motion.
+ * Features from a demo script (demo-spec.js) carry typed `actions`, which are
+ * replayed as written — no agent, no guessing — so re-runs record the same clip.
+ * That includes flows imported from the Chrome Recorder or `playwright codegen`
+ * (importers.js), which also carry their recorded `viewport`.
+ *
+ * `storageState` is the session file saved by the crawl (or supplied by the
+ * user), so features behind auth record logged in. Unless `cursor: false`, a
+ * synthetic cursor (cursor.js) follows the performed actions, since recordVideo
+ * doesn't capture the real mouse.
+ *
+ * Alongside the webm it returns `focus`: when (seconds into the clip) and where
+ * (viewport box) each action landed, which the assembly stage turns into
+ * zoom-and-pan keyframes (zoom.js), plus the `viewport` those boxes are in.
+ *
+ * @param {{name, featureUrl, steps?, actions?, viewport?}} feature
+ * @param {object} [opts]
+ * @param {string|null} [opts.storageState]  session file to record logged in (session.js)
+ * @param {number} [opts.maxSteps]           agent loop budget (default 8)
+ * @param {boolean} [opts.cursor]            draw the synthetic cursor (cursor.js; default true)
+ * @param {object|null} [opts.masking]       masking.js#maskingConfig result (null = off); counts come back as `redactions`
+ * @param {object|null} [opts.cleanup]       cleanup.js#cleanupConfig result (null = off)
+ * @param {{mode: 'record'|'replay', path: string}|null} [opts.har]  record or replay the traffic (har.js)
+ * @param {{time,seed}|null} [opts.freeze]   freeze.js#freezeConfig result (null = live clock)
+ * @param {object|null} [opts.device]        device.js#resolveDevice result (null = desktop)
+ * @param {AbortSignal} [opts.signal]        closes the browser and rejects
+ * @param {(msg:string)=>void} [opts.log]
+ * @returns {Promise<{name, webm, focus, viewport, redactions}>}
  */
-export async function recordFeature(feature, { credentials, log } = {}) {
-  const videoDir = await mkdtemp(join(tmpdir(), 'mkdemo-feat-'));
+export async function recordFeature(
+  feature,
+  {
+    storageState,
+    maxSteps = 8,
+    cursor: showCursor = true,
+    masking = null,
+    cleanup = null,
+    har = null,
+    freeze = null,
+    device = null,
+    signal,
+    log,
+  } = {},
+) {
+  signal?.throwIfAborted();
   const browser = await chromium.launch({ headless: true });
-  const context = await browser.newContext({
-    viewport: { width: 1280, height: 720 },
-    recordVideo: { dir: videoDir, size: { width: 1280, height: 720 } },
-  });
-
+  const closeOnAbort = () => browser.close().catch(() => {});
+  signal?.addEventListener('abort', closeOnAbort, { once: true });
+  let videoDir;
   try {
+    videoDir = await mkdtemp(join(tmpdir(), 'mkdemo-feat-'));
+    // Imported recordings replay at the viewport they were recorded at.
+    const viewport = device?.viewport || feature.viewport || DESKTOP_VIEWPORT;
+    const context = await browser.newContext({
+      ...deviceContextOptions(device, viewport),
+      storageState: storageState || undefined,
+      recordVideo: { dir: videoDir, size: videoSize(viewport, device) },
+      ...harContextOptions(har),
+    });
+    await routeFromHar(context, har, log);
+    await applyMasking(context, masking);
+    await applyCleanup(context, cleanup);
+    await applyFreeze(context, freeze);
+    if (showCursor) await context.addInitScript(installCursor);
+
     const page = await context.newPage();
+    const cursor = showCursor ? createCursor(page) : undefined;
+    // The video starts with the page; time each action's target against it.
+    const startedAt = Date.now();
+    const focus = [];
+    const onTarget = (box) => focus.push({ t: (Date.now() - startedAt) / 1000, box });
     await page.goto(feature.featureUrl, { waitUntil: 'domcontentloaded', timeout: 30000 }).catch(() => {});
     await page.waitForLoadState('networkidle', { timeout: 8000 }).catch(() => {});
+    await dismissOverlays(page, cleanup);
 
-    for (const step of feature.steps || []) {
-      await runStep(page, step).catch(() => {});
-      await page.waitForTimeout(1200);
+    if (feature.actions?.length) {
+      await replayActions(page, feature.actions, { cursor, onTarget, signal, log });
+    } else if (isLlmEnabled()) {
+      await runAgentLoop(page, feature, { maxSteps, log, cursor, onTarget, signal });
+    } else {
+      for (const step of feature.steps || []) {
+        signal?.throwIfAborted();
+        await runStep(page, step, { cursor, onTarget }).catch(() => {});
+        await page.waitForTimeout(1200);
+      }
     }
     // A beat at the end so the clip doesn't cut on the last action.
     await page.waitForTimeout(1000);
+    signal?.throwIfAborted();
 
+    const redactions = masking ? await readMaskReport(page) : null;
     const video = page.video();
     await context.close(); // flushes the recorded video to disk
 
@@ -43,16 +123,28 @@ export async function recordFeature(feature, { credentials, log } = {}) {
       if (p) webm = await readFile(p).catch(() => undefined);
     }
     log?.(`Recorded "${feature.name}" (${webm ? webm.length : 0} bytes)`);
-    return { name: feature.name, webm };
+    return { name: feature.name, webm, focus, viewport, redactions };
   } finally {
+    signal?.removeEventListener('abort', closeOnAbort);
     await browser.close();
-    await rm(videoDir, { recursive: true, force: true }).catch(() => {});
+    if (videoDir) await rm(videoDir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+// Replay scripted actions in order. A failed action is logged and skipped so
+// one stale selector doesn't throw away the whole clip.
+async function replayActions(page, actions, { cursor, onTarget, signal, log }) {
+  for (const action of actions) {
+    signal?.throwIfAborted();
+    const res = await performAction(page, action, { cursor, onTarget });
+    if (!res.ok && action.type !== 'scroll') log?.(`Scripted step "${describeAction(action)}" failed: ${res.error}`);
+    if (action.type !== 'wait') await page.waitForTimeout(800);
   }
 }
 
 // Best-effort single-step interpreter. Tries to click an element whose visible
 // text overlaps the step's words; otherwise scrolls the viewport.
-async function runStep(page, step) {
+async function runStep(page, step, { cursor, onTarget }) {
   const lower = String(step).toLowerCase();
 
   if (/scroll/.test(lower)) {
@@ -75,6 +167,10 @@ async function runStep(page, step) {
       const box = await el.boundingBox().catch(() => null);
       if (box) {
         await el.scrollIntoViewIfNeeded({ timeout: 2000 }).catch(() => {});
+        const target = (await el.boundingBox().catch(() => null)) || box;
+        onTarget(target);
+        await cursor?.moveTo(target);
+        await cursor?.click();
         await el.click({ timeout: 2500 }).catch(() => {});
         return;
       }
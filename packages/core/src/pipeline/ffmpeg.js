@@ -1,42 +1,130 @@
 import { spawn } from 'node:child_process';
+import { AsyncLocalStorage } from 'node:async_hooks';
 
-/** Run ffmpeg with the given args; resolves on success, rejects on non-zero. */
-export function runFfmpeg(args, onLog) {
+// The signal of the job whose code is running, so the many helpers that spawn
+// ffmpeg (assembly, graphics, music, …) don't each need a `signal` argument.
+const abortScope = new AsyncLocalStorage();
+
+/**
+ * Run `fn` with `signal` as the default for every child process spawned below
+ * it (runFfmpeg, probeDuration, tts-local.js#runTool): aborting it kills them.
+ */
+export function withAbortSignal(signal, fn) {
+  return signal ? abortScope.run(signal, fn) : fn();
+}
+
+/** The signal set by the enclosing withAbortSignal, if any. */
+export function currentSignal() {
+  return abortScope.getStore();
+}
+
+/** The error a run rejects with once its signal is aborted. */
+export function cancelledError(signal) {
+  const err = new Error(signal?.reason?.message || 'Cancelled');
+  err.name = 'AbortError';
+  return err;
+}
+
+/**
+ * Run ffmpeg with the given args; resolves on success, rejects on non-zero.
+ * Aborting `signal` kills ffmpeg and rejects with an AbortError.
+ */
+export function runFfmpeg(args, onLog, { signal = currentSignal() } = {}) {
   return new Promise((resolve, reject) => {
-    const proc = spawn('ffmpeg', ['-y', '-hide_banner', '-loglevel', 'error', ...args]);
+    if (signal?.aborted) return reject(cancelledError(signal));
+    const proc = spawn('ffmpeg', ['-y', '-hide_banner', '-loglevel', 'error', ...args], { signal });
     let stderr = '';
     proc.stderr.on('data', (chunk) => {
       const text = chunk.toString();
       stderr += text;
       onLog?.(text.trim());
     });
-    proc.on('error', (err) => reject(new Error(`ffmpeg failed to start: ${err.message}`)));
+    proc.on('error', (err) =>
+      reject(signal?.aborted ? cancelledError(signal) : new Error(`ffmpeg failed to start: ${err.message}`)),
+    );
     proc.on('close', (code) => {
-      if (code === 0) resolve();
+      if (signal?.aborted) reject(cancelledError(signal));
+      else if (code === 0) resolve();
       else reject(new Error(`ffmpeg exited ${code}: ${stderr.slice(-500)}`));
     });
   });
 }
 
 /** Probe a media file's duration in seconds (ffprobe). */
-export function probeDuration(file) {
+export function probeDuration(file, { signal = currentSignal() } = {}) {
   return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(cancelledError(signal));
     const proc = spawn('ffprobe', [
       '-v', 'error',
       '-show_entries', 'format=duration',
       '-of', 'default=noprint_wrappers=1:nokey=1',
       file,
-    ]);
+    ], { signal });
     let out = '';
     proc.stdout.on('data', (c) => (out += c.toString()));
-    proc.on('error', reject);
+    proc.on('error', (err) => reject(signal?.aborted ? cancelledError(signal) : err));
     proc.on('close', () => {
+      if (signal?.aborted) return reject(cancelledError(signal));
       const d = parseFloat(out.trim());
       Number.isFinite(d) ? resolve(d) : reject(new Error('bad duration'));
     });
   });
 }
 
+/**
+ * Probe a media file's duration and which kinds of stream it carries
+ * (ffprobe). Rejects when ffprobe can't read it.
+ * @returns {Promise<{duration: number|null, video: boolean, audio: boolean}>}
+ */
+export function probeMedia(file, { signal = currentSignal() } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(cancelledError(signal));
+    const proc = spawn('ffprobe', [
+      '-v', 'error',
+      '-show_entries', 'format=duration:stream=codec_type',
+      '-of', 'json',
+      file,
+    ], { signal });
+    let out = '';
+    let stderr = '';
+    proc.stdout.on('data', (c) => (out += c.toString()));
+    proc.stderr.on('data', (c) => (stderr += c.toString()));
+    proc.on('error', (err) => reject(signal?.aborted ? cancelledError(signal) : err));
+    proc.on('close', (code) => {
+      if (signal?.aborted) return reject(cancelledError(signal));
+      if (code !== 0) return reject(new Error(stderr.trim().slice(-300) || `ffprobe exited ${code}`));
+      const info = parseProbeOutput(out);
+      info ? resolve(info) : reject(new Error('unreadable ffprobe output'));
+    });
+  });
+}
+
+/** probeMedia's result from `ffprobe -of json` output, or null. */
+export function parseProbeOutput(stdout) {
+  let data;
+  try {
+    data = JSON.parse(stdout);
+  } catch {
+    return null;
+  }
+  const types = new Set((data?.streams || []).map((s) => s.codec_type));
+  const duration = parseFloat(data?.format?.duration);
+  return {
+    duration: Number.isFinite(duration) ? duration : null,
+    video: types.has('video'),
+    audio: types.has('audio'),
+  };
+}
+
+/**
+ * A file path as a filter option value inside a -vf / -filter_complex graph:
+ * escaped once for the option (\ ' :) and again for the graph (\ ' [ ] , ;).
+ */
+export function escapeFilterPath(file) {
+  const option = String(file).replace(/[\\':]/g, '\\$&');
+  return option.replace(/[\\'[\],;]/g, '\\$&');
+}
+
 /** Generate a silent stereo AAC track of a given duration (timing fallback). */
 export async function generateSilentAudio(outputPath, durationSec) {
   await runFfmpeg([
@@ -0,0 +1,133 @@
+import { ascending, keyframeExpr } from './zoom.js';
+
+/**
+ * Output formats: 16:9, 9:16 and 1:1 cuts of one demo.
+ *
+ * A job can ask for several `formats`; assembly renders each from the same
+ * timeline and voiceover, re-laying out cards and lower-thirds for the frame.
+ * Recorded feature clips don't get letterboxed into a vertical or square frame
+ * (a 1280x720 page shrunk to a 1080px-wide strip) — they're smart-cropped to
+ * the frame's aspect instead: the crop window starts on the first action
+ * recordFeature logged and glides to each later one, so what's being clicked
+ * stays in shot. Uploaded clips carry no action regions and stay letterboxed.
+ *
+ * Pure: ffmpeg filter strings only.
+ */
+
+export const OUTPUT_FORMATS = {
+  landscape: { width: 1920, height: 1080 },
+  vertical: { width: 1080, height: 1920 },
+  square: { width: 1080, height: 1080 },
+};
+
+const ALIASES = {
+  '16:9': 'landscape',
+  '9:16': 'vertical',
+  '1:1': 'square',
+  portrait: 'vertical',
+  reels: 'vertical',
+  shorts: 'vertical',
+  tiktok: 'vertical',
+};
+
+const PAN_S = 0.6; // glide between action targets
+const FULL_SHARE = 0.98; // a crop keeping this much of both sides isn't worth it
+
+/**
+ * Resolve the job's `formats` option (a name, alias or list — 'vertical',
+ * '9:16', ['landscape', 'square']) to unique format names in order.
+ * Falsy → [fallback]. Throws on an unknown format.
+ * @returns {string[]}
+ */
+export function resolveFormats(option, fallback = 'landscape') {
+  const list = Array.isArray(option) ? option : option ? String(option).split(',') : [fallback];
+  const names = [];
+  for (const raw of list) {
+    const wanted = String(raw).trim().toLowerCase();
+    if (!wanted) continue;
+    const name = ALIASES[wanted] || wanted;
+    if (!OUTPUT_FORMATS[name]) {
+      const known = Object.keys(OUTPUT_FORMATS).join(', ');
+      throw new Error(`Unknown output format "${raw}" (expected ${known}, or 16:9, 9:16, 1:1)`);
+    }
+    if (!names.includes(name)) names.push(name);
+  }
+  return names.length ? names : [fallback];
+}
+
+/**
+ * File name for each format: the first is the job's `demo.mp4` (what the web
+ * UI plays); the rest are `demo-<format>.mp4` alongside it.
+ * @returns {Object<string, string>}
+ */
+export function formatFileNames(names) {
+  return Object.fromEntries(names.map((name, i) => [name, i === 0 ? 'demo.mp4' : `demo-${name}.mp4`]));
+}
+
+/**
+ * Smart crop for a recorded clip: a window with the frame's aspect, as large
+ * as the viewport allows, panned over time to keep each action in shot.
+ * @param {Array<{t:number, box:object}>} focus  action events from recordFeature
+ * @param {object} opts
+ * @param {{width,height}} opts.viewport  recording viewport
+ * @param {{width,height}} opts.frame     output frame
+ * @param {number} opts.duration          segment duration (s)
+ * @returns {{crop: {width,height}, x: number[][], y: number[][], focus: Array} | null}
+ *   crop size and left/top keyframes in viewport pixels, plus `focus` re-expressed
+ *   in the cropped view (for zoom.js); null when the frame already fits the viewport
+ */
+export function smartCrop(focus, { viewport, frame, duration }) {
+  const aspect = frame.width / frame.height;
+  const crop = {
+    width: Math.min(viewport.width, viewport.height * aspect),
+    height: Math.min(viewport.height, viewport.width / aspect),
+  };
+  if (crop.width >= viewport.width * FULL_SHARE && crop.height >= viewport.height * FULL_SHARE) return null;
+
+  const clamp = (v, max) => Math.min(Math.max(0, v), max);
+  const events = (focus || [])
+    .filter((f) => f?.box && f.box.width > 0 && f.box.height > 0 && f.t >= 0 && f.t < duration)
+    .sort((a, b) => a.t - b.t)
+    .map((f) => ({
+      ...f,
+      x: clamp(f.box.x + f.box.width / 2 - crop.width / 2, viewport.width - crop.width),
+      y: clamp(f.box.y + f.box.height / 2 - crop.height / 2, viewport.height - crop.height),
+    }));
+
+  // Start on the first action (or hold the middle without any).
+  const first = events[0] || { x: (viewport.width - crop.width) / 2, y: (viewport.height - crop.height) / 2 };
+  const x = [[0, first.x]];
+  const y = [[0, first.y]];
+  for (let i = 1; i < events.length; i++) {
+    const prev = events[i - 1];
+    const e = events[i];
+    const from = Math.max(prev.t, e.t - PAN_S);
+    x.push([from, prev.x], [e.t, e.x]);
+    y.push([from, prev.y], [e.t, e.y]);
+  }
+  return {
+    crop,
+    x: ascending(x),
+    y: ascending(y),
+    // At each event the crop sits at its keyframe, so boxes shift by that.
+    focus: events.map(({ x: left, y: top, ...f }) => ({
+      ...f,
+      box: { ...f.box, x: f.box.x - left, y: f.box.y - top },
+    })),
+  };
+}
+
+/**
+ * ffmpeg `crop` + `scale` for a smartCrop result. Keyframes are in viewport
+ * pixels; the recording may be captured larger (device pixel ratio), so
+ * everything is scaled by iw/ih at filter time.
+ */
+export function smartCropFilter(plan, { viewport, frame }) {
+  const sx = `iw/${viewport.width}`;
+  const sy = `ih/${viewport.height}`;
+  const w = `${plan.crop.width}*${sx}`;
+  const h = `${plan.crop.height}*${sy}`;
+  const x = `clip((${keyframeExpr(plan.x, 't')})*${sx},0,iw-ow)`;
+  const y = `clip((${keyframeExpr(plan.y, 't')})*${sy},0,ih-oh)`;
+  return `crop=w='${w}':h='${h}':x='${x}':y='${y}',scale=${frame.width}:${frame.height},setsar=1`;
+}
@@ -0,0 +1,85 @@
+import { addInitScript } from './init-script.js';
+
+/**
+ * Frozen clock and seeded randomness for stable recordings.
+ *
+ * Dashboards render "updated 3 minutes ago", live charts and random avatars,
+ * so no two recordings match. With the job's `freeze` option every page in the
+ * crawl and recording contexts starts its clock at one fixed timestamp
+ * (Playwright's context.clock — Date, timers and performance.now all follow
+ * it, advancing naturally from there) and gets a seeded PRNG behind
+ * Math.random, crypto.getRandomValues and crypto.randomUUID, reset on every
+ * document. Same timestamp + same seed + same data (har.js replay) → the same
+ * pixels.
+ */
+
+export const DEFAULT_SEED = 1;
+
+/**
+ * Resolve the job's `freeze` option: falsy → null (off); `true` or
+ * `{time?, seed?}` → a fixed epoch-ms `time` (default `fallbackTime`, e.g. the
+ * time a replayed HAR was recorded) and a uint32 `seed`. Throws on a time that
+ * doesn't parse.
+ * @returns {{time: number, seed: number} | null}
+ */
+export function freezeConfig(option, { fallbackTime = Date.now() } = {}) {
+  if (!option) return null;
+  const opts = option === true ? {} : option;
+  const time = opts.time == null ? fallbackTime : typeof opts.time === 'number' ? opts.time : Date.parse(opts.time);
+  if (!Number.isFinite(time)) throw new Error(`Invalid freeze time "${opts.time}" (use an ISO date or epoch ms)`);
+  const seed = opts.seed == null ? DEFAULT_SEED : Number(opts.seed);
+  if (!Number.isInteger(seed)) throw new Error(`Invalid freeze seed "${opts.seed}" (use an integer)`);
+  return { time: Math.round(time), seed: seed >>> 0 };
+}
+
+/**
+ * mulberry32: a tiny seeded PRNG returning floats in [0, 1). Also runs in the
+ * page via freezeScript, so it must stay self-contained.
+ */
+export function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** In-page half, run as `(installSeededRandom)(seed, seededRandom)`. */
+export function installSeededRandom(seed, makeRandom) {
+  if (window.__mkdemoSeeded) return;
+  window.__mkdemoSeeded = true;
+  const random = makeRandom(seed);
+  Math.random = random;
+  if (!window.crypto) return;
+  const getRandomValues = (array) => {
+    const bytes = new Uint8Array(array.buffer, array.byteOffset, array.byteLength);
+    for (let i = 0; i < bytes.length; i++) bytes[i] = Math.floor(random() * 256);
+    return array;
+  };
+  crypto.getRandomValues = getRandomValues;
+  crypto.randomUUID = () => {
+    const b = getRandomValues(new Uint8Array(16));
+    b[6] = (b[6] & 0x0f) | 0x40; // version 4
+    b[8] = (b[8] & 0x3f) | 0x80; // RFC 4122 variant
+    const hex = [...b].map((x) => x.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+  };
+}
+
+/** Init-script source that seeds randomness in every document. */
+export function freezeScript(config) {
+  return `(${installSeededRandom})(${config.seed}, ${seededRandom});`;
+}
+
+/**
+ * Freeze a Playwright context before any page opens: install the fake clock at
+ * `config.time` and the seeded-random init script. No-op when `config` is null.
+ */
+export async function applyFreeze(context, config) {
+  if (!config) return;
+  await context.clock.install({ time: config.time });
+  await addInitScript(context, freezeScript(config));
+}
@@ -13,8 +13,7 @@ import { runFfmpeg } from './ffmpeg.js';
  *     with fading kinetic type. Zero extra toolchain, always runnable.
  */
 
-const WIDTH = 1920;
-const HEIGHT = 1080;
+const FRAME = { width: 1920, height: 1080 };
 const FPS = 30;
 const FONT = findFont();
 
@@ -50,22 +49,24 @@ function drawtextFont() {
  * @param {number} opts.duration  seconds
  * @param {string} opts.outPath
  * @param {string} [opts.audioPath]  optional narration to mux in
+ * @param {{width,height}} [opts.frame]  output size (default 1920x1080; type scales with it)
  */
-export async function renderCard({ title, subtitle, duration, outPath, audioPath }) {
+export async function renderCard({ title, subtitle, duration, outPath, audioPath, frame = FRAME }) {
   const ff = drawtextFont();
   const d = Math.max(2, duration);
+  const k = typeScale(frame);
 
   // Surreal animated background: a slowly-zooming mandelbrot, desaturated and
   // darkened so white type pops. Title fades in + drifts up; subtitle follows.
   const vf = [
     `format=yuv420p`,
     `eq=saturation=0.6:brightness=-0.25:contrast=1.1`,
-    `drawtext=${ff}text='${escapeDrawtext(title)}':fontcolor=white:fontsize=96:x=(w-text_w)/2:y=(h-text_h)/2-60-20*sin(t):alpha='min(1,t/0.8)':box=1:boxcolor=black@0.35:boxborderw=24`,
-    `drawtext=${ff}text='${escapeDrawtext(subtitle || '')}':fontcolor=0xC0C0FF:fontsize=44:x=(w-text_w)/2:y=(h-text_h)/2+70:alpha='min(1,max(0,(t-0.5)/0.8))'`,
+    `drawtext=${ff}text='${escapeDrawtext(title)}':fontcolor=white:fontsize=${Math.round(96 * k)}:x=(w-text_w)/2:y=(h-text_h)/2-${Math.round(60 * k)}-20*sin(t):alpha='min(1,t/0.8)':box=1:boxcolor=black@0.35:boxborderw=${Math.round(24 * k)}`,
+    `drawtext=${ff}text='${escapeDrawtext(subtitle || '')}':fontcolor=0xC0C0FF:fontsize=${Math.round(44 * k)}:x=(w-text_w)/2:y=(h-text_h)/2+${Math.round(70 * k)}:alpha='min(1,max(0,(t-0.5)/0.8))'`,
   ].join(',');
 
   const args = [
-    '-f', 'lavfi', '-i', `mandelbrot=size=${WIDTH}x${HEIGHT}:rate=${FPS}`,
+    '-f', 'lavfi', '-i', `mandelbrot=size=${frame.width}x${frame.height}:rate=${FPS}`,
   ];
   if (audioPath) args.push('-i', audioPath);
   args.push(
@@ -89,9 +90,9 @@ export async function renderCard({ title, subtitle, duration, outPath, audioPath
 /**
  * Burn an animated lower-third (title + caption) onto an existing video clip.
  * @param {string} inputVideo
- * @param {object} opts { title, caption, outPath }
+ * @param {object} opts { title, caption, outPath, frame? }
  */
-export async function overlayLowerThird(inputVideo, { title, caption, outPath }) {
+export async function overlayLowerThird(inputVideo, { title, caption, outPath, frame = FRAME }) {
   if (!title && !caption) {
     // Nothing to overlay — just normalize the clip.
     await runFfmpeg(['-i', inputVideo, '-c', 'copy', outPath]).catch(async () => {
@@ -100,12 +101,15 @@ export async function overlayLowerThird(inputVideo, { title, caption, outPath })
     return outPath;
   }
   const ff = drawtextFont();
+  // Portrait frames get a smaller bar so it still fits across.
+  const k = typeScale(frame);
+  const px = (n) => Math.round(n * k);
   // Slide-in lower-third bar that holds for ~4s then fades.
   const vf = [
     `format=yuv420p`,
-    `drawbox=x=80:y=h-220:w=900:h=120:color=black@0.45:t=fill:enable='lt(t,5)'`,
-    `drawtext=${ff}text='${escapeDrawtext(title)}':fontcolor=white:fontsize=52:x=110:y=h-200:enable='lt(t,5)':alpha='min(1,t/0.5)'`,
-    `drawtext=${ff}text='${escapeDrawtext(caption || '')}':fontcolor=0xC0C0FF:fontsize=34:x=110:y=h-140:enable='lt(t,5)':alpha='min(1,t/0.5)'`,
+    `drawbox=x=${px(80)}:y=h-${px(220)}:w=${Math.min(px(900), frame.width - 2 * px(80))}:h=${px(120)}:color=black@0.45:t=fill:enable='lt(t,5)'`,
+    `drawtext=${ff}text='${escapeDrawtext(title)}':fontcolor=white:fontsize=${px(52)}:x=${px(110)}:y=h-${px(200)}:enable='lt(t,5)':alpha='min(1,t/0.5)'`,
+    `drawtext=${ff}text='${escapeDrawtext(caption || '')}':fontcolor=0xC0C0FF:fontsize=${px(34)}:x=${px(110)}:y=h-${px(140)}:enable='lt(t,5)':alpha='min(1,t/0.5)'`,
   ].join(',');
   await runFfmpeg([
     '-i', inputVideo,
@@ -120,6 +124,12 @@ export async function overlayLowerThird(inputVideo, { title, caption, outPath })
   return outPath;
 }
 
+// Type and layout scale for a frame: full size down to 1440px wide, then
+// shrinking with the width (0.75 on a 1080-wide portrait frame).
+function typeScale(frame) {
+  return Math.min(1, frame.width / 1440);
+}
+
 /**
  * Optional Remotion backend. Expects a bundled composition at graphics/ and
  * @remotion/renderer installed. Returns true on success, false to fall back.
@@ -0,0 +1,101 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+/**
+ * Network fixtures for deterministic re-recordings.
+ *
+ * A demo re-rendered a week later shows different data and the narration stops
+ * matching. With `network: 'record'` each recordFeature session is saved as a
+ * HAR (`<jobDir>/har/<feature>.har`) alongside the feature list it recorded;
+ * `network: 'replay'` with `harDir` pointing at that folder serves every
+ * recorded request from the HAR (Playwright routeFromHAR) and reuses the saved
+ * features instead of discovering new ones, so the re-recording shows the same
+ * data. Requests the HAR doesn't have (new assets, analytics) still go live.
+ * `'live'` (the default) does neither.
+ *
+ * HARs hold real responses, cookies and headers — like the saved session they
+ * stay in the job dir and are never served.
+ */
+
+export const NETWORK_MODES = ['live', 'record', 'replay'];
+/** Folder for HARs inside the job dir (never served statically). */
+export const HAR_DIR = 'har';
+/** Features recorded alongside the HARs, reused on replay. */
+export const HAR_MANIFEST = 'features.json';
+
+/**
+ * Resolve the job's network mode and HAR folder. Throws on an unknown mode, or
+ * replay without a `harDir`.
+ * @returns {{mode: 'live'|'record'|'replay', dir: string|null}}
+ */
+export function networkPlan(job, jobDir) {
+  const mode = job.network || 'live';
+  if (!NETWORK_MODES.includes(mode)) {
+    throw new Error(`Unknown network mode "${mode}" (expected ${NETWORK_MODES.join(', ')})`);
+  }
+  if (mode === 'replay' && !job.harDir) throw new Error('network: "replay" needs harDir (a recorded job\'s har folder)');
+  if (mode === 'live') return { mode, dir: null };
+  return { mode, dir: mode === 'replay' ? path.resolve(job.harDir) : path.join(jobDir, HAR_DIR) };
+}
+
+const slug = (s) =>
+  String(s || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60) || 'feature';
+
+/**
+ * One HAR file name per feature, from its name so a replay finds the right one
+ * even if features are reordered; repeated names get a numeric suffix.
+ */
+export function harFileNames(features) {
+  const used = new Map();
+  return features.map((f) => {
+    const base = slug(f.name);
+    const n = (used.get(base) || 0) + 1;
+    used.set(base, n);
+    return `${n > 1 ? `${base}-${n}` : base}.har`;
+  });
+}
+
+/**
+ * Save the features being recorded next to their HARs, plus `meta` such as the
+ * frozen clock time (freeze.js) a replay should reuse.
+ */
+export async function saveHarManifest(dir, features, meta = {}) {
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(path.join(dir, HAR_MANIFEST), JSON.stringify({ ...meta, features }, null, 2), 'utf8');
+}
+
+/**
+ * The manifest saved by a record run (`{features, frozenAt?}`), or null when
+ * `dir` has none.
+ */
+export async function loadHarManifest(dir) {
+  const text = await fs.readFile(path.join(dir, HAR_MANIFEST), 'utf8').catch(() => null);
+  if (!text) return null;
+  const data = JSON.parse(text);
+  return Array.isArray(data?.features) ? data : null;
+}
+
+/**
+ * Extra newContext options for a feature's `har` option ({mode, path}): record
+ * mode writes the HAR (on context.close) with bodies inline.
+ */
+export function harContextOptions(har) {
+  return har?.mode === 'record' ? { recordHar: { path: har.path, mode: 'minimal', content: 'embed' } } : {};
+}
+
+/**
+ * Replay mode: serve the context's requests from the feature's HAR. A missing
+ * HAR is reported and the feature records live.
+ */
+export async function routeFromHar(context, har, log) {
+  if (har?.mode !== 'replay') return;
+  if (!(await fs.access(har.path).then(() => true, () => false))) {
+    log?.(`No recorded HAR at ${har.path} — recording this feature live`);
+    return;
+  }
+  await context.routeFromHAR(har.path, { notFound: 'fallback' });
+}
@@ -0,0 +1,368 @@
+/**
+ * Import flows recorded elsewhere as pipeline features.
+ *
+ * QA already records flows with the Chrome DevTools Recorder (JSON export) and
+ * `playwright codegen` (JS/TS). These converters turn either into a feature —
+ * `{ name, featureUrl, pitch, viewport?, actions }` — whose typed actions
+ * (actions.js) recordFeature replays as written: the same selectors, typed
+ * text and viewport, no agent and no English-step guessing. Steps that can't
+ * be replayed (other tabs, iframes, file uploads, ...) are dropped and listed
+ * in `warnings` rather than failing the import.
+ *
+ * Pure text in, objects out — demo-spec.js wires them into demo scripts via a
+ * feature's `recording` field.
+ */
+
+const MODIFIER_KEYS = new Set(['Shift', 'Control', 'Alt', 'Meta', 'CapsLock']);
+
+/**
+ * Import a recording, detecting the format: JSON with a `steps` array is a
+ * Chrome Recorder export, anything else is parsed as Playwright codegen.
+ * @param {string|object} source
+ * @returns {{feature: object, warnings: string[]}}
+ */
+export function importRecording(source) {
+  if (typeof source === 'object' && source) return fromChromeRecording(source);
+  const text = String(source || '');
+  if (/^\s*\{/.test(text)) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      throw new Error('Recording looks like JSON but does not parse');
+    }
+    return fromChromeRecording(data);
+  }
+  if (/\bpage\.\w+\(/.test(text)) return fromPlaywrightCodegen(text);
+  throw new Error('Recording is neither a Chrome Recorder JSON export nor a Playwright codegen script');
+}
+
+// ---------------------------------------------------------------------------
+// Chrome DevTools Recorder
+// ---------------------------------------------------------------------------
+
+/**
+ * Convert a Chrome DevTools Recorder JSON export
+ * (`{ title, steps: [{ type: 'setViewport'|'navigate'|'click'|'change'|... }] }`).
+ */
+export function fromChromeRecording(recording) {
+  if (!recording || !Array.isArray(recording.steps)) {
+    throw new Error('Chrome Recorder export needs a "steps" array');
+  }
+  const warnings = [];
+  const actions = [];
+  let featureUrl = null;
+  let viewport;
+  let scrollY = 0;
+
+  recording.steps.forEach((step, i) => {
+    if (step.target && step.target !== 'main') {
+      warnings.push(`step ${i + 1} (${step.type}) runs in another tab/frame — skipped`);
+      return;
+    }
+    const target = step.selectors ? chromeTarget(step.selectors) : undefined;
+    if (step.selectors && !target) {
+      warnings.push(`step ${i + 1} (${step.type}) has no usable selector — skipped`);
+      return;
+    }
+
+    switch (step.type) {
+      case 'setViewport':
+        viewport = { width: step.width, height: step.height };
+        break;
+      case 'navigate':
+        if (!featureUrl) featureUrl = step.url;
+        else actions.push({ type: 'goto', value: step.url });
+        break;
+      case 'click':
+      case 'doubleClick':
+        actions.push({ type: 'click', target });
+        break;
+      case 'hover':
+        actions.push({ type: 'hover', target });
+        break;
+      case 'change':
+        actions.push({ type: 'fill', target, value: String(step.value ?? '') });
+        break;
+      case 'keyDown':
+        if (!MODIFIER_KEYS.has(step.key)) actions.push({ type: 'press', value: step.key });
+        break;
+      case 'keyUp':
+        break;
+      case 'scroll': {
+        // Window scrolls are absolute positions; replay them as deltas.
+        const y = Number(step.y) || 0;
+        if (y !== scrollY) actions.push({ type: 'scroll', value: String(y - scrollY) });
+        scrollY = y;
+        break;
+      }
+      case 'waitForElement':
+        actions.push({ type: 'wait', target, ...(step.timeout ? { value: String(step.timeout) } : {}) });
+        break;
+      case 'close':
+        break;
+      default:
+        warnings.push(`step ${i + 1} (${step.type}) is not supported — skipped`);
+    }
+  });
+
+  if (!featureUrl) throw new Error('Chrome Recorder export has no navigate step to start from');
+  return {
+    feature: { name: recording.title || 'Imported flow', featureUrl, pitch: '', viewport, actions },
+    warnings,
+  };
+}
+
+// Recorder steps list alternative selectors, each a chain (iframes / shadow
+// roots) of parts prefixed aria/, text/, xpath/, pierce/ or plain CSS. Fold the
+// single-part ones into one target so candidateLocators tries each in turn.
+function chromeTarget(selectors) {
+  const target = {};
+  for (const chain of selectors) {
+    const parts = Array.isArray(chain) ? chain : [chain];
+    if (parts.length !== 1) continue;
+    const sel = String(parts[0]);
+    if (sel.startsWith('aria/')) {
+      if (target.name) continue;
+      const m = sel.slice(5).match(/^(.*?)(?:\[role="([^"]+)"\])?$/);
+      target.name = m[1];
+      if (m[2]) target.role = m[2];
+    } else if (sel.startsWith('text/')) {
+      target.text ??= sel.slice(5);
+    } else if (sel.startsWith('xpath/')) {
+      target.xpath ??= `xpath=${sel.slice(6)}`;
+    } else if (sel.startsWith('pierce/')) {
+      // Playwright's CSS engine already pierces open shadow roots.
+      target.pierce ??= sel.slice(7);
+    } else {
+      target.selector ??= sel;
+    }
+  }
+  const { xpath, pierce, ...rest } = target;
+  if (!rest.selector && (pierce || xpath)) rest.selector = pierce || xpath;
+  return Object.keys(rest).length ? rest : null;
+}
+
+// ---------------------------------------------------------------------------
+// Playwright codegen
+// ---------------------------------------------------------------------------
+
+const LOCATOR_FACTORIES = {
+  getByRole: (args) => ({ role: args[0], ...(args[1]?.name != null ? { name: String(args[1].name) } : {}) }),
+  getByText: (args) => ({ text: String(args[0]) }),
+  getByLabel: (args) => ({ label: String(args[0]) }),
+  getByPlaceholder: (args) => ({ placeholder: String(args[0]) }),
+  getByTestId: (args) => ({ testId: String(args[0]) }),
+  getByAltText: (args) => ({ selector: `[alt=${JSON.stringify(String(args[0]))}]` }),
+  getByTitle: (args) => ({ selector: `[title=${JSON.stringify(String(args[0]))}]` }),
+  locator: (args) => ({ selector: String(args[0]) }),
+};
+
+/**
+ * Convert a `playwright codegen` script (library or @playwright/test flavour,
+ * JS or TS). Reads `page.goto`, locator actions (click/fill/press/check/
+ * selectOption/hover/...), keyboard presses, mouse wheel scrolls and
+ * waitForTimeout; assertions are ignored.
+ */
+export function fromPlaywrightCodegen(source) {
+  const warnings = [];
+  const actions = [];
+  let featureUrl = null;
+
+  const name = String(source).match(/\btest\(\s*(['"`])((?:\\.|(?!\1).)*)\1/)?.[2];
+  const vp = String(source).match(/viewport:\s*\{\s*width:\s*(\d+),\s*height:\s*(\d+)/);
+  const viewport = vp ? { width: Number(vp[1]), height: Number(vp[2]) } : undefined;
+
+  String(source)
+    .split('\n')
+    .forEach((raw, lineNo) => {
+      const line = raw.trim();
+      const stmt = line.match(/^await\s+(\w+)\.(.+?);?$/);
+      if (!stmt || stmt[1] === 'expect') return;
+      if (stmt[1] !== 'page') {
+        if (/^page\d+$/.test(stmt[1])) warnings.push(`line ${lineNo + 1}: acts on another tab — skipped`);
+        return;
+      }
+
+      let calls;
+      try {
+        calls = parseCallChain(stmt[2]);
+      } catch {
+        warnings.push(`line ${lineNo + 1}: could not be parsed — skipped`);
+        return;
+      }
+      const action = codegenAction(calls, warnings, lineNo + 1);
+      if (!action) return;
+      if (action.type === 'goto' && !featureUrl && !actions.length) featureUrl = action.value;
+      else actions.push(action);
+    });
+
+  if (!featureUrl) throw new Error('Playwright script has no page.goto() to start from');
+  return {
+    feature: { name: name || 'Imported flow', featureUrl, pitch: '', viewport, actions },
+    warnings,
+  };
+}
+
+// Map one parsed `page.<chain>` statement to a typed action (or null).
+function codegenAction(calls, warnings, line) {
+  const [first, ...rest] = calls;
+  const arg = (c, i = 0) => (c.args[i] == null ? undefined : String(c.args[i]));
+
+  switch (first.method) {
+    case 'goto':
+      return { type: 'goto', value: arg(first) };
+    case 'waitForTimeout':
+      return { type: 'wait', value: arg(first) };
+    case 'keyboard':
+      if (rest[0]?.method === 'press') return { type: 'press', value: arg(rest[0]) };
+      if (rest[0]?.method === 'type' || rest[0]?.method === 'insertText') {
+        warnings.push(`line ${line}: keyboard typing without a target — skipped`);
+      }
+      return null;
+    case 'mouse':
+      if (rest[0]?.method === 'wheel') return { type: 'scroll', value: String(Math.round(Number(rest[0].args[1]) || 0)) };
+      warnings.push(`line ${line}: raw mouse ${rest[0]?.method || 'call'} — skipped`);
+      return null;
+    case 'waitForURL':
+    case 'waitForLoadState':
+    case 'close':
+    case 'pause':
+      return null;
+  }
+
+  if (!LOCATOR_FACTORIES[first.method]) {
+    warnings.push(`line ${line}: page.${first.method}() is not supported — skipped`);
+    return null;
+  }
+
+  let target = LOCATOR_FACTORIES[first.method](first.args);
+  let i = 0;
+  for (; i < rest.length - 1; i++) {
+    const c = rest[i];
+    if (c.method === 'first') continue;
+    if (c.method === 'locator' && target.selector && Object.keys(target).length === 1) {
+      // Nested CSS locators chain with Playwright's ">>".
+      target = { selector: `${target.selector} >> ${arg(c)}` };
+      continue;
+    }
+    warnings.push(`line ${line}: .${c.method}() narrowing isn't replayed — using the outer locator`);
+  }
+
+  const act = rest[i];
+  switch (act?.method) {
+    case 'click':
+    case 'dblclick':
+    case 'check':
+    case 'uncheck':
+    case 'tap':
+      return { type: 'click', target };
+    case 'fill':
+    case 'type':
+    case 'pressSequentially':
+      return { type: 'fill', target, value: arg(act) ?? '' };
+    case 'press':
+      return { type: 'press', target, value: arg(act) };
+    case 'selectOption':
+      return { type: 'select', target, value: arg(act) ?? '' };
+    case 'hover':
+      return { type: 'hover', target };
+    default:
+      warnings.push(`line ${line}: .${act?.method || '(none)'}() is not supported — skipped`);
+      return null;
+  }
+}
+
+/**
+ * Parse `a(x).b({ name: 'y' }).c()` into `[{method, args}]`. Arguments may be
+ * string/template literals (no interpolation), numbers, booleans, regex
+ * literals (kept as their source) or flat object literals of those.
+ */
+export function parseCallChain(text) {
+  const calls = [];
+  let pos = 0;
+  while (skipSpace(text, pos) < text.length) {
+    const m = text.slice(pos).match(/^\s*\.?\s*(\w+)\s*/);
+    if (!m) throw new Error(`Unexpected input at ${pos}`);
+    pos += m[0].length;
+    if (text[pos] === '(') {
+      const { args, end } = parseArgs(text, pos + 1);
+      calls.push({ method: m[1], args });
+      pos = end;
+    } else {
+      // Property access without a call (page.keyboard.press).
+      calls.push({ method: m[1], args: [] });
+    }
+  }
+  return calls;
+}
+
+function parseArgs(text, start) {
+  const args = [];
+  let pos = start;
+  for (;;) {
+    pos = skipSpace(text, pos);
+    if (text[pos] === ')') return { args, end: pos + 1 };
+    const { value, end } = parseValue(text, pos);
+    args.push(value);
+    pos = skipSpace(text, end);
+    if (text[pos] === ',') pos += 1;
+    else if (text[pos] !== ')') throw new Error(`Expected , or ) at ${pos}`);
+  }
+}
+
+function parseValue(text, pos) {
+  const ch = text[pos];
+  if (ch === "'" || ch === '"' || ch === '`') return parseString(text, pos);
+  if (ch === '/') {
+    const m = text.slice(pos).match(/^\/((?:\\.|[^/\\])+)\/[a-z]*/);
+    if (!m) throw new Error(`Bad regex at ${pos}`);
+    return { value: m[1].replace(/\\(.)/g, '$1'), end: pos + m[0].length };
+  }
+  if (ch === '{') {
+    const obj = {};
+    let p = pos + 1;
+    for (;;) {
+      p = skipSpace(text, p);
+      if (text[p] === '}') return { value: obj, end: p + 1 };
+      const key = text.slice(p).match(/^(\w+)\s*:\s*/) || text.slice(p).match(/^(['"])(\w+)\1\s*:\s*/);
+      if (!key) throw new Error(`Bad object key at ${p}`);
+      p += key[0].length;
+      const { value, end } = parseValue(text, p);
+      obj[key[2] || key[1]] = value;
+      p = skipSpace(text, end);
+      if (text[p] === ',') p += 1;
+    }
+  }
+  const lit = text.slice(pos).match(/^(-?\d+(?:\.\d+)?|true|false|null|undefined)/);
+  if (!lit) throw new Error(`Unsupported argument at ${pos}`);
+  const raw = lit[1];
+  const value = raw === 'true' ? true : raw === 'false' ? false : raw === 'null' || raw === 'undefined' ? null : Number(raw);
+  return { value, end: pos + raw.length };
+}
+
+const ESCAPES = { n: '\n', t: '\t', r: '\r' };
+
+function parseString(text, pos) {
+  const quote = text[pos];
+  let out = '';
+  for (let p = pos + 1; p < text.length; p++) {
+    const c = text[p];
+    if (c === '\\') {
+      const next = text[++p];
+      out += ESCAPES[next] ?? next;
+    } else if (c === quote) {
+      return { value: out, end: p + 1 };
+    } else if (quote === '`' && c === '$' && text[p + 1] === '{') {
+      throw new Error('Template interpolation is not supported');
+    } else {
+      out += c;
+    }
+  }
+  throw new Error('Unterminated string');
+}
+
+function skipSpace(text, pos) {
+  while (pos < text.length && /\s/.test(text[pos])) pos++;
+  return pos;
+}
@@ -6,9 +6,32 @@ import { detectFeatures } from './feature-detect.js';
 import { recordFeature } from './feature-recorder.js';
 import { writeScript } from './script-writer.js';
 import { synthesizeVoiceover } from './voiceover.js';
+import { selectTtsProvider } from './tts.js';
 import { buildTimeline } from './timeline.js';
 import { assembleVideo } from './assembly.js';
+import { withAbortSignal } from './ffmpeg.js';
 import { isLlmEnabled } from './llm.js';
+import { SESSION_FILE, sessionIdentity, writeSessionFile } from './session.js';
+import { applyScriptOverrides, loadDemoSpec, specFeatures } from './demo-spec.js';
+import { createRedactionLog, describeRedactions, maskingConfig } from './masking.js';
+import { cleanupConfig } from './cleanup.js';
+import { harFileNames, loadHarManifest, networkPlan, saveHarManifest } from './har.js';
+import { freezeConfig } from './freeze.js';
+import { assemblyLayout, resolveDevice } from './device.js';
+import { OUTPUT_FORMATS, formatFileNames, resolveFormats } from './formats.js';
+import { CAPTION_FILES, captionCues, estimateWordTimings, writeCaptions } from './captions.js';
+import { createCache } from './cache.js';
+import { TRANSCRIPT_FILE, writeScriptFiles } from './review.js';
+import {
+  STAGES,
+  completeStage,
+  emptyManifest,
+  fromManifestPath,
+  loadManifest,
+  resumeIndex,
+  saveManifest,
+  toManifestPath,
+} from './manifest.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 // Honor OUTPUT_DIR (set by the web app) so brain output lands next to the web
@@ -16,109 +39,337 @@ const __dirname = path.dirname(fileURLToPath(import.meta.url));
 export const OUTPUT_ROOT = process.env.OUTPUT_DIR
   ? path.resolve(process.env.OUTPUT_DIR)
   : path.resolve(__dirname, '../../../../output');
+// Shared across jobs, outside OUTPUT_ROOT so it's never served (cache.js).
+export const CACHE_DIR = process.env.MKDEMO_CACHE_DIR
+  ? path.resolve(process.env.MKDEMO_CACHE_DIR)
+  : path.join(path.dirname(OUTPUT_ROOT), '.cache', 'makedemo');
 
 /**
  * makedemo pipeline brain — drop-in for the web shell.
  *
  * Job shape (a superset of the existing web job; see schemas.js#jobShape):
- *   { id, url, credentials?, maxFeatures?, voice?, clips?: string[], song?: string }
+ *   { id, url, credentials?, storageState?, demo?, maxFeatures?, voice?, clips?: string[], song?: string }
+ *
+ * With `demo` (a demo.yaml/.json script, see demo-spec.js) the discover stage
+ * is skipped: features and their actions come from the script, and its
+ * narration overrides are applied to the written script.
  *
  * `emit(type, data)` uses the same event vocabulary as web/lib/jobs.js
- * ('stage' | 'log' | 'script' | 'asset' | 'video' | 'done' | 'error'), so the
- * existing SSE UI works unchanged. Stage runners are also exported individually
- * if the web layer prefers to drive them.
+ * ('stage' | 'log' | 'script' | 'review' | 'asset' | 'video' | 'done' |
+ * 'error'), so the existing SSE UI works unchanged. Stage runners are also
+ * exported individually if the web layer prefers to drive them.
+ *
+ * @param {object} job
+ * @param {(type: string, data: object) => void} emit
+ * @param {object} [opts]
+ * @param {{browser?, encode?}} [opts.slots]  queue.js limiters for crawls and recordings / the assembly
+ * @param {AbortSignal} [opts.signal]  closes browsers, kills ffmpeg and TTS, and rejects with its reason
  */
-export async function runPipeline(job, emit) {
+export function runPipeline(job, emit, opts = {}) {
+  return withAbortSignal(opts.signal, () => runStages(job, emit, opts));
+}
+
+async function runStages(job, emit, { slots = {}, signal } = {}) {
   const e = emit || (() => {});
   const log = (msg) => e('log', { level: 'info', msg });
+  const inSlot = (name, fn) =>
+    slots[name] ? slots[name].run(fn, { signal, onWait: () => log(`Waiting for a free ${name} slot`) }) : fn();
   const jobDir = path.join(OUTPUT_ROOT, job.id);
   await fs.mkdir(jobDir, { recursive: true });
+  // Resuming skips the stages before `resumeFrom`, reusing their saved outputs.
+  const saved = job.resumeFrom ? await loadManifest(jobDir) : null;
+  const start = resumeIndex(job.resumeFrom, saved);
+  const runs = (stage) => STAGES.indexOf(stage) >= start;
+  let manifest = start > 0 ? saved : emptyManifest(job.id);
+  const spec = job.demo ? await loadDemoSpec(job.demo) : null;
+  if (spec && !job.url) job.url = spec.url;
+  if (!job.url && saved) job.url = saved.url;
+  if (!job.url) throw new Error('Job needs a url (or a demo script with one)');
+  manifest.url = job.url;
+  const masking = maskingConfig(job.mask);
+  const redactions = createRedactionLog(masking);
+  const cleanup = cleanupConfig(job.cleanup);
+  const network = networkPlan(job, jobDir);
+  const harManifest = network.mode === 'replay' ? await loadHarManifest(network.dir) : null;
+  // Default frozen time: the replayed recording's, else this run's start (to the minute).
+  const freeze = freezeConfig(job.freeze, {
+    fallbackTime: harManifest?.frozenAt ?? Math.floor(Date.now() / 60000) * 60000,
+  });
+  const device = resolveDevice(job.device);
+  const layout = assemblyLayout(device, job.deviceLayout || 'mockup');
+  const formats = resolveFormats(job.formats, layout.frame.height > layout.frame.width ? 'vertical' : 'landscape');
+  // Resolved up front so a missing offline engine fails before the crawl.
+  const tts = runs('voiceover') ? await selectTtsProvider(job.tts) : null;
+  const cache = createCache({ dir: CACHE_DIR, bypass: job.cache === false, log });
+  if (start > 0) log(`Resuming from the ${STAGES[start]} stage (saved ${STAGES.slice(0, start).join(', ')} outputs)`);
+  if (cache.bypass) log('Cache bypassed — recomputing Claude calls, voiceover and recordings');
   log(isLlmEnabled() ? 'Claude enabled (smart path)' : 'No ANTHROPIC_API_KEY — heuristic path');
+  if (device) {
+    const { viewport: v, deviceScaleFactor: dpr } = device;
+    const out = layout.mockup ? 'phone mockup' : `${layout.frame.width}x${layout.frame.height}`;
+    log(`Device: ${device.name} (${v.width}x${v.height} @${dpr}x) → ${out} output`);
+  }
+  const startStage = (stage) => {
+    signal?.throwIfAborted();
+    e('stage', { stage, status: 'running' });
+  };
+  const skipStage = (stage) => e('stage', { stage, status: 'done', resumed: true });
+  // Save a stage's outputs before reporting it done, so a later failure can resume from the next one.
+  const finishStage = async (stage, outputs) => {
+    manifest = completeStage(manifest, stage, outputs);
+    await saveManifest(jobDir, manifest);
+    e('stage', { stage, status: 'done' });
+  };
 
-  // STAGE 1 — discover: crawl + Claude feature detection.
-  e('stage', { stage: 'discover', status: 'running' });
-  const pages = await crawlSite({
-    homepageUrl: job.url,
-    maxPages: job.maxPages || 20,
-    credentials: job.credentials || null,
-    excludedPaths: job.excludedPaths || [],
-    log,
-  });
-  const features = await detectFeatures({
-    homepageUrl: job.url,
-    pages,
-    maxFeatures: job.maxFeatures || 5,
-    log,
-  });
+  // Log in once: a user-supplied session is normalized into the job dir up
+  // front; otherwise the crawl saves the session it logs in with. Either way
+  // every recording context starts from the same file.
+  const sessionPath = path.join(jobDir, SESSION_FILE);
+  if (job.storageState) await writeSessionFile(job.storageState, sessionPath);
+
+  // STAGE 1 — discover: crawl + Claude feature detection, or the demo script,
+  // or the features a HAR replay was recorded with.
+  let features;
+  if (!runs('discover')) {
+    ({ features } = manifest.stages.discover);
+    skipStage('discover');
+  } else {
+    startStage('discover');
+    const replayed = spec ? null : (harManifest?.features ?? null);
+    if (network.mode === 'replay' && !spec && !replayed) log('No recorded feature list in harDir — discovering features live');
+    let pages = null;
+    if (spec || replayed) {
+      if (spec) {
+        log(`Demo script: ${spec.features.length} feature(s) — skipping crawl + feature detection`);
+        for (const w of spec.warnings) log(`Recording import: ${w}`);
+      } else {
+        log(`Replaying ${replayed.length} recorded feature(s) — skipping crawl + feature detection`);
+      }
+      // Still log in once so the recordings start from a session.
+      if (job.credentials && !job.storageState) {
+        await inSlot('browser', () =>
+          crawlSite({
+            homepageUrl: job.url,
+            maxPages: 1,
+            credentials: job.credentials,
+            saveStorageState: sessionPath,
+            useSitemap: false,
+            masking,
+            redactions,
+            cleanup,
+            freeze,
+            device,
+            signal,
+            log,
+          }),
+        );
+      }
+      features = spec ? specFeatures(spec, job.url) : replayed;
+    } else {
+      pages = await inSlot('browser', () =>
+        crawlSite({
+          homepageUrl: job.url,
+          maxPages: job.maxPages || 20,
+          credentials: job.credentials || null,
+          storageState: job.storageState ? sessionPath : null,
+          saveStorageState: sessionPath,
+          excludedPaths: job.excludedPaths || [],
+          respectRobots: job.respectRobots !== false,
+          spaDiscovery: Boolean(job.spaDiscovery),
+          masking,
+          redactions,
+          cleanup,
+          freeze,
+          device,
+          signal,
+          log,
+        }),
+      );
+      features = await detectFeatures({
+        homepageUrl: job.url,
+        pages,
+        maxFeatures: job.maxFeatures || 5,
+        cache,
+        log,
+      });
+    }
+    await finishStage('discover', { pages, features });
+  }
   job.features = features;
-  e('stage', { stage: 'discover', status: 'done' });
   e('script', { features });
 
   // STAGE 2 — record: one screen-capture clip per feature.
-  e('stage', { stage: 'record', status: 'running' });
-  const featureClips = [];
-  for (let i = 0; i < features.length; i++) {
-    e('stage', { stage: 'record', status: 'running', step: i + 1, total: features.length });
-    const rec = await recordFeature(features[i], { credentials: job.credentials, log });
-    let clipPath = null;
-    if (rec.webm?.length) {
-      clipPath = path.join(jobDir, `feature-${String(i).padStart(2, '0')}.webm`);
-      await fs.writeFile(clipPath, rec.webm);
+  let featureClips = [];
+  if (!runs('record')) {
+    featureClips = manifest.stages.record.featureClips.map((c) => ({ ...c, path: fromManifestPath(jobDir, c.path) }));
+    skipStage('record');
+  } else {
+    startStage('record');
+    const storageState = await fs.access(sessionPath).then(() => sessionPath, () => null);
+    // A supplied session wins over credentials (see discover), so key on it.
+    const session = await sessionIdentity(storageState, job.storageState ? null : job.credentials);
+    const harNames = harFileNames(features);
+    if (network.mode === 'record') {
+      await saveHarManifest(network.dir, features, freeze ? { frozenAt: freeze.time } : {});
     }
-    featureClips.push({ name: rec.name, path: clipPath });
+    if (network.mode !== 'live') log(`Network: ${network.mode} HARs in ${network.dir}`);
+    if (freeze) log(`Clock frozen at ${new Date(freeze.time).toISOString()} (random seed ${freeze.seed})`);
+    for (let i = 0; i < features.length; i++) {
+      signal?.throwIfAborted();
+      e('stage', { stage: 'record', status: 'running', step: i + 1, total: features.length });
+      const { featureUrl, steps, actions, viewport } = features[i];
+      const clipPath = path.join(jobDir, `feature-${String(i).padStart(2, '0')}.webm`);
+      // Everything that changes what the clip shows. Recording HARs always
+      // re-records: the point is to capture this session's traffic.
+      const recKey =
+        network.mode === 'record'
+          ? null
+          : {
+              feature: { featureUrl, steps, actions, viewport },
+              session,
+              cursor: job.cursor !== false,
+              masking,
+              cleanup,
+              freeze: freeze && { seed: freeze.seed, time: job.freeze?.time ?? harManifest?.frozenAt ?? null },
+              device: device?.name ?? null,
+              har: network.mode === 'replay' ? path.join(network.dir, harNames[i]) : null,
+            };
+      let rec = recKey && (await cache.getFile('recording', recKey, clipPath));
+      if (rec) {
+        log(`Recording of "${rec.name}" from cache`);
+      } else {
+        const { webm, ...meta } = await inSlot('browser', () =>
+          recordFeature(features[i], {
+            storageState,
+            cursor: job.cursor !== false,
+            masking,
+            cleanup,
+            har: network.dir ? { mode: network.mode, path: path.join(network.dir, harNames[i]) } : null,
+            freeze,
+            device,
+            signal,
+            log,
+          }),
+        );
+        rec = { ...meta, recorded: Boolean(webm?.length) };
+        if (rec.recorded) {
+          await fs.writeFile(clipPath, webm);
+          if (recKey) await cache.putFile('recording', recKey, clipPath, rec);
+        }
+      }
+      redactions.add('record', featureUrl, rec.redactions);
+      const clip = rec.recorded ? clipPath : null;
+      featureClips.push({ name: rec.name, path: clip, focus: rec.focus, viewport: rec.viewport });
+    }
+    await redactions.write(jobDir);
+    if (masking) log(`Masked in captures: ${describeRedactions(redactions.totals())} (see redactions.json)`);
+    await finishStage('record', {
+      featureClips: featureClips.map((c) => ({ ...c, path: toManifestPath(jobDir, c.path) })),
+    });
   }
-  e('stage', { stage: 'record', status: 'done' });
 
   // STAGE 3 — script: cohesive VO script + Suno music prompt.
-  e('stage', { stage: 'script', status: 'running' });
   const uploadedClips = job.clips || [];
-  const script = await writeScript({
-    productUrl: job.url,
-    features,
-    clipCount: uploadedClips.length,
-    log,
-  });
+  let script;
+  if (!runs('script')) {
+    ({ script } = manifest.stages.script);
+    skipStage('script');
+  } else {
+    startStage('script');
+    script = await writeScript({
+      productUrl: job.url,
+      features,
+      clipCount: uploadedClips.length,
+      cache,
+      log,
+    });
+    if (spec) script = applyScriptOverrides(script, spec);
+    await writeScriptFiles(jobDir, script);
+    await finishStage('script', { script });
+  }
   job.script = script;
   job.sunoPrompt = script.sunoPrompt;
-  await fs.writeFile(path.join(jobDir, 'suno-prompt.txt'), script.sunoPrompt || '', 'utf8');
-  await fs.writeFile(
-    path.join(jobDir, 'transcript.txt'),
-    script.segments.map((s) => s.narration).filter(Boolean).join('\n\n'),
-    'utf8',
-  );
-  e('stage', { stage: 'script', status: 'done' });
   e('script', { title: script.title, segments: script.segments, sunoPrompt: script.sunoPrompt });
 
-  // STAGE 4 — voiceover: ElevenLabs per segment.
-  e('stage', { stage: 'voiceover', status: 'running' });
-  const { voice, audios } = await synthesizeVoiceover({
-    segments: script.segments,
-    outputDir: jobDir,
-    voice: job.voice,
-    log,
-  });
-  job.voice = voice;
-  e('stage', { stage: 'voiceover', status: 'done' });
+  // Review pause: the script is saved; nothing is voiced until an edit (or an
+  // approval) resumes the job from the voiceover stage (review.js).
+  if (job.review && runs('script')) {
+    job.transcript = TRANSCRIPT_FILE;
+    log('Script ready for review — edit it, then resume from the voiceover stage');
+    e('review', {
+      script,
+      features: features.map(({ name, featureUrl }) => ({ name, featureUrl })),
+      clips: uploadedClips.length,
+    });
+    return { review: true, features, script };
+  }
+
+  // STAGE 4 — voiceover: one TTS line per segment.
+  let audios;
+  if (!runs('voiceover')) {
+    ({ audios } = manifest.stages.voiceover);
+    audios = audios.map((a) => ({ ...a, path: fromManifestPath(jobDir, a.path) }));
+    job.voice = manifest.stages.voiceover.voice;
+    skipStage('voiceover');
+  } else {
+    startStage('voiceover');
+    const vo = await synthesizeVoiceover({
+      segments: script.segments,
+      outputDir: jobDir,
+      voice: job.voice,
+      tts,
+      cache,
+      signal,
+      log,
+    });
+    audios = vo.audios;
+    job.voice = vo.voice;
+    await finishStage('voiceover', {
+      voice: vo.voice,
+      tts: vo.tts,
+      audios: audios.map((a) => ({ ...a, path: toManifestPath(jobDir, a.path) })),
+    });
+  }
 
   // STAGE 5 — assemble: motion graphics + clips + ducked music -> MP4.
-  e('stage', { stage: 'assemble', status: 'running' });
+  startStage('assemble');
   const timeline = buildTimeline(script.segments, { voiceDurations: audios.map((a) => a.duration) });
-  const outPath = path.join(jobDir, 'demo.mp4');
-  await assembleVideo({
+  const cues = captionCues(
     timeline,
-    audios,
-    featureClips,
-    uploadedClips,
-    song: job.song || null,
-    workDir: path.join(jobDir, 'work'),
-    outPath,
-    log,
-  });
-  job.video = 'demo.mp4';
-  job.transcript = 'transcript.txt';
-  e('stage', { stage: 'assemble', status: 'done' });
-  e('video', { video: job.video });
+    audios.map((a, i) => a.words || estimateWordTimings(script.segments[i].narration, a.duration)),
+  );
+  job.captions = await writeCaptions(jobDir, cues);
+  log(`Captions: ${cues.length} cue(s)${audios.some((a) => a.words) ? ' with word timings from the voice' : ''}`);
+  const files = formatFileNames(formats);
+  const outPath = path.join(jobDir, files[formats[0]]);
+  await inSlot('encode', () =>
+    assembleVideo({
+      timeline,
+      audios,
+      featureClips,
+      uploadedClips,
+      song: job.song || null,
+      zoom: job.zoom !== false,
+      captions: { cues, srt: path.join(jobDir, CAPTION_FILES.srt), burn: Boolean(job.burnCaptions) },
+      outputs: formats.map((name) => ({
+        name,
+        frame: OUTPUT_FORMATS[name],
+        mockup: layout.mockup && name === 'landscape',
+        outPath: path.join(jobDir, files[name]),
+      })),
+      workDir: path.join(jobDir, 'work'),
+      outPath,
+      log,
+    }),
+  );
+  job.video = files[formats[0]];
+  job.videos = files;
+  job.transcript = TRANSCRIPT_FILE;
+  await finishStage('assemble', { timeline, videos: files, captions: job.captions });
+  e('video', { video: job.video, videos: job.videos });
 
-  e('done', { video: job.video, features, sunoPrompt: job.sunoPrompt });
+  const { hits, writes } = cache.stats;
+  if (cache.enabled) log(`Cache: ${hits} hit(s), ${writes} written (${cache.dir})`);
+  e('done', { video: job.video, videos: job.videos, captions: job.captions, features, sunoPrompt: job.sunoPrompt });
   return { videoPath: outPath, features, script };
 }
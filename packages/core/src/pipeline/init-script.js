@@ -0,0 +1,9 @@
+/**
+ * Register `script` (JS source) to run in every new document before the page's
+ * own scripts — on a Playwright context/page (addInitScript) or a Puppeteer
+ * page (evaluateOnNewDocument, the legacy web shell's BrowserManager).
+ */
+export async function addInitScript(target, script) {
+  if (typeof target.addInitScript === 'function') await target.addInitScript(script);
+  else await target.evaluateOnNewDocument(script);
+}
@@ -29,24 +29,34 @@ export function isLlmEnabled() {
 
 /**
  * One structured Claude call. `schema` is a zod schema; the parsed, validated
- * object is returned (or null on no-key / parse failure).
+ * object is returned (or null on no-key / parse failure). `prompt` is either a
+ * string or an array of content blocks (e.g. an image + text for the recorder).
+ * With a `cache` (cache.js) an identical call — same model, system, prompt and
+ * schema — returns the stored result instead of calling Claude again.
  */
-export async function parseStructured({ system, prompt, schema, maxTokens = 8000 }) {
+export async function parseStructured({ system, prompt, schema, maxTokens = 8000, cache }) {
   const client = getClient();
   if (!client) return null;
 
+  const format = zodOutputFormat(schema);
+  const key = { model: MODEL, system, prompt, format, maxTokens };
+  const hit = await cache?.getJson('llm', key);
+  if (hit) return hit;
+
   try {
     const response = await client.messages.parse({
       model: MODEL,
       max_tokens: maxTokens,
       thinking: { type: 'adaptive' },
-      output_config: { format: zodOutputFormat(schema) },
+      output_config: { format },
       system,
       messages: [{ role: 'user', content: prompt }],
     });
 
     // parsed_output is null when the model refused or output didn't validate.
-    return response.parsed_output ?? null;
+    const parsed = response.parsed_output ?? null;
+    if (parsed) await cache?.putJson('llm', key, parsed);
+    return parsed;
   } catch (err) {
     console.error('llm.parseStructured failed:', err?.message || err);
     return null;
@@ -0,0 +1,165 @@
+import { OTP_DIGIT_SELECTOR, OTP_INPUT_SELECTOR, generateTotp } from '../auth/totp.js';
+import {
+  EMAIL_OPTION_PATTERN,
+  IDENTIFIER_SELECTOR,
+  MAX_LOGIN_STEPS,
+  NEXT_BUTTON_PATTERN,
+  SIGN_IN_BUTTON_PATTERN,
+  inSignInForm,
+  newLoginProgress,
+  nextLoginAction,
+  originOf,
+  progressKey,
+} from '../auth/login-flow.js';
+
+const PASS_SEL = 'input[type="password"]';
+
+const visible = (page, sel) => page.locator(sel).first().isVisible().catch(() => false);
+const emailOption = (page) =>
+  page
+    .getByRole('button', { name: EMAIL_OPTION_PATTERN })
+    .or(page.getByRole('link', { name: EMAIL_OPTION_PATTERN }))
+    .first();
+
+/**
+ * Best-effort heuristic login using Playwright (the existing auth handler is
+ * Puppeteer-bound; here we keep the crawler self-contained on Playwright).
+ *
+ * Runs the shared login state machine (auth/login-flow.js): each round it
+ * observes which login fields are on screen, then fills the identifier, the
+ * password, or a locally generated RFC 6238 code from `totpSecret`, clicks a
+ * "Continue with email" chooser, or waits out a redirect — so identifier-first
+ * and hosted-auth-domain flows work as well as single-form logins. Success is
+ * verified by `successUrl` / `successSelector` when given.
+ *
+ * @returns {Promise<'success'|'failed'|'mfa_failed'>}
+ */
+export async function tryLogin(page, creds, log) {
+  const { loginUrl, homepageUrl, user } = creds;
+  const criteria = { successUrl: creds.successUrl, successSelector: creds.successSelector };
+  const appOrigin = originOf(homepageUrl || loginUrl);
+
+  try {
+    await page.goto(loginUrl || homepageUrl, { waitUntil: 'domcontentloaded', timeout: 30000 }).catch(() => {});
+    await settle(page, 6000);
+
+    const done = newLoginProgress();
+    for (let i = 0; i < MAX_LOGIN_STEPS; i++) {
+      const facts = await observe(page, { appOrigin, loginUrl }, criteria);
+      const action = nextLoginAction(facts, done, criteria);
+
+      if (action === 'done') {
+        log?.(`Logged in as ${user}`);
+        return 'success';
+      }
+      if (action === 'failed') {
+        log?.(`Login as ${user} did not complete (stuck at ${page.url()})`);
+        return 'failed';
+      }
+      if (action === 'mfa_failed') {
+        log?.('Two-factor code was rejected');
+        return 'mfa_failed';
+      }
+
+      done[progressKey(action)] += 1;
+      if (action === 'totp' && !creds.totpSecret) {
+        log?.('Two-factor code requested but no TOTP secret was provided');
+        return 'mfa_failed';
+      }
+      await perform(page, action, creds);
+      await settle(page, 8000);
+    }
+
+    log?.(`Login as ${user} gave up after ${MAX_LOGIN_STEPS} steps`);
+    return 'failed';
+  } catch (err) {
+    log?.(`Login skipped/failed: ${String(err).slice(0, 120)}`);
+    return 'failed';
+  }
+}
+
+async function observe(page, { appOrigin, loginUrl }, criteria) {
+  const identifier = page.locator(IDENTIFIER_SELECTOR).first();
+  const hasIdentifier = await identifier.isVisible().catch(() => false);
+  return {
+    url: page.url(),
+    appOrigin,
+    loginUrl,
+    hasOtp: await hasOtpPrompt(page),
+    hasPassword: await visible(page, PASS_SEL),
+    hasIdentifier,
+    identifierInForm: hasIdentifier
+      ? await identifier.evaluate(inSignInForm, SIGN_IN_BUTTON_PATTERN.source).catch(() => false)
+      : false,
+    hasEmailOption: await emailOption(page).isVisible().catch(() => false),
+    selectorFound: criteria.successSelector ? await visible(page, criteria.successSelector) : false,
+  };
+}
+
+async function perform(page, action, { user, password, totpSecret }) {
+  switch (action) {
+    case 'identifier':
+      await page.locator(IDENTIFIER_SELECTOR).first().fill(user, { timeout: 4000 });
+      await submit(page, page.locator(IDENTIFIER_SELECTOR).first());
+      break;
+    case 'password': {
+      // Single-form logins show both fields at once; identifier-first ones
+      // have already taken the identifier.
+      const id = page.locator(IDENTIFIER_SELECTOR).first();
+      if ((await id.isVisible().catch(() => false)) && !(await id.inputValue().catch(() => ''))) {
+        await id.fill(user, { timeout: 4000 }).catch(() => {});
+      }
+      const pass = page.locator(PASS_SEL).first();
+      await pass.fill(password, { timeout: 4000 });
+      await submit(page, pass);
+      break;
+    }
+    case 'totp':
+      await fillTotp(page, generateTotp(totpSecret));
+      await submit(page, null);
+      break;
+    case 'choose_email':
+      await emailOption(page).click({ timeout: 4000 }).catch(() => {});
+      break;
+    case 'wait':
+      await page.waitForTimeout(1500);
+      break;
+  }
+}
+
+// Click the form's submit/"Next" button, else press Enter in `field`.
+async function submit(page, field) {
+  const candidates = [
+    page.locator('button[type="submit"]:visible, input[type="submit"]:visible').first(),
+    page.getByRole('button', { name: NEXT_BUTTON_PATTERN }).first(),
+  ];
+  for (const btn of candidates) {
+    if (await btn.isVisible().catch(() => false)) {
+      await btn.click({ timeout: 4000 }).catch(() => {});
+      return;
+    }
+  }
+  if (field) await field.press('Enter').catch(() => {});
+  else await page.keyboard.press('Enter').catch(() => {});
+}
+
+async function settle(page, timeout) {
+  await page.waitForLoadState('domcontentloaded', { timeout }).catch(() => {});
+  await page.waitForLoadState('networkidle', { timeout }).catch(() => {});
+}
+
+async function hasOtpPrompt(page) {
+  if (await visible(page, OTP_INPUT_SELECTOR)) return true;
+  return (await page.locator(OTP_DIGIT_SELECTOR).count().catch(() => 0)) >= 6;
+}
+
+// Fill the one-time code into a single field or split digit boxes.
+async function fillTotp(page, code) {
+  const single = page.locator(OTP_INPUT_SELECTOR).first();
+  if (await single.isVisible().catch(() => false)) {
+    await single.fill(code, { timeout: 4000 });
+    return;
+  }
+  const digits = page.locator(OTP_DIGIT_SELECTOR);
+  for (let i = 0; i < code.length; i++) await digits.nth(i).fill(code[i], { timeout: 4000 });
+}
@@ -0,0 +1,85 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+/**
+ * Job manifest: each stage's outputs, saved in the job dir as it completes,
+ * so a failed or edited job can start again from any stage instead of from
+ * the crawl.
+ *
+ *   discover   → { pages, features }
+ *   record     → { featureClips: [{name, path, focus, viewport}] }
+ *   script     → { script }
+ *   voiceover  → { voice, tts, audios: [{path, duration, words}] }
+ *   assemble   → { timeline, videos, captions }
+ *
+ * Paths are stored relative to the job dir. Completing a stage drops the
+ * saved outputs of every later one — they were built from what it replaced.
+ */
+
+export const STAGES = ['discover', 'record', 'script', 'voiceover', 'assemble'];
+export const MANIFEST_FILE = 'manifest.json';
+const VERSION = 1;
+
+export function emptyManifest(jobId) {
+  return { version: VERSION, jobId, stages: {} };
+}
+
+/** The job dir's manifest, or null when it has none (or an unreadable one). */
+export async function loadManifest(jobDir) {
+  const text = await fs.readFile(path.join(jobDir, MANIFEST_FILE), 'utf8').catch(() => null);
+  if (!text) return null;
+  try {
+    const data = JSON.parse(text);
+    return data?.version === VERSION && data.stages ? data : null;
+  } catch {
+    return null;
+  }
+}
+
+export async function saveManifest(jobDir, manifest) {
+  const file = path.join(jobDir, MANIFEST_FILE);
+  await fs.writeFile(`${file}.tmp`, JSON.stringify(manifest, null, 2), 'utf8');
+  await fs.rename(`${file}.tmp`, file);
+}
+
+/**
+ * Index of the first stage to run for the job's `resumeFrom` option: a stage
+ * name, or `true` for the first stage without saved outputs (where a failed
+ * run stopped). Every earlier stage must have saved outputs in `manifest`.
+ * Throws on an unknown stage or a gap.
+ */
+export function resumeIndex(from, manifest) {
+  if (!from) return 0;
+  if (from === true) {
+    const next = STAGES.findIndex((stage) => !manifest?.stages?.[stage]);
+    return next < 0 ? STAGES.length - 1 : next;
+  }
+  const start = STAGES.indexOf(from);
+  if (start < 0) throw new Error(`Unknown stage "${from}" (expected ${STAGES.join(', ')})`);
+  const missing = STAGES.slice(0, start).find((stage) => !manifest?.stages?.[stage]);
+  if (missing) {
+    throw new Error(`Can't resume from "${from}": no saved ${missing} stage in ${MANIFEST_FILE} — run it first`);
+  }
+  return start;
+}
+
+/** Record a completed stage's outputs, dropping any later stage's. */
+export function completeStage(manifest, stage, outputs) {
+  const i = STAGES.indexOf(stage);
+  const stages = Object.fromEntries(
+    STAGES.slice(0, i)
+      .filter((s) => manifest.stages[s])
+      .map((s) => [s, manifest.stages[s]]),
+  );
+  stages[stage] = { ...outputs, completedAt: new Date().toISOString() };
+  return { ...manifest, stages };
+}
+
+/** `p` relative to the job dir (null stays null). */
+export function toManifestPath(jobDir, p) {
+  return p ? path.relative(jobDir, p) : null;
+}
+
+export function fromManifestPath(jobDir, p) {
+  return p ? path.resolve(jobDir, p) : null;
+}
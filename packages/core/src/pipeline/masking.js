@@ -0,0 +1,305 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { addInitScript } from './init-script.js';
+
+/**
+ * PII and secret masking for everything we capture from a live app.
+ *
+ * Demo recordings of real accounts show real emails, card numbers and API
+ * keys. Masking runs inside the page as an init script (Playwright
+ * addInitScript / Puppeteer evaluateOnNewDocument), so it's in place before
+ * the first frame is painted: a MutationObserver rewrites matching text to
+ * same-length bullets as nodes arrive, and CSS blurs every
+ * `input[type=password]`, every field whose value matches a pattern, and any
+ * element matching a configured selector. Recorded video, screenshots and the
+ * page text the crawl hands to Claude all see the masked page.
+ *
+ * Per-rule counts accumulate in sessionStorage across navigations and are read
+ * back with readMaskReport; createRedactionLog collects them per capture into
+ * the job dir's `redactions.json` — counts and rule names only, never the
+ * matched values.
+ */
+
+/** File name of the redaction report inside the job dir. */
+export const REDACTION_FILE = 'redactions.json';
+
+/** Built-in patterns; `luhn` drops digit runs that aren't valid card numbers. */
+export const DEFAULT_MASK_PATTERNS = [
+  { name: 'email', source: String.raw`[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}`, flags: '' },
+  { name: 'card', source: String.raw`\b\d(?:[ -]?\d){12,18}\b`, flags: '', luhn: true },
+  {
+    name: 'token',
+    source: [
+      String.raw`\b(?:sk|pk|rk)_(?:live|test)_[A-Za-z0-9]{10,}`,
+      String.raw`\bAKIA[0-9A-Z]{16}\b`,
+      String.raw`\bgh[pousr]_[A-Za-z0-9]{30,}`,
+      String.raw`\bxox[abprs]-[A-Za-z0-9-]{10,}`,
+      String.raw`\beyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}`,
+      String.raw`\bsk-[A-Za-z0-9_-]{20,}`,
+    ].join('|'),
+    flags: '',
+  },
+];
+
+/**
+ * Parse a user pattern: "/source/flags" or a bare regex source.
+ * @returns {{name: string, source: string, flags: string}}
+ */
+export function parseMaskPattern(input, name = 'custom') {
+  const text = String(input ?? '').trim();
+  const literal = /^\/(.+)\/([a-z]*)$/s.exec(text);
+  const source = literal ? literal[1] : text;
+  const flags = (literal ? literal[2] : '').replace('g', '');
+  if (!source) throw new Error('Masking pattern is empty');
+  try {
+    new RegExp(source, flags);
+  } catch (err) {
+    throw new Error(`Invalid masking pattern ${text}: ${err.message}`);
+  }
+  return { name, source, flags };
+}
+
+/**
+ * Resolve the job's `mask` option into the config the init script runs with.
+ * `false` turns masking off (null); otherwise `{selectors?, patterns?,
+ * defaults?}` adds CSS selectors to blur and regexes to redact on top of the
+ * built-in email/card/token patterns (unless `defaults: false`). Throws on an
+ * invalid regex.
+ * @returns {{selectors: string[], patterns: object[]} | null}
+ */
+export function maskingConfig(option = {}) {
+  if (option === false) return null;
+  const opts = option === true || option == null ? {} : option;
+  // A lone string is one selector (a CSS list is fine) or one pattern.
+  const list = (v) => [v ?? []].flat().map((s) => String(s).trim()).filter(Boolean);
+  return {
+    selectors: list(opts.selectors),
+    patterns: [
+      ...(opts.defaults === false ? [] : DEFAULT_MASK_PATTERNS),
+      ...list(opts.patterns).map((p) => parseMaskPattern(p)),
+    ],
+  };
+}
+
+/**
+ * Replace every pattern match in `text` with bullets (whitespace kept, so the
+ * layout doesn't jump). Also runs in the page via maskingScript, so it must
+ * stay self-contained.
+ * @returns {{text: string, hits: Record<string, number>}}
+ */
+export function redactText(text, patterns) {
+  const hits = {};
+  let out = String(text ?? '');
+  for (const p of patterns) {
+    const re = new RegExp(p.source, `${p.flags.replace('g', '')}g`);
+    out = out.replace(re, (match) => {
+      if (p.luhn) {
+        const digits = match.replace(/\D/g, '');
+        let sum = 0;
+        for (let i = 0; i < digits.length; i++) {
+          let d = Number(digits[digits.length - 1 - i]);
+          if (i % 2) d = d * 2 > 9 ? d * 2 - 9 : d * 2;
+          sum += d;
+        }
+        if (sum % 10) return match;
+      }
+      hits[p.name] = (hits[p.name] || 0) + 1;
+      return match.replace(/\S/g, '•');
+    });
+  }
+  return { text: out, hits };
+}
+
+/**
+ * In-page half, run as `(installMasking)(config, redactText)`. Defines
+ * `window.__mkdemoMask` with text(s) (for the cursor's typing badge) and
+ * report(reset).
+ */
+export function installMasking(config, redact) {
+  if (window.__mkdemoMask) return;
+  const STORE = '__mkdemoMaskReport';
+  const FLAG = 'data-mkdemo-masked';
+  const SKIP = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEXTAREA', 'MKDEMO-CURSOR']);
+  const empty = () => ({ patterns: {}, selectors: {}, passwordFields: 0 });
+  let report = empty();
+  try {
+    report = { ...report, ...JSON.parse(sessionStorage.getItem(STORE) || '{}') };
+  } catch {
+    // Opaque origins (about:blank, data:) have no sessionStorage.
+  }
+  const save = () => {
+    try {
+      sessionStorage.setItem(STORE, JSON.stringify(report));
+    } catch {
+      // see above
+    }
+  };
+  const tally = (hits) => {
+    for (const [name, n] of Object.entries(hits)) report.patterns[name] = (report.patterns[name] || 0) + n;
+  };
+
+  // One rule per selector, so a typo in one doesn't drop the others.
+  const style = document.createElement('style');
+  const hideText = 'color: transparent !important; text-shadow: 0 0 10px rgba(0,0,0,.6) !important;';
+  style.textContent = [
+    `input[type="password"], [${FLAG}] { ${hideText} }`,
+    ...config.selectors.map((sel) => `${sel} { filter: blur(10px) !important; }`),
+  ].join('\n');
+  const ensureStyle = () => {
+    if (!style.isConnected) (document.head || document.documentElement)?.appendChild(style);
+  };
+
+  const passwords = new WeakSet();
+  const selected = new Map(config.selectors.map((sel) => [sel, new WeakSet()]));
+  const maskNode = (node) => {
+    if (SKIP.has(node.parentNode?.nodeName)) return;
+    const { text, hits } = redact(node.nodeValue, config.patterns);
+    if (text === node.nodeValue) return;
+    node.nodeValue = text;
+    tally(hits);
+  };
+  const checkField = (el) => {
+    if (!(el instanceof HTMLInputElement || el instanceof HTMLTextAreaElement)) return;
+    if (el.type === 'password') {
+      if (!passwords.has(el)) report.passwordFields += 1;
+      passwords.add(el);
+      return;
+    }
+    const { hits } = redact(el.value, config.patterns);
+    if (!Object.keys(hits).length) el.removeAttribute(FLAG);
+    else if (!el.hasAttribute(FLAG)) {
+      el.setAttribute(FLAG, '');
+      tally(hits);
+    }
+  };
+  const countSelectors = (root) => {
+    for (const [sel, seen] of selected) {
+      try {
+        const found = [...(root.matches(sel) ? [root] : []), ...root.querySelectorAll(sel)];
+        for (const el of found) {
+          if (seen.has(el)) continue;
+          seen.add(el);
+          report.selectors[sel] = (report.selectors[sel] || 0) + 1;
+        }
+      } catch {
+        // Invalid selector: its CSS rule is ignored too.
+      }
+    }
+  };
+  const scan = (node) => {
+    if (node.nodeType === Node.TEXT_NODE) return maskNode(node);
+    if (node.nodeType !== Node.ELEMENT_NODE || SKIP.has(node.nodeName)) return;
+    const walker = document.createTreeWalker(node, NodeFilter.SHOW_TEXT);
+    for (let t = walker.nextNode(); t; t = walker.nextNode()) maskNode(t);
+    checkField(node);
+    node.querySelectorAll('input, textarea').forEach(checkField);
+    countSelectors(node);
+  };
+
+  // Mutation callbacks run as microtasks, before the browser paints the nodes.
+  new MutationObserver((records) => {
+    ensureStyle();
+    for (const r of records) {
+      if (r.type === 'characterData') scan(r.target);
+      else r.addedNodes.forEach(scan);
+    }
+    save();
+  }).observe(document, { childList: true, subtree: true, characterData: true });
+  const onInput = (e) => {
+    checkField(e.target);
+    save();
+  };
+  document.addEventListener('input', onInput, true);
+  document.addEventListener('change', onInput, true);
+  ensureStyle();
+  if (document.documentElement) scan(document.documentElement);
+
+  window.__mkdemoMask = {
+    text: (s) => redact(s, config.patterns).text,
+    report(reset) {
+      const out = JSON.parse(JSON.stringify(report));
+      if (reset) {
+        report = empty();
+        save();
+      }
+      return out;
+    },
+  };
+}
+
+/** Init-script source for `config`, shared by Playwright and Puppeteer. */
+export function maskingScript(config) {
+  return `(${installMasking})(${JSON.stringify(config)}, ${redactText});`;
+}
+
+/**
+ * Install masking on a Playwright context/page or a Puppeteer page, before it
+ * navigates. No-op when `config` is null (masking off).
+ */
+export async function applyMasking(target, config) {
+  if (config) await addInitScript(target, maskingScript(config));
+}
+
+/**
+ * Read (and with `reset`, clear) the page's accumulated redaction counts.
+ * Best-effort: null when the page is gone or masking isn't installed.
+ */
+export async function readMaskReport(page, { reset = false } = {}) {
+  return page.evaluate((r) => window.__mkdemoMask?.report(r) ?? null, reset).catch(() => null);
+}
+
+/**
+ * Totals across captures: per pattern, per selector, and password fields.
+ * @param {Array<{patterns?, selectors?, passwordFields?}>} captures
+ */
+export function summarizeRedactions(captures) {
+  const totals = { patterns: {}, selectors: {}, passwordFields: 0 };
+  for (const c of captures) {
+    for (const [k, n] of Object.entries(c.patterns || {})) totals.patterns[k] = (totals.patterns[k] || 0) + n;
+    for (const [k, n] of Object.entries(c.selectors || {})) totals.selectors[k] = (totals.selectors[k] || 0) + n;
+    totals.passwordFields += c.passwordFields || 0;
+  }
+  return totals;
+}
+
+/** One-line summary of `summarizeRedactions` totals for the job log. */
+export function describeRedactions(totals) {
+  const parts = [
+    ...Object.entries(totals.patterns).map(([name, n]) => `${n} ${name}`),
+    ...Object.entries(totals.selectors).map(([sel, n]) => `${n} × ${sel}`),
+    ...(totals.passwordFields ? [`${totals.passwordFields} password field(s)`] : []),
+  ];
+  return parts.join(', ') || 'nothing';
+}
+
+/**
+ * Collects one entry per capture (crawled page, recorded feature, screenshot
+ * step) and writes the job's redaction report.
+ */
+export function createRedactionLog(config) {
+  const captures = [];
+  return {
+    /** Record `report` (from readMaskReport) for a capture; nulls are skipped. */
+    add(source, url, report) {
+      if (report) captures.push({ source, url, ...report });
+    },
+    /** Totals so far (summarizeRedactions). */
+    totals() {
+      return summarizeRedactions(captures);
+    },
+    /** Write `redactions.json` into `dir`; returns its path. */
+    async write(dir) {
+      const file = path.join(dir, REDACTION_FILE);
+      const body = {
+        enabled: Boolean(config),
+        rules: config
+          ? { patterns: config.patterns.map(({ name, source }) => ({ name, source })), selectors: config.selectors }
+          : null,
+        totals: summarizeRedactions(captures),
+        captures,
+      };
+      await fs.writeFile(file, JSON.stringify(body, null, 2), 'utf8');
+      return file;
+    },
+  };
+}
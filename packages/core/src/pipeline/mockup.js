@@ -0,0 +1,78 @@
+import { runFfmpeg } from './ffmpeg.js';
+
+/**
+ * Phone mockup for portrait recordings on a landscape canvas.
+ *
+ * A 393x659 phone clip letterboxed onto 1920x1080 is a thin strip between two
+ * black bars. Instead the clip is scaled into the screen of a phone drawn in
+ * the middle of the frame: the body is a rounded rectangle with a camera pill,
+ * rendered once per job as a transparent PNG (ffmpeg `geq`, no image tooling)
+ * whose screen area is a rounded hole the recording shows through. assembly.js
+ * pads the clip to the screen position and overlays the PNG on top.
+ *
+ * Pure geometry + ffmpeg argument builders; only renderMockupFrame runs ffmpeg.
+ */
+
+const SCREEN_SHARE = 0.84; // screen height as a share of the frame height
+const BEZEL_SHARE = 0.022; // bezel width relative to the screen height
+const BODY_COLOR = [28, 28, 33];
+const even = (n) => Math.round(n / 2) * 2;
+
+/**
+ * Where the phone sits on `frame` for a recording of `viewport`.
+ * @returns {{screen: object, body: object, radius: number, screenRadius: number, island: object}}
+ *   rects are {x, y, width, height} in frame pixels
+ */
+export function phoneMockup(viewport, frame) {
+  let height = even(frame.height * SCREEN_SHARE);
+  let width = even((height * viewport.width) / viewport.height);
+  // Very wide "portrait" viewports (tablets) still have to fit across.
+  if (width > frame.width * 0.8) {
+    width = even(frame.width * 0.8);
+    height = even((width * viewport.height) / viewport.width);
+  }
+  const bezel = Math.max(8, Math.round(height * BEZEL_SHARE));
+  const screen = { x: even((frame.width - width) / 2), y: even((frame.height - height) / 2), width, height };
+  const body = { x: screen.x - bezel, y: screen.y - bezel, width: width + 2 * bezel, height: height + 2 * bezel };
+  const radius = Math.round(Math.min(body.width, body.height) * 0.13);
+  const islandW = Math.round(width * 0.3);
+  const islandH = Math.round(bezel * 1.4);
+  return {
+    screen,
+    body,
+    radius,
+    screenRadius: Math.max(0, radius - bezel),
+    island: { x: screen.x + Math.round((width - islandW) / 2), y: screen.y + bezel, width: islandW, height: islandH },
+  };
+}
+
+// geq expression: 1 inside the rounded rect, else 0.
+function insideRounded({ x, y, width, height }, r) {
+  const dx = `max(0,max(${x + r}-X,X-${x + width - 1 - r}))`;
+  const dy = `max(0,max(${y + r}-Y,Y-${y + height - 1 - r}))`;
+  return `lte(hypot(${dx},${dy}),${r})`;
+}
+
+/**
+ * geq alpha for the mockup PNG: opaque on the body and the camera pill,
+ * transparent over the screen and around the phone.
+ */
+export function mockupAlphaExpr(m) {
+  const body = insideRounded(m.body, m.radius);
+  const screen = insideRounded(m.screen, m.screenRadius);
+  const island = insideRounded(m.island, Math.floor(m.island.height / 2));
+  return `255*${body}*(1-${screen}+${screen}*${island})`;
+}
+
+/** Render the mockup overlay for `viewport` on `frame` to a PNG. */
+export async function renderMockupFrame(viewport, frame, outPath) {
+  const m = phoneMockup(viewport, frame);
+  const [r, g, b] = BODY_COLOR;
+  await runFfmpeg([
+    '-f', 'lavfi', '-i', `color=c=black:s=${frame.width}x${frame.height},format=rgba`,
+    '-vf', `geq=r=${r}:g=${g}:b=${b}:a='${mockupAlphaExpr(m)}'`,
+    '-frames:v', '1',
+    outPath,
+  ]);
+  return outPath;
+}
@@ -0,0 +1,72 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { demoScriptSchema } from './schemas.js';
+import { completeStage, loadManifest, saveManifest } from './manifest.js';
+
+/**
+ * Human-in-the-loop script review. A job with `review` stops after the script
+ * stage — the script is already saved in manifest.json — and reports `review`
+ * instead of going on to voiceover and assembly. An edited script (titles,
+ * captions, narration, segment order) is checked against demoScriptSchema and
+ * the job's features and clips, saved over the manifest's script stage, and
+ * the job resumed from `voiceover`, so a bad line costs a re-read, not a render.
+ */
+
+export const TRANSCRIPT_FILE = 'transcript.txt';
+export const SUNO_PROMPT_FILE = 'suno-prompt.txt';
+
+/** Write a script's transcript.txt and suno-prompt.txt into the job dir. */
+export async function writeScriptFiles(jobDir, script) {
+  await fs.writeFile(path.join(jobDir, SUNO_PROMPT_FILE), script.sunoPrompt || '', 'utf8');
+  await fs.writeFile(
+    path.join(jobDir, TRANSCRIPT_FILE),
+    script.segments.map((s) => s.narration).filter(Boolean).join('\n\n'),
+    'utf8',
+  );
+}
+
+/**
+ * Check an edited script: demoScriptSchema, at least one segment, and every
+ * feature / clip segment pointing at one of the job's `featureCount` recorded
+ * features / `clipCount` uploaded clips. Returns the parsed script; throws a
+ * readable error.
+ */
+export function validateScriptEdit(input, { featureCount, clipCount = 0 }) {
+  const res = demoScriptSchema.safeParse(input);
+  if (!res.success) {
+    const issues = res.error.issues.map((issue) => `${issue.path.join('.') || 'script'}: ${issue.message}`);
+    throw new Error(`Invalid script — ${issues.join('; ')}`);
+  }
+  const script = res.data;
+  if (!script.segments.length) throw new Error('Invalid script — it needs at least one segment');
+  const inRange = (i, count) => Number.isInteger(i) && i >= 0 && i < count;
+  script.segments.forEach((seg, i) => {
+    if (seg.kind === 'feature' && !inRange(seg.featureIndex, featureCount)) {
+      throw new Error(`Invalid script — segment ${i + 1}: featureIndex must be 0..${featureCount - 1}`);
+    }
+    if (seg.kind === 'clip' && !inRange(seg.clipIndex, clipCount)) {
+      throw new Error(
+        clipCount
+          ? `Invalid script — segment ${i + 1}: clipIndex must be 0..${clipCount - 1}`
+          : `Invalid script — segment ${i + 1} is a clip, but the job has no uploaded clips`,
+      );
+    }
+  });
+  return script;
+}
+
+/**
+ * Validate an edited script against the job dir's saved features and save it
+ * as the manifest's script stage (dropping the voiceover and assembly built
+ * from the old one), rewriting transcript.txt and suno-prompt.txt. Returns the
+ * saved script; throws when it's invalid or the job has no saved script.
+ */
+export async function saveScriptEdit(jobDir, input, { clipCount = 0 } = {}) {
+  const manifest = await loadManifest(jobDir);
+  if (!manifest?.stages?.script) throw new Error('This job has no saved script to edit');
+  const featureCount = manifest.stages.discover?.features?.length ?? 0;
+  const script = validateScriptEdit(input, { featureCount, clipCount });
+  await saveManifest(jobDir, completeStage(manifest, 'script', { script }));
+  await writeScriptFiles(jobDir, script);
+  return script;
+}
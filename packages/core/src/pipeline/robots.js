@@ -0,0 +1,89 @@
+/**
+ * Minimal robots.txt support for the crawler (RFC 9309): pick the group that
+ * matches our user-agent token (falling back to `*`), then apply longest-match
+ * Allow/Disallow with `*` and `$` wildcards. Also surfaces `Sitemap:` lines so
+ * discovery can seed from them. Pure string handling — no I/O.
+ */
+
+/** Product token the crawler identifies as in robots.txt groups. */
+export const CRAWLER_AGENT = 'makedemo';
+
+/**
+ * @param {string} text  robots.txt body
+ * @param {string} [agent]
+ * @returns {{rules: Array<{allow: boolean, path: string}>, sitemaps: string[]}}
+ */
+export function parseRobots(text, agent = CRAWLER_AGENT) {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const raw of String(text || '').split(/\r?\n/)) {
+    const line = raw.replace(/#.*$/, '').trim();
+    const m = line.match(/^([a-z-]+)\s*:\s*(.*)$/i);
+    if (!m) continue;
+    const key = m[1].toLowerCase();
+    const value = m[2].trim();
+
+    if (key === 'sitemap') {
+      if (value) sitemaps.push(value);
+      continue;
+    }
+    if (key === 'user-agent') {
+      // Consecutive user-agent lines share one group.
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [] };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+    lastWasAgent = false;
+    if (!current) continue;
+    if ((key === 'allow' || key === 'disallow') && value) {
+      current.rules.push({ allow: key === 'allow', path: value });
+    }
+  }
+
+  const token = productToken(agent);
+  const named = groups.filter((g) => g.agents.some((a) => a !== '*' && productToken(a) === token));
+  const chosen = named.length ? named : groups.filter((g) => g.agents.includes('*'));
+  return { rules: chosen.flatMap((g) => g.rules), sitemaps };
+}
+
+/** True if `url` may be crawled under parsed robots `rules` (null = no robots). */
+export function isAllowedByRobots(url, robots) {
+  if (!robots?.rules?.length) return true;
+  let target;
+  try {
+    const u = new URL(url);
+    target = u.pathname + u.search;
+  } catch {
+    return true;
+  }
+
+  // Longest matching pattern wins; on a tie, Allow wins.
+  let best = null;
+  for (const rule of robots.rules) {
+    if (!robotsPatternToRegExp(rule.path).test(target)) continue;
+    if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+      best = rule;
+    }
+  }
+  return best ? best.allow : true;
+}
+
+// Product token of a user-agent value, lower-cased: "MakeDemo/1.2 (+url)" -> "makedemo".
+function productToken(agent) {
+  return String(agent).trim().split(/[\s/]/)[0].toLowerCase();
+}
+
+function robotsPatternToRegExp(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
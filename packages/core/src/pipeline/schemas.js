@@ -21,6 +21,119 @@ export const featureDetectionSchema = z.object({
   features: z.array(featureSchema),
 });
 
+/**
+ * What an action operates on. Claude fills whichever fields it can read off the
+ * accessibility snapshot; actions.js#candidateLocators tries role+name, then
+ * visible text, then a raw CSS selector.
+ */
+export const actionTargetSchema = z.object({
+  role: z.string().nullable().describe('ARIA role from the snapshot (e.g. "button", "link", "textbox"), or null'),
+  name: z.string().nullable().describe('Accessible name shown next to the role in the snapshot, or null'),
+  text: z.string().nullable().describe('Visible text to match when role/name are unknown, or null'),
+  selector: z.string().nullable().describe('CSS selector as a last resort, or null'),
+});
+
+/** One typed browser action chosen by the recording agent. */
+export const agentActionSchema = z.object({
+  type: z.enum(['click', 'fill', 'select', 'press', 'scroll', 'wait', 'done']).describe('The action to perform next'),
+  target: actionTargetSchema.nullable().describe('Element to act on (click/fill/select/press), or null'),
+  // fill: text to type; select: option label; press: key name; scroll: "up" | "down".
+  value: z.string().nullable().describe('Text to type, option label to select, key to press, or scroll direction'),
+  reason: z.string().describe('One short sentence on why this action moves the demo forward'),
+});
+
+/**
+ * Hand-written demo scripts (demo.yaml / demo.json, see demo-spec.js). They
+ * list the features and the exact actions to record, so runPipeline can skip
+ * crawl + feature detection and render the same video every time.
+ */
+
+/**
+ * A target in a demo script: any of actionTargetSchema's fields, plus the
+ * label / placeholder / test id locators codegen scripts use. At least one.
+ */
+export const demoTargetSchema = z
+  .object({
+    role: z.string().optional(),
+    name: z.string().optional(),
+    text: z.string().optional(),
+    selector: z.string().optional(),
+    label: z.string().optional(),
+    placeholder: z.string().optional(),
+    testId: z.string().optional(),
+  })
+  .refine((t) => Boolean(t.role || t.name || t.text || t.selector || t.label || t.placeholder || t.testId), {
+    message: 'target needs a role, name, text, selector, label, placeholder, or testId',
+  });
+
+/**
+ * One scripted action, performed by actions.js#performAction. `value` is the
+ * text to type (fill), option label (select), key (press), "up"/"down" or a
+ * pixel delta (scroll), URL (goto), or milliseconds (wait; with a target, the
+ * longest to wait for it).
+ */
+export const demoActionSchema = z
+  .object({
+    type: z.enum(['click', 'fill', 'select', 'press', 'scroll', 'wait', 'hover', 'goto']),
+    target: demoTargetSchema.optional(),
+    value: z
+      .union([z.string(), z.number()])
+      .transform((v) => String(v))
+      .optional(),
+  })
+  .superRefine((a, ctx) => {
+    if (['click', 'fill', 'select', 'hover'].includes(a.type) && !a.target) {
+      ctx.addIssue({ code: 'custom', path: ['target'], message: `${a.type} needs a target` });
+    }
+    if (['fill', 'select'].includes(a.type) && a.value == null) {
+      ctx.addIssue({ code: 'custom', path: ['value'], message: `${a.type} needs a value` });
+    }
+    if (a.type === 'goto' && !a.value) {
+      ctx.addIssue({ code: 'custom', path: ['value'], message: 'goto needs a URL' });
+    }
+    if (a.type === 'wait' && a.value != null && !(Number(a.value) >= 0)) {
+      ctx.addIssue({ code: 'custom', path: ['value'], message: 'wait value must be milliseconds' });
+    }
+  });
+
+/**
+ * A feature in a demo script; the optional fields override the script writer.
+ * `recording` (a Chrome DevTools Recorder export or a Playwright codegen
+ * script, see importers.js) supplies name, featureUrl, viewport and actions
+ * for whichever of them aren't set here.
+ */
+export const demoFeatureSchema = z
+  .object({
+    name: z.string().min(1).optional(),
+    // Absolute, or relative to the script's `url`.
+    featureUrl: z.string().min(1).optional(),
+    pitch: z.string().default(''),
+    actions: z.array(demoActionSchema).default([]),
+    recording: z.string().optional(),
+    viewport: z.object({ width: z.number().int().positive(), height: z.number().int().positive() }).optional(),
+    title: z.string().optional(),
+    caption: z.string().optional(),
+    narration: z.string().optional(),
+  })
+  .superRefine((f, ctx) => {
+    if (f.recording) return;
+    if (!f.name) ctx.addIssue({ code: 'custom', path: ['name'], message: 'name is required' });
+    if (!f.featureUrl) ctx.addIssue({ code: 'custom', path: ['featureUrl'], message: 'featureUrl is required' });
+  });
+
+export const demoSpecSchema = z.object({
+  url: z.url().optional(),
+  title: z.string().optional(),
+  tagline: z.string().optional(),
+  narration: z
+    .object({
+      intro: z.string().optional(),
+      outro: z.string().optional(),
+    })
+    .optional(),
+  features: z.array(demoFeatureSchema).min(1),
+});
+
 /**
  * One segment of the final video timeline. The script writer emits an ordered
  * list of these; each maps to either a recorded feature clip, an uploaded
@@ -49,9 +162,28 @@ export const demoScriptSchema = z.object({
 export const jobShape = {
   id: 'string',
   url: 'string',
-  credentials: '{ user, password } | null',
+  credentials: '{ user, password, totpSecret?, successUrl?, successSelector? } | null',
+  storageState: 'object | string | null  (Playwright storageState or cookie JSON, replaces a password for SSO)',
   maxFeatures: 'number',
-  voice: 'string | null',
+  voice: 'string | null  (a voice id of the TTS provider)',
+  tts: "'auto' | 'elevenlabs' | 'piper' | 'espeak'  (default MKDEMO_TTS or 'auto' — see tts.js)",
+  respectRobots: 'boolean  (default true; false ignores robots.txt Disallow)',
+  spaDiscovery: 'boolean  (default false; click nav buttons to find client-side routes)',
+  cursor: 'boolean  (default true; draw a synthetic cursor, click ripples and key badges in feature clips)',
+  zoom: 'boolean  (default true; push in on each action in feature segments)',
+  mask: '{ selectors?, patterns?, defaults? } | false  (default on; mask PII/secrets in captures — see masking.js)',
+  cleanup: '{ selectors?, dismiss? } | false  (default on; hide/dismiss cookie banners, chat widgets, popups — see cleanup.js)',
+  network: "'live' | 'record' | 'replay'  (default 'live'; save or replay per-feature HARs — see har.js)",
+  harDir: 'string | null  (replay: a recorded job\'s har folder, e.g. output/<id>/har)',
+  freeze: 'true | { time?, seed? } | null  (fixed clock + seeded Math.random/crypto in crawl and recording — see freeze.js)',
+  device: "string | null  (Playwright device name or alias, e.g. 'iPhone 15', 'pixel', 'ipad' — see device.js)",
+  deviceLayout: "'mockup' | 'native'  (default 'mockup'; portrait clips in a phone on 16:9, or a 9:16 video)",
+  formats: "string | string[] | null  ('landscape' | 'vertical' | 'square' or 16:9, 9:16, 1:1; one MP4 each — see formats.js)",
+  burnCaptions: 'boolean  (default false; burn word-timed karaoke captions into the video — see captions.js)',
+  resumeFrom: "'discover' | 'record' | 'script' | 'voiceover' | 'assemble' | true | null  (re-run the job dir from this stage, true = where it stopped — see manifest.js)",
+  review: 'boolean  (default false; stop after the script stage for a human edit, then resume from voiceover — see review.js)',
+  cache: 'boolean  (default true; false skips cached Claude calls, voiceover and recordings and refreshes them — see cache.js)',
+  demo: 'object | string | null  (demo.yaml/.json path, text, or object; skips discover — see demo-spec.js)',
   // New for the media pipeline:
   clips: 'string[]  (paths to user-uploaded video clips)',
   song: 'string | null  (path to an uploaded suno.com song clip)',
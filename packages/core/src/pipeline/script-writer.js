@@ -12,17 +12,18 @@ import { demoScriptSchema } from './schemas.js';
  * Falls back to a deterministic script when no ANTHROPIC_API_KEY is set, so the
  * pipeline always produces something renderable.
  */
-export async function writeScript({ productUrl, features, clipCount = 0, log }) {
+export async function writeScript({ productUrl, features, clipCount = 0, cache, log }) {
   log?.('Writing the voiceover script + Suno music prompt');
 
   const result = await parseStructured({
     system:
       'You are a scriptwriter for a high-energy product demo video with a surreal, metal aesthetic. You are given the product URL, the features being shown (each already has a recorded screen clip), and the number of extra user-uploaded video clips to intercut. Produce: (1) an overall title and tagline; (2) an ordered list of timeline segments. Start with an "intro" segment, then weave "feature" segments (set featureIndex to the feature being shown, clipIndex null) and "clip" segments for the uploaded clips (set clipIndex 0..N-1, featureIndex null), and finish with an "outro" segment. Every feature should appear once; spread the uploaded clips between features as B-roll. For each segment write a punchy on-screen title, a short caption, and a narration line written to be spoken aloud (no stage directions). Keep narration tight — one or two sentences. (3) A vivid suno.com prompt for a SURREAL, METAL instrumental bed that matches the energy (mention tempo, instrumentation, mood, and that it must loop and sit under a voiceover).',
     prompt: `Product URL: ${productUrl}\nUploaded B-roll clips available: ${clipCount}\n\nFeatures (in intended order):\n${features
-      .map((f, i) => `${i}. ${f.name} — ${f.pitch} (url: ${f.featureUrl})`)
+      .map(featureLine)
       .join('\n')}`,
     schema: demoScriptSchema,
     maxTokens: 8000,
+    cache,
   });
 
   if (result && result.segments?.length) {
@@ -54,8 +55,8 @@ function heuristicScript({ productUrl, features, clipCount }) {
       featureIndex: i,
       clipIndex: null,
       title: f.name,
-      caption: f.pitch.slice(0, 60),
-      narration: f.pitch,
+      caption: (f.pitch || f.name).slice(0, 60),
+      narration: f.pitch || `Here's ${f.name}.`,
     });
     // Intercut an uploaded clip after every other feature.
     if (clipsUsed < clipCount && i % 2 === 1) {
@@ -102,3 +103,10 @@ function safeHost(url) {
     return 'this product';
   }
 }
+
+// One feature for the prompt. The recorded steps let Claude narrate what the
+// clip actually shows — imported recordings arrive without a pitch.
+function featureLine(f, i) {
+  const line = `${i}. ${f.name} — ${f.pitch || '(no pitch; infer it from the steps)'} (url: ${f.featureUrl})`;
+  return f.steps?.length ? `${line}\n   steps: ${f.steps.join('; ')}` : line;
+}
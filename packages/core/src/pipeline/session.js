@@ -0,0 +1,85 @@
+import fs from 'node:fs/promises';
+import { cacheKey } from './cache.js';
+
+/**
+ * Login-session plumbing shared by crawl and recording.
+ *
+ * The pipeline logs in once (crawl.js#tryLogin) and saves a Playwright
+ * storageState file in the job dir; every recordFeature context starts from it
+ * so features behind auth aren't recorded as the login page. For SSO-only apps
+ * the user can instead supply a pre-made storageState or a cookie export (the
+ * JSON array browser cookie extensions produce), which is normalized here.
+ */
+
+/** File name of the saved session inside the job dir (never served statically). */
+export const SESSION_FILE = 'storage-state.json';
+
+const SAME_SITE = { strict: 'Strict', lax: 'Lax', none: 'None', no_restriction: 'None', unspecified: 'Lax' };
+
+/**
+ * Normalize a user-supplied session to Playwright's storageState shape.
+ * Accepts a storageState object (`{cookies, origins}`), a bare cookie array, or
+ * either as a JSON string. Throws on anything else.
+ * @returns {{cookies: object[], origins: object[]}}
+ */
+export function toStorageState(input) {
+  let data = input;
+  if (typeof data === 'string') {
+    try {
+      data = JSON.parse(data);
+    } catch {
+      throw new Error('Session must be valid JSON');
+    }
+  }
+  if (Array.isArray(data)) return { cookies: data.map(toCookie), origins: [] };
+  if (data && Array.isArray(data.cookies)) {
+    return { cookies: data.cookies.map(toCookie), origins: Array.isArray(data.origins) ? data.origins : [] };
+  }
+  throw new Error('Session must be a Playwright storageState or an array of cookies');
+}
+
+/**
+ * Write a user-supplied session (object, JSON string, or path to a JSON file)
+ * to `outPath` as a normalized storageState. Returns `outPath`.
+ */
+export async function writeSessionFile(input, outPath) {
+  let source = input;
+  if (typeof source === 'string' && !/^\s*[[{]/.test(source)) {
+    source = await fs.readFile(source, 'utf8');
+  }
+  await fs.writeFile(outPath, JSON.stringify(toStorageState(source), null, 2), { encoding: 'utf8', mode: 0o600 });
+  return outPath;
+}
+
+/**
+ * Hash of whose session a recording runs as, for cache keys: the login user
+ * for a credentials login, otherwise the saved session's cookies and origins.
+ * Null when there is no session file.
+ */
+export async function sessionIdentity(sessionPath, credentials = null) {
+  if (!sessionPath) return null;
+  if (credentials?.user) return cacheKey({ user: credentials.user, loginUrl: credentials.loginUrl ?? null });
+  const state = JSON.parse(await fs.readFile(sessionPath, 'utf8'));
+  return cacheKey({
+    cookies: (state.cookies || []).map((c) => [c.domain, c.path, c.name, c.value]).sort(),
+    origins: (state.origins || []).map((o) => o.origin).sort(),
+  });
+}
+
+// Map one cookie (Playwright or browser-extension export) to Playwright's shape.
+function toCookie(c) {
+  if (!c || typeof c.name !== 'string' || c.value == null || !c.domain) {
+    throw new Error('Each session cookie needs a name, value, and domain');
+  }
+  const expires = Number(c.expires ?? c.expirationDate ?? -1);
+  return {
+    name: c.name,
+    value: String(c.value),
+    domain: c.domain,
+    path: c.path || '/',
+    expires: c.session || !Number.isFinite(expires) ? -1 : expires,
+    httpOnly: Boolean(c.httpOnly),
+    secure: Boolean(c.secure),
+    sameSite: SAME_SITE[String(c.sameSite || 'lax').toLowerCase()] || 'Lax',
+  };
+}
@@ -0,0 +1,87 @@
+import { gunzipSync } from 'node:zlib';
+
+/**
+ * Sitemap discovery for the crawler. Marketing sites often expose product pages
+ * only through /sitemap.xml, so crawlSite seeds its queue from here before
+ * following <a href> links.
+ *
+ * Handles plain <urlset> sitemaps, <sitemapindex> files that point at more
+ * sitemaps, and gzip-compressed sitemaps (sitemap.xml.gz). Fetching is injected
+ * as `get(url) -> Buffer|null` so the crawler can reuse its browser context's
+ * request client and tests can pass a fake.
+ */
+
+/**
+ * Parse one sitemap document.
+ * @param {string} xml
+ * @returns {{urls: string[], sitemaps: string[]}}  page URLs, or child sitemaps for an index
+ */
+export function parseSitemap(xml) {
+  const text = String(xml || '');
+  const locs = [...text.matchAll(/<loc>\s*(?:<!\[CDATA\[)?\s*([^<\]]+?)\s*(?:\]\]>)?\s*<\/loc>/gi)].map((m) =>
+    decodeXml(m[1]),
+  );
+  return /<sitemapindex[\s>]/i.test(text) ? { urls: [], sitemaps: locs } : { urls: locs, sitemaps: [] };
+}
+
+/** Decode a sitemap body, gunzipping it when it carries the gzip magic bytes. */
+export function decodeSitemapBody(buf) {
+  if (!buf?.length) return '';
+  const bytes = Buffer.from(buf);
+  if (bytes[0] === 0x1f && bytes[1] === 0x8b) {
+    try {
+      return gunzipSync(bytes).toString('utf8');
+    } catch {
+      return '';
+    }
+  }
+  return bytes.toString('utf8');
+}
+
+/**
+ * Collect same-origin page URLs from a site's sitemaps, following indexes.
+ * @param {object} opts
+ * @param {string} opts.origin
+ * @param {(url:string)=>Promise<Buffer|null>} opts.get
+ * @param {string[]} [opts.sitemaps]  extra sitemap URLs (e.g. from robots.txt)
+ * @param {number} [opts.limit]       max page URLs to return
+ * @param {number} [opts.maxFiles]    max sitemap documents to fetch
+ * @returns {Promise<string[]>}
+ */
+export async function collectSitemapUrls({ origin, get, sitemaps = [], limit = 100, maxFiles = 10 }) {
+  const queue = [...new Set([...sitemaps, `${origin}/sitemap.xml`])];
+  const seenFiles = new Set();
+  const urls = new Set();
+
+  while (queue.length && seenFiles.size < maxFiles && urls.size < limit) {
+    const file = queue.shift();
+    if (seenFiles.has(file)) continue;
+    seenFiles.add(file);
+
+    const body = await get(file).catch(() => null);
+    const parsed = parseSitemap(decodeSitemapBody(body));
+    queue.push(...parsed.sitemaps.filter((s) => sameOrigin(s, origin)));
+    for (const u of parsed.urls) {
+      if (urls.size >= limit) break;
+      if (sameOrigin(u, origin)) urls.add(u);
+    }
+  }
+  return [...urls];
+}
+
+function sameOrigin(u, origin) {
+  try {
+    return new URL(u).origin === origin;
+  } catch {
+    return false;
+  }
+}
+
+function decodeXml(s) {
+  return s
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
@@ -0,0 +1,143 @@
+/**
+ * SPA route discovery for the crawler.
+ *
+ * React/Vue apps often render navigation as <button>s or role="link" elements
+ * with router handlers, so an <a href> crawl finds almost nothing after login.
+ * This probe clicks nav-like elements one at a time, watches for client-side
+ * navigations (history.pushState/replaceState, popstate, hashchange — recorded
+ * by an init script), collects the same-origin URLs they lead to, and puts the
+ * page back the way it was before the next probe.
+ *
+ * Like actions.js, it only drives the `page` it's handed (no Playwright import).
+ */
+
+// Nav-like elements that aren't plain links. Buttons inside forms are skipped
+// in the page (they submit things rather than navigate).
+const NAV_SELECTOR = [
+  '[role="link"]:not(a[href])',
+  '[role="menuitem"]',
+  '[role="tab"]',
+  'nav button',
+  'aside button',
+  '[class*="sidebar" i] button',
+  '[class*="nav" i] button',
+].join(', ');
+
+// Never probe controls that could log us out or change data.
+const UNSAFE_LABEL = /log ?out|sign ?out|delete|remove|destroy|cancel subscription|unsubscribe|deactivate|reset|pay|purchase|buy|checkout/i;
+
+/** True if a nav element's label is safe to click during discovery. */
+export function isSafeProbeLabel(label) {
+  const text = String(label || '').trim();
+  return Boolean(text) && text.length <= 60 && !UNSAFE_LABEL.test(text);
+}
+
+/**
+ * Init script (runs in every document of the context) that records client-side
+ * URL changes into `window.__mkdemoRoutes`. Passed to context.addInitScript, so
+ * it must be self-contained.
+ */
+export function recordClientRoutes() {
+  if (window.__mkdemoRoutes) return;
+  window.__mkdemoRoutes = [];
+  const note = () => window.__mkdemoRoutes.push(location.href);
+  for (const fn of ['pushState', 'replaceState']) {
+    const original = history[fn];
+    history[fn] = function (...args) {
+      const result = original.apply(this, args);
+      note();
+      return result;
+    };
+  }
+  window.addEventListener('popstate', note);
+  window.addEventListener('hashchange', note);
+}
+
+/**
+ * Click each safe nav-like element on the current page and collect the
+ * same-origin routes it navigates to. The page is restored after every probe.
+ * @param {import('playwright').Page} page
+ * @param {object} opts
+ * @param {string} opts.origin
+ * @param {number} [opts.maxProbes]
+ * @param {(msg:string)=>void} [opts.log]
+ * @returns {Promise<string[]>} discovered route URLs (not de-duplicated against the crawl)
+ */
+export async function probeSpaRoutes(page, { origin, maxProbes = 15, log }) {
+  const startUrl = page.url();
+  const labels = (await tagNavCandidates(page, maxProbes * 2)).filter(isSafeProbeLabel).slice(0, maxProbes);
+  const found = new Set();
+
+  for (const label of labels) {
+    // Re-tag each round: restoring the page may have re-rendered the nav.
+    const index = (await tagNavCandidates(page, maxProbes * 2)).indexOf(label);
+    if (index === -1) continue;
+
+    await page.evaluate(() => (window.__mkdemoRoutes = [])).catch(() => {});
+    const clicked = await page
+      .locator(`[data-mkdemo-probe="${index}"]`)
+      .first()
+      .click({ timeout: 2500 })
+      .then(() => true)
+      .catch(() => false);
+    if (!clicked) continue;
+    await page.waitForTimeout(600);
+    await page.waitForLoadState('domcontentloaded', { timeout: 5000 }).catch(() => {});
+
+    const seen = await page
+      .evaluate(() => [...(window.__mkdemoRoutes || []), location.href])
+      .catch(() => [page.url()]);
+    for (const u of seen) {
+      if (u !== startUrl && sameOrigin(u, origin)) found.add(u);
+    }
+
+    await restore(page, startUrl);
+  }
+
+  if (found.size) log?.(`SPA probe found ${found.size} route(s) on ${startUrl}`);
+  return [...found];
+}
+
+// Mark visible nav candidates with data-mkdemo-probe="<i>" and return their labels.
+function tagNavCandidates(page, max) {
+  return page
+    .evaluate(
+      ({ selector, max }) => {
+        const labels = [];
+        document.querySelectorAll('[data-mkdemo-probe]').forEach((el) => el.removeAttribute('data-mkdemo-probe'));
+        for (const el of document.querySelectorAll(selector)) {
+          const rect = el.getBoundingClientRect();
+          if (!rect.width || !rect.height || el.disabled || el.closest('form')) continue;
+          const label = (el.innerText || el.getAttribute('aria-label') || '').trim().replace(/\s+/g, ' ');
+          if (!label || labels.includes(label)) continue;
+          el.setAttribute('data-mkdemo-probe', String(labels.length));
+          labels.push(label);
+          if (labels.length >= max) break;
+        }
+        return labels;
+      },
+      { selector: NAV_SELECTOR, max },
+    )
+    .catch(() => []);
+}
+
+// Undo a probe: go back if it navigated, otherwise close whatever it opened.
+async function restore(page, startUrl) {
+  if (page.url() === startUrl) {
+    await page.keyboard.press('Escape').catch(() => {});
+    return;
+  }
+  await page.goBack({ waitUntil: 'domcontentloaded', timeout: 5000 }).catch(() => null);
+  if (page.url() !== startUrl) {
+    await page.goto(startUrl, { waitUntil: 'domcontentloaded', timeout: 20000 }).catch(() => {});
+  }
+  await page.waitForLoadState('networkidle', { timeout: 3000 }).catch(() => {});
+}
+
+function sameOrigin(u, origin) {
+  try {
+    return new URL(u).origin === origin;
+  } catch {
+    return false;
+  }
+}
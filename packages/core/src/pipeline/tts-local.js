@@ -0,0 +1,135 @@
+import { spawn } from 'node:child_process';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { cancelledError, currentSignal, runFfmpeg } from './ffmpeg.js';
+
+/**
+ * Offline TTS engines (see tts.js for the provider interface).
+ *
+ * Both run as local binaries, write a WAV that's transcoded to the MP3 the
+ * rest of the pipeline expects, and need no network:
+ *   - Piper: neural voices, one `.onnx` model (+ `.onnx.json` config) per
+ *     voice in PIPER_VOICES_DIR (default ~/.local/share/piper/voices). The
+ *     voice id is the model's file name, e.g. 'en_US-lessac-medium'.
+ *   - espeak-ng: robotic but installed nearly everywhere; voice ids are its
+ *     language/voice names ('en-us', 'en-gb-x-rp', …).
+ * Neither reports word timings, so captions fall back to estimates.
+ */
+
+const ESPEAK_WPM = 165;
+
+/** Run a binary (no shell), optionally feeding `input` on stdin; aborting `signal` kills it. */
+export function runTool(bin, args, { input, signal = currentSignal() } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(cancelledError(signal));
+    const proc = spawn(bin, args, { signal });
+    let stdout = '';
+    let stderr = '';
+    proc.stdout.on('data', (c) => (stdout += c.toString()));
+    proc.stderr.on('data', (c) => (stderr += c.toString()));
+    proc.on('error', (err) =>
+      reject(signal?.aborted ? cancelledError(signal) : new Error(`${bin} failed to start: ${err.message}`)),
+    );
+    proc.on('close', (code) => {
+      if (signal?.aborted) reject(cancelledError(signal));
+      else if (code === 0) resolve(stdout);
+      else reject(new Error(`${bin} exited ${code}: ${stderr.slice(-300)}`));
+    });
+    if (input != null) proc.stdin.end(input);
+    else proc.stdin.end();
+  });
+}
+
+// Synthesize to a temporary WAV next to outPath, then transcode to MP3.
+async function viaWav(outPath, writeWav, signal) {
+  const wav = `${outPath}.wav`;
+  try {
+    await writeWav(wav);
+    await runFfmpeg(['-i', wav, '-ar', '44100', '-ac', '2', '-c:a', 'libmp3lame', '-b:a', '128k', outPath], null, {
+      signal,
+    });
+  } finally {
+    await fs.rm(wav, { force: true });
+  }
+  return { path: outPath, words: null };
+}
+
+/**
+ * Parse `espeak-ng --voices` output:
+ *   Pty Language       Age/Gender VoiceName          File                 Other Languages
+ *    5  en-us           --/M      English_(America)  gmw/en-US            (en 2)
+ */
+export function parseEspeakVoices(stdout) {
+  return String(stdout)
+    .split('\n')
+    .slice(1)
+    .map((line) => line.trim().split(/\s+/))
+    .filter((cols) => cols.length >= 4)
+    .map(([, language, ageGender, name]) => ({
+      id: language,
+      name: name.replace(/_/g, ' '),
+      language,
+      gender: { M: 'male', F: 'female' }[ageGender.split('/')[1]] || undefined,
+    }));
+}
+
+export function createEspeakProvider({ bin = 'espeak-ng', run = runTool } = {}) {
+  return {
+    name: 'espeak',
+    capabilities: () => ({ offline: true, wordTimings: false }),
+    settings: { wpm: ESPEAK_WPM },
+    available: () => run(bin, ['--version']).then(() => true, () => false),
+    listVoices: async () => parseEspeakVoices(await run(bin, ['--voices'])),
+    defaultVoice: async () => 'en-us',
+    synthesize: (text, outPath, { voice, signal } = {}) =>
+      viaWav(
+        outPath,
+        (wav) =>
+          run(bin, ['-v', voice || 'en-us', '-s', String(ESPEAK_WPM), '-w', wav, '--stdin'], { input: text, signal }),
+        signal,
+      ),
+  };
+}
+
+/** Piper voice models (`<id>.onnx` with its `<id>.onnx.json`) in `dir`. */
+export async function listPiperModels(dir) {
+  const files = await fs.readdir(dir).catch(() => []);
+  return files
+    .filter((f) => f.endsWith('.onnx') && files.includes(`${f}.json`))
+    .map((f) => f.slice(0, -'.onnx'.length))
+    .sort();
+}
+
+export function createPiperProvider({
+  bin = process.env.PIPER_BIN || 'piper',
+  voicesDir = process.env.PIPER_VOICES_DIR || path.join(os.homedir(), '.local/share/piper/voices'),
+  defaultVoice = process.env.PIPER_VOICE,
+  run = runTool,
+} = {}) {
+  const models = () => listPiperModels(voicesDir);
+  const pickVoice = async (wanted) => {
+    const ids = await models();
+    if (ids.includes(wanted)) return wanted;
+    return ids.includes(defaultVoice) ? defaultVoice : ids.find((id) => id.startsWith('en_')) || ids[0];
+  };
+  return {
+    name: 'piper',
+    capabilities: () => ({ offline: true, wordTimings: false }),
+    settings: { voicesDir },
+    available: async () => (await models()).length > 0 && (await run(bin, ['--help']).then(() => true, () => false)),
+    listVoices: async () =>
+      (await models()).map((id) => ({ id, name: id, language: id.split('-')[0].replace('_', '-') })),
+    defaultVoice: () => pickVoice(null),
+    async synthesize(text, outPath, { voice, signal } = {}) {
+      const id = await pickVoice(voice);
+      if (!id) throw new Error(`No Piper voice models in ${voicesDir}`);
+      const model = path.join(voicesDir, `${id}.onnx`);
+      return viaWav(
+        outPath,
+        (wav) => run(bin, ['--model', model, '--output_file', wav], { input: text, signal }),
+        signal,
+      );
+    },
+  };
+}
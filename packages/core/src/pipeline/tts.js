@@ -0,0 +1,106 @@
+import {
+  CONVERSATIONAL_VOICE_SETTINGS,
+  generateSpeechWithTimestamps,
+  getAvailableVoices,
+  getRandomVoice,
+} from '../audio/generator.js';
+import { wordsFromAlignment } from './captions.js';
+import { createEspeakProvider, createPiperProvider } from './tts-local.js';
+
+/**
+ * Text-to-speech providers for the voiceover stage.
+ *
+ * Every engine implements the same small interface, so a job picks one by
+ * name (`tts`, or MKDEMO_TTS) and voiceover.js doesn't care which it got:
+ * ElevenLabs in the cloud, or Piper / espeak-ng running locally for narrated
+ * drafts on machines with no network (tts-local.js). 'auto' (the default)
+ * prefers ElevenLabs when a key is set, then Piper, then espeak-ng; with none
+ * of them the voiceover is silent, timed to the estimated narration.
+ *
+ * @typedef {object} TtsProvider
+ * @property {string} name
+ * @property {() => {offline: boolean, wordTimings: boolean}} capabilities
+ * @property {object} settings   what besides text + voice shapes the audio (part of the cache key, cache.js)
+ * @property {() => Promise<boolean>} available   can synthesize right now (key set / binary + model present)
+ * @property {() => Promise<Array<{id: string, name: string, language?: string, gender?: string}>>} listVoices
+ * @property {() => Promise<string>} defaultVoice
+ * @property {(text: string, outPath: string, opts?: {voice?: string, signal?: AbortSignal}) =>
+ *   Promise<{path: string, words: Array<{word,start,end}>|null}>} synthesize
+ *   writes an MP3 to outPath; `words` are word timings when the engine has them; throws on failure
+ */
+
+export const TTS_PROVIDERS = ['auto', 'elevenlabs', 'piper', 'espeak'];
+const AUTO_ORDER = ['elevenlabs', 'piper', 'espeak'];
+
+/** ElevenLabs via audio/generator.js, with word timings from its alignment. */
+export function createElevenLabsProvider({ env = process.env, speak = generateSpeechWithTimestamps } = {}) {
+  return {
+    name: 'elevenlabs',
+    capabilities: () => ({ offline: false, wordTimings: true }),
+    settings: { model: 'eleven_monolingual_v1', ...CONVERSATIONAL_VOICE_SETTINGS },
+    available: async () => Boolean(env.ELEVENLABS_API_KEY),
+    listVoices: async () =>
+      (await getAvailableVoices()).map((v) => ({ id: v.voice_id, name: v.name, gender: v.category?.toLowerCase() })),
+    defaultVoice: async () => env.ELEVENLABS_VOICE_ID || getRandomVoice(),
+    async synthesize(text, outPath, { voice, signal } = {}) {
+      const { path, alignment } = await speak(text, outPath, { voice, signal, mockFallback: false });
+      return { path, words: wordsFromAlignment(alignment, text) };
+    },
+  };
+}
+
+const FACTORIES = {
+  elevenlabs: createElevenLabsProvider,
+  piper: createPiperProvider,
+  espeak: createEspeakProvider,
+};
+
+/** A provider by name (no availability check). Throws on an unknown name. */
+export function getTtsProvider(name, deps = {}) {
+  const factory = FACTORIES[name];
+  if (!factory) throw new Error(`Unknown TTS provider "${name}" (expected ${TTS_PROVIDERS.join(', ')})`);
+  return factory(deps[name]);
+}
+
+/**
+ * The provider for a job's `tts` option (default MKDEMO_TTS, then 'auto').
+ * 'auto' → the first available of ElevenLabs, Piper, espeak-ng, or null
+ * (silent voiceover). A named provider that isn't usable here throws, so a
+ * misconfigured build machine fails before crawling rather than rendering a
+ * mute video.
+ * @returns {Promise<TtsProvider|null>}
+ */
+export async function selectTtsProvider(option = process.env.MKDEMO_TTS, deps = {}) {
+  const name = option || 'auto';
+  if (name !== 'auto') {
+    const provider = getTtsProvider(name, deps);
+    if (!(await provider.available())) throw new Error(`TTS provider "${name}" is not available: ${hint(name)}`);
+    return provider;
+  }
+  for (const candidate of AUTO_ORDER) {
+    const provider = getTtsProvider(candidate, deps);
+    if (await provider.available()) return provider;
+  }
+  return null;
+}
+
+/**
+ * The requested voice if the provider knows it, else its default. Offline
+ * engines list voices locally, so an ElevenLabs id left on the job (or a typo)
+ * is caught here instead of failing every segment.
+ */
+export async function resolveVoice(provider, voice, log) {
+  if (!voice) return provider.defaultVoice();
+  if (!provider.capabilities().offline) return voice;
+  const voices = await provider.listVoices().catch(() => []);
+  if (!voices.length || voices.some((v) => v.id === voice)) return voice;
+  const fallback = await provider.defaultVoice();
+  log?.(`${provider.name} has no voice "${voice}" — using ${fallback}`);
+  return fallback;
+}
+
+function hint(name) {
+  if (name === 'elevenlabs') return 'set ELEVENLABS_API_KEY';
+  if (name === 'piper') return 'install piper and put a voice model (.onnx + .onnx.json) in PIPER_VOICES_DIR';
+  return 'install espeak-ng';
+}
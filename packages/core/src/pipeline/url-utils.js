@@ -21,11 +21,12 @@ export function isExcluded(url, patterns) {
   return patterns.some((re) => re.test(path));
 }
 
-// Drop the hash fragment for stable de-duplication.
+// Drop the hash fragment for stable de-duplication — except hash-router routes
+// (`#/settings`, `#!/settings`), which are distinct SPA pages.
 export function normalize(u) {
   try {
     const url = new URL(u);
-    url.hash = '';
+    if (!/^#!?\//.test(url.hash)) url.hash = '';
     return url.toString();
   } catch {
     return u;
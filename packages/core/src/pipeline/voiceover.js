@@ -1,31 +1,53 @@
 import path from 'node:path';
-import { generateSpeech, getRandomVoice, estimateAudioDuration } from '../audio/generator.js';
+import { estimateAudioDuration } from '../audio/generator.js';
 import { generateSilentAudio, probeDuration } from './ffmpeg.js';
+import { resolveVoice, selectTtsProvider } from './tts.js';
 
 /**
  * Synthesize one audio file per script segment from the generated narration,
- * using ElevenLabs (via the existing audio generator) with a single consistent
- * voice. Segments with no narration (uploaded B-roll) get a short silent track
- * so the timeline still lines up.
+ * using the job's TTS provider (tts.js: ElevenLabs, or Piper / espeak-ng
+ * offline) with a single consistent voice. Segments with no narration
+ * (uploaded B-roll) get a short silent track so the timeline still lines up;
+ * with no provider at all every segment gets silence timed to its narration.
  *
- * Returns { voice, audios: [{ path, duration }] } aligned to `segments`.
+ * Returns { voice, tts, audios: [{ path, duration, words }] } aligned to
+ * `segments`; `words` are the provider's word timings (captions.js), or null
+ * without them. With a `cache` (cache.js), a line already spoken by the same
+ * engine, settings and voice is copied from the cache instead of re-synthesized.
+ *
+ * @param {object} opts
+ * @param {import('./tts.js').TtsProvider|null} [opts.tts]  default: tts.js#selectTtsProvider('auto')
+ * @param {AbortSignal} [opts.signal]  cancels the TTS call in flight (no silent fallback then)
  */
-export async function synthesizeVoiceover({ segments, outputDir, voice, minSegment = 3, log }) {
-  const chosenVoice = voice || getRandomVoice();
-  log?.(`Synthesizing voiceover (voice ${chosenVoice})`);
+export async function synthesizeVoiceover({ segments, outputDir, voice, tts, cache, minSegment = 3, signal, log }) {
+  const provider = tts === undefined ? await selectTtsProvider('auto') : tts;
+  const chosenVoice = provider ? await resolveVoice(provider, voice, log) : null;
+  if (provider) log?.(`Synthesizing voiceover (${provider.name}, voice ${chosenVoice})`);
+  else log?.('No TTS engine — silent timed voiceover');
 
   const audios = [];
   for (let i = 0; i < segments.length; i++) {
+    signal?.throwIfAborted();
     const seg = segments[i];
     const audioPath = path.join(outputDir, `vo-${String(i).padStart(2, '0')}.mp3`);
     const text = (seg.narration || '').trim();
+    let words = null;
 
     if (text) {
       const estimated = Math.max(minSegment, estimateAudioDuration(text));
       try {
-        await generateSpeech(text, audioPath, { voice: chosenVoice });
+        if (!provider) throw new Error('no TTS engine');
+        const key = { tts: provider.name, settings: provider.settings, voice: chosenVoice, text };
+        const hit = await cache?.getFile('tts', key, audioPath);
+        if (hit) {
+          words = hit.words;
+        } else {
+          ({ words } = await provider.synthesize(text, audioPath, { voice: chosenVoice, signal }));
+          await cache?.putFile('tts', key, audioPath, { words });
+        }
       } catch (err) {
-        log?.(`TTS failed on segment ${i} (${err.message}) — silent`);
+        signal?.throwIfAborted();
+        if (provider) log?.(`TTS failed on segment ${i} (${err.message}) — silent`);
         await generateSilentAudio(audioPath, estimated);
       }
     } else {
@@ -34,8 +56,8 @@ export async function synthesizeVoiceover({ segments, outputDir, voice, minSegme
     }
 
     const duration = await probeDuration(audioPath).catch(() => minSegment);
-    audios.push({ path: audioPath, duration });
+    audios.push({ path: audioPath, duration, words });
   }
 
-  return { voice: chosenVoice, audios };
+  return { voice: chosenVoice, tts: provider?.name || null, audios };
 }
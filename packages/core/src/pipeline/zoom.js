@@ -0,0 +1,139 @@
+/**
+ * Auto zoom-and-pan for feature segments.
+ *
+ * Letterboxed full frames make small buttons unreadable at 1080p, so — like
+ * Screen Studio — we push in on where the action is. recordFeature logs a
+ * `focus` event (seconds into the clip + the target's bounding box in viewport
+ * pixels) for every action it performs; here those become eased zoom and
+ * center keyframes, and then one ffmpeg `zoompan` filter whose expressions
+ * interpolate between them per frame. Actions close together share a single
+ * push-in and pan between targets instead of bouncing in and out.
+ *
+ * Pure: no ffmpeg calls here, so the keyframe math is unit-testable.
+ */
+
+const LEAD_S = 0.6; // ease in before the action lands
+const HOLD_S = 1.2; // stay on the target after the (last) action
+const OUT_S = 0.8; // ease back out to the full frame
+const PAN_S = 0.5; // glide between targets inside one push-in
+const MAX_ZOOM = 1.8;
+const MIN_ZOOM = 1.15; // below this a push-in reads as jitter; skip it
+const TARGET_SHARE = 1 / 3; // zoom until the target spans ~1/3 of the frame
+
+/**
+ * Map a viewport-space box into the output frame, where the recording is
+ * letterboxed into `area` (the whole frame, or a phone mockup's screen).
+ * @returns {{x:number, y:number, width:number, height:number}}
+ */
+export function toFrameBox(box, viewport, frame, area = { x: 0, y: 0, ...frame }) {
+  const s = Math.min(area.width / viewport.width, area.height / viewport.height);
+  const ox = area.x + (area.width - viewport.width * s) / 2;
+  const oy = area.y + (area.height - viewport.height * s) / 2;
+  return { x: ox + box.x * s, y: oy + box.y * s, width: box.width * s, height: box.height * s };
+}
+
+/**
+ * Zoom + center keyframes (`[t, value]` pairs, t ascending) for one clip.
+ * @param {Array<{t:number, box:object}>} focus  action events from recordFeature
+ * @param {object} opts
+ * @param {{width,height}} opts.viewport  recording viewport
+ * @param {{width,height}} opts.frame     output frame
+ * @param {number} opts.duration          segment duration (s)
+ * @param {object} [opts.area]            where in the frame the recording sits (default: all of it)
+ * @returns {{zoom: number[][], cx: number[][], cy: number[][]} | null}  null = no zoom needed
+ */
+export function zoomKeyframes(focus, { viewport, frame, duration, area }) {
+  const events = (focus || [])
+    .filter((f) => f?.box && f.box.width > 0 && f.box.height > 0 && f.t >= 0 && f.t < duration)
+    .sort((a, b) => a.t - b.t)
+    .map((f) => {
+      const b = toFrameBox(f.box, viewport, frame, area);
+      const fit = Math.min((frame.width * TARGET_SHARE) / b.width, (frame.height * TARGET_SHARE) / b.height);
+      return {
+        t: f.t,
+        cx: b.x + b.width / 2,
+        cy: b.y + b.height / 2,
+        zoom: Math.min(MAX_ZOOM, Math.max(1, fit)),
+      };
+    });
+
+  // Group actions whose push-ins would overlap.
+  const groups = [];
+  for (const e of events) {
+    const last = groups[groups.length - 1];
+    if (last && e.t - last[last.length - 1].t < HOLD_S + OUT_S + LEAD_S) last.push(e);
+    else groups.push([e]);
+  }
+
+  const center = { cx: frame.width / 2, cy: frame.height / 2 };
+  const zoom = [[0, 1]];
+  const cx = [[0, center.cx]];
+  const cy = [[0, center.cy]];
+  let pushed = false;
+
+  for (const group of groups) {
+    const z = Math.min(...group.map((e) => e.zoom));
+    if (z < MIN_ZOOM) continue;
+    pushed = true;
+
+    const first = group[0];
+    const start = Math.max(0, first.t - LEAD_S);
+    const end = Math.min(duration, group[group.length - 1].t + HOLD_S);
+    zoom.push([start, 1], [first.t, z], [end, z], [Math.min(duration, end + OUT_S), 1]);
+    cx.push([start, center.cx], [first.t, first.cx]);
+    cy.push([start, center.cy], [first.t, first.cy]);
+    for (let i = 1; i < group.length; i++) {
+      const prev = group[i - 1];
+      const e = group[i];
+      const panFrom = Math.max(prev.t, e.t - PAN_S);
+      cx.push([panFrom, prev.cx], [e.t, e.cx]);
+      cy.push([panFrom, prev.cy], [e.t, e.cy]);
+    }
+    const last = group[group.length - 1];
+    cx.push([end, last.cx], [Math.min(duration, end + OUT_S), center.cx]);
+    cy.push([end, last.cy], [Math.min(duration, end + OUT_S), center.cy]);
+  }
+
+  if (!pushed) return null;
+  return { zoom: ascending(zoom), cx: ascending(cx), cy: ascending(cy) };
+}
+
+/** Drop keys that don't move time forward (the later one wins). */
+export function ascending(keys) {
+  const out = [];
+  for (const [t, v] of keys) {
+    while (out.length && out[out.length - 1][0] >= t - 1e-3) out.pop();
+    out.push([t, v]);
+  }
+  return out;
+}
+
+/**
+ * ffmpeg expression for `keys` over time variable `T`: smoothstep-eased
+ * between neighbouring keys, flat before the first and after the last.
+ */
+export function keyframeExpr(keys, T) {
+  const num = (n) => String(Math.round(n * 1000) / 1000);
+  let expr = num(keys[keys.length - 1][1]);
+  for (let i = keys.length - 2; i >= 0; i--) {
+    const [t0, v0] = keys[i];
+    const [t1, v1] = keys[i + 1];
+    const p = `clip((${T}-${num(t0)})/${num(t1 - t0)},0,1)`;
+    const seg = v0 === v1 ? num(v0) : `${num(v0)}+(${num(v1 - v0)})*${p}*${p}*(3-2*${p})`;
+    expr = `if(lt(${T},${num(t1)}),${seg},${expr})`;
+  }
+  return expr;
+}
+
+/**
+ * `zoompan` filter for a normalized (already letterboxed to `frame`) clip, or
+ * null when the keyframes are null. One output frame per input frame.
+ */
+export function zoompanFilter(keys, { frame, fps }) {
+  if (!keys) return null;
+  const T = `on/${fps}`;
+  const z = keyframeExpr(keys.zoom, T);
+  const x = `clip(${keyframeExpr(keys.cx, T)}-iw/zoom/2,0,iw-iw/zoom)`;
+  const y = `clip(${keyframeExpr(keys.cy, T)}-ih/zoom/2,0,ih-ih/zoom)`;
+  return `zoompan=z='${z}':x='${x}':y='${y}':d=1:s=${frame.width}x${frame.height}:fps=${fps}`;
+}
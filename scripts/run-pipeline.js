@@ -1,6 +1,7 @@
 #!/usr/bin/env node
 import 'dotenv/config';
 import { randomUUID } from 'node:crypto';
+import { readFile } from 'node:fs/promises';
 import { runPipeline } from '../packages/core/index.js';
 
 /**
@@ -11,6 +12,13 @@ import { runPipeline } from '../packages/core/index.js';
  *
  *   node scripts/run-pipeline.js --url https://example.com \
  *     --clips ./a.mp4,./b.mp4 --song ./suno.mp3 --max-features 5
+ *
+ *   node scripts/run-pipeline.js --demo ./demo.yaml   # scripted features, no crawl
+ *   node scripts/run-pipeline.js --import ./checkout.json,./signup.spec.ts
+ *     # Chrome Recorder exports / codegen scripts replayed as features
+ *
+ *   node scripts/run-pipeline.js --resume <jobId> [--from assemble]
+ *     # re-run output/<jobId> from a stage (default: where it stopped)
  */
 function parseArgs(argv) {
   const out = {};
@@ -26,29 +34,67 @@ function parseArgs(argv) {
 }
 
 const args = parseArgs(process.argv.slice(2));
-if (!args.url) {
-  console.error('Usage: node scripts/run-pipeline.js --url <url> [--user <e> --password <p>] [--clips a.mp4,b.mp4] [--song suno.mp3] [--max-features 5] [--voice <id>]');
+if ((!args.url && !args.demo && !args.import && !args.resume) || args.resume === 'true') {
+  console.error('Usage: node scripts/run-pipeline.js (--url <url> | --demo demo.yaml | --import rec.json,flow.spec.ts | --resume <jobId> [--from discover|record|script|voiceover|assemble]) [--user <e> --password <p> [--totp <base32>] [--success-url <glob>] [--success-selector <css>] | --session state.json] [--clips a.mp4,b.mp4] [--song suno.mp3] [--max-features 5] [--voice <id>] [--ignore-robots] [--spa] [--no-cursor] [--no-zoom] [--mask-selector <css>] [--mask-pattern </regex/i>] [--no-mask] [--hide <css>] [--no-cleanup] [--record-har | --replay-har output/<id>/har] [--freeze [<iso time>]] [--seed <n>] [--device "iPhone 15" [--device-layout mockup|native]] [--formats 16:9,9:16,1:1] [--burn-captions] [--tts auto|elevenlabs|piper|espeak] [--no-cache] [--review]');
   process.exit(1);
 }
 
 const job = {
-  id: randomUUID().slice(0, 8),
-  url: args.url,
-  credentials: args.user && args.password ? { user: args.user, password: args.password } : null,
+  id: args.resume || randomUUID().slice(0, 8),
+  url: args.url || null,
+  demo: args.demo || (args.import ? await importedDemo(args.import) : null),
+  credentials:
+    args.user && args.password
+      ? {
+          user: args.user,
+          password: args.password,
+          totpSecret: args.totp || undefined,
+          successUrl: args['success-url'] || undefined,
+          successSelector: args['success-selector'] || undefined,
+        }
+      : null,
+  storageState: args.session || null,
   maxFeatures: args['max-features'] ? Number(args['max-features']) : 5,
   voice: args.voice || null,
+  tts: args.tts || undefined,
   clips: args.clips ? args.clips.split(',').map((s) => s.trim()).filter(Boolean) : [],
   song: args.song || null,
+  respectRobots: args['ignore-robots'] !== 'true',
+  spaDiscovery: args.spa === 'true',
+  cursor: args['no-cursor'] !== 'true',
+  zoom: args['no-zoom'] !== 'true',
+  mask: args['no-mask'] === 'true' ? false : { selectors: args['mask-selector'], patterns: args['mask-pattern'] },
+  cleanup: args['no-cleanup'] === 'true' ? false : { selectors: args.hide },
+  network: args['replay-har'] ? 'replay' : args['record-har'] === 'true' ? 'record' : 'live',
+  harDir: args['replay-har'] || null,
+  freeze: args.freeze ? { time: args.freeze === 'true' ? undefined : args.freeze, seed: args.seed } : null,
+  device: args.device || null,
+  deviceLayout: args['device-layout'] || 'mockup',
+  formats: args.formats || null,
+  burnCaptions: args['burn-captions'] === 'true',
+  cache: args['no-cache'] !== 'true',
+  review: args.review === 'true',
+  resumeFrom: args.resume ? args.from || true : null,
 };
 
+// --import: each recording file becomes one feature of an ad-hoc demo script.
+async function importedDemo(list) {
+  const files = list.split(',').map((s) => s.trim()).filter(Boolean);
+  return { features: await Promise.all(files.map(async (f) => ({ recording: await readFile(f, 'utf8') }))) };
+}
+
 const emit = (type, data) => {
   if (type === 'log') console.log(`  ${data.msg}`);
   else if (type === 'stage') console.log(`[${data.stage}] ${data.status}${data.step ? ` ${data.step}/${data.total}` : ''}`);
   else if (type === 'done') console.log(`\n✅ Done: output/${job.id}/${data.video}`);
+  else if (type === 'review') {
+    console.log(`\n✋ Script saved for review in output/${job.id}/manifest.json (stages.script.script)`);
+    console.log(`   Edit it, then: node scripts/run-pipeline.js --resume ${job.id} --from voiceover`);
+  }
   else if (type === 'error') console.error(`❌ ${data.message}`);
 };
 
-console.log(`Job ${job.id} → ${job.url}`);
+console.log(`Job ${job.id} → ${job.url || args.demo || `resuming from ${args.from || 'where it stopped'}`}`);
 runPipeline(job, emit).catch((err) => {
   console.error('Pipeline failed:', err);
   process.exit(1);
@@ -0,0 +1,102 @@
+import { expect } from 'chai';
+import {
+  isLoginComplete,
+  matchesUrlPattern,
+  newLoginProgress,
+  nextLoginAction,
+  progressKey,
+} from '../../packages/core/src/auth/login-flow.js';
+
+const APP = 'https://app.example.com';
+const screen = (over = {}) => ({
+  url: `${APP}/login`,
+  appOrigin: APP,
+  hasOtp: false,
+  hasPassword: false,
+  hasIdentifier: false,
+  hasEmailOption: false,
+  selectorFound: false,
+  ...over,
+});
+const progress = (over = {}) => ({ ...newLoginProgress(), ...over });
+
+describe('login flow', () => {
+  describe('matchesUrlPattern', () => {
+    it('matches path globs against path + query', () => {
+      expect(matchesUrlPattern(`${APP}/dashboard`, '/dashboard')).to.equal(true);
+      expect(matchesUrlPattern(`${APP}/app/home?tab=1`, '/app/*')).to.equal(true);
+      expect(matchesUrlPattern(`${APP}/login`, '/app/*')).to.equal(false);
+    });
+
+    it('matches full-URL globs and /regex/ patterns', () => {
+      expect(matchesUrlPattern(`${APP}/home`, 'https://app.example.com/*')).to.equal(true);
+      expect(matchesUrlPattern('https://auth.example.com/home', 'https://app.example.com/*')).to.equal(false);
+      expect(matchesUrlPattern(`${APP}/Home`, '/\\/home$/i')).to.equal(true);
+      expect(matchesUrlPattern(`${APP}/home`, '/[/')).to.equal(false);
+    });
+  });
+
+  describe('isLoginComplete', () => {
+    it('requires a submitted secret and a clean screen on the app origin by default', () => {
+      const landed = screen({ url: `${APP}/home` });
+      expect(isLoginComplete(landed, {}, progress())).to.equal(false);
+      expect(isLoginComplete(landed, {}, progress({ password: 1 }))).to.equal(true);
+      expect(isLoginComplete(screen({ url: 'https://auth.example.com/done' }), {}, progress({ password: 1 }))).to.equal(false);
+      expect(isLoginComplete(screen({ url: `${APP}/home`, hasPassword: true }), {}, progress({ password: 1 }))).to.equal(false);
+    });
+
+    it('uses successUrl / successSelector when configured', () => {
+      const criteria = { successUrl: '/home', successSelector: '#avatar' };
+      expect(isLoginComplete(screen({ url: `${APP}/home` }), criteria, progress())).to.equal(false);
+      expect(isLoginComplete(screen({ url: `${APP}/home`, selectorFound: true }), criteria, progress())).to.equal(true);
+    });
+  });
+
+  describe('nextLoginAction', () => {
+    it('walks an identifier-first flow', () => {
+      expect(nextLoginAction(screen({ hasEmailOption: true }), progress())).to.equal('choose_email');
+      expect(nextLoginAction(screen({ hasIdentifier: true }), progress({ chooseEmail: 1 }))).to.equal('identifier');
+      expect(nextLoginAction(screen({ hasPassword: true }), progress({ identifier: 1 }))).to.equal('password');
+      expect(nextLoginAction(screen({ url: `${APP}/home` }), progress({ password: 1 }))).to.equal('done');
+    });
+
+    it('does not re-enter the identifier on an app page with an email input', () => {
+      const appPage = screen({ url: `${APP}/settings`, hasIdentifier: true });
+      expect(nextLoginAction(appPage, progress({ identifier: 1, password: 1 }))).to.equal('done');
+      // With a successUrl that hasn't matched yet, it waits instead of typing the email again.
+      const criteria = { successUrl: '/home' };
+      expect(nextLoginAction(appPage, progress({ password: 1 }), criteria)).to.equal('wait');
+      expect(nextLoginAction(appPage, progress({ password: 1, wait: 3 }), criteria)).to.equal('failed');
+    });
+
+    it('handles the two-factor step once', () => {
+      expect(nextLoginAction(screen({ hasOtp: true }), progress({ password: 1 }))).to.equal('totp');
+      expect(nextLoginAction(screen({ hasOtp: true }), progress({ password: 1, totp: 1 }))).to.equal('mfa_failed');
+    });
+
+    it('waits out redirects, then gives up', () => {
+      const hosted = screen({ url: 'https://auth.example.com/callback' });
+      expect(nextLoginAction(hosted, progress({ password: 1, wait: 2 }))).to.equal('wait');
+      expect(nextLoginAction(hosted, progress({ password: 1, wait: 3 }))).to.equal('failed');
+      expect(nextLoginAction(screen({ hasPassword: true }), progress({ password: 1 }))).to.equal('wait');
+      expect(nextLoginAction(screen({ hasPassword: true }), progress({ password: 1, wait: 1 }))).to.equal('failed');
+      const idForm = screen({ hasIdentifier: true, identifierInForm: true });
+      expect(nextLoginAction(idForm, progress({ identifier: 2 }))).to.equal('failed');
+    });
+
+    it('email input on a landing page with no login context leads to failed or wait, not identifier', () => {
+      const landing = screen({ url: `${APP}/`, hasIdentifier: true });
+      expect(nextLoginAction(landing, progress())).to.equal('wait');
+      expect(nextLoginAction(landing, progress({ wait: 3 }))).to.equal('failed');
+      // Any one sign of a login makes it the identifier step.
+      expect(nextLoginAction({ ...landing, identifierInForm: true }, progress())).to.equal('identifier');
+      expect(nextLoginAction({ ...landing, loginUrl: `${APP}/signin` }, progress())).to.equal('identifier');
+      expect(nextLoginAction({ ...landing, url: 'https://auth.example.com/u/login' }, progress())).to.equal('identifier');
+    });
+  });
+
+  it('maps actions to progress counters', () => {
+    expect(progressKey('choose_email')).to.equal('chooseEmail');
+    expect(progressKey('password')).to.equal('password');
+  });
+});
@@ -0,0 +1,177 @@
+import { expect } from 'chai';
+import http from 'node:http';
+import { readFile } from 'node:fs/promises';
+import { chromium } from 'playwright';
+import puppeteer from 'puppeteer';
+import { tryLogin } from '../../packages/core/src/pipeline/login.js';
+import { AuthenticationHandler } from '../../packages/core/src/auth/handler.js';
+import { OTP_INPUT_SELECTOR, generateTotp } from '../../packages/core/src/auth/totp.js';
+
+// Local fixture app with two flows:
+//   /login (email + password) -> /mfa (one-time code) -> /app
+//   /choose ("Continue with email") -> /identifier (email, Next) -> /password -> /app
+// Both login paths run against it in a real browser; the suites skip when no
+// Chromium is installed (e.g. `npx playwright install chromium` not run).
+const SECRET = 'JBSWY3DPEHPK3PXP';
+const USER = 'demo@example.com';
+const PASSWORD = 'hunter2';
+const FIXTURES = new URL('../fixtures/login/', import.meta.url);
+
+function readForm(req) {
+  return new Promise((resolve) => {
+    let body = '';
+    req.on('data', (c) => (body += c));
+    req.on('end', () => resolve(new URLSearchParams(body)));
+  });
+}
+
+function startFixtureServer() {
+  const server = http.createServer(async (req, res) => {
+    const redirect = (to) => res.writeHead(303, { Location: to }).end();
+    if (req.method === 'POST') {
+      const form = await readForm(req);
+      if (req.url === '/login') {
+        const ok = form.get('email') === USER && form.get('password') === PASSWORD;
+        return redirect(ok ? '/mfa' : '/login?error=1');
+      }
+      if (req.url === '/mfa') {
+        // Accept the neighbouring windows too, like real servers do for clock skew.
+        const now = Date.now();
+        const ok = [-30000, 0, 30000].some((d) => generateTotp(SECRET, { time: now + d }) === form.get('otp'));
+        return redirect(ok ? '/app' : '/mfa?error=1');
+      }
+      if (req.url === '/identifier') {
+        res.setHeader('Set-Cookie', `identifier=${encodeURIComponent(form.get('identifier') || '')}; Path=/`);
+        return redirect('/password');
+      }
+      if (req.url === '/password') {
+        const ok = req.headers.cookie?.includes(`identifier=${encodeURIComponent(USER)}`) && form.get('password') === PASSWORD;
+        return redirect(ok ? '/app' : '/password?error=1');
+      }
+    }
+    const page = new URL(req.url, 'http://x').pathname.slice(1) || 'login';
+    const html = await readFile(new URL(`${page}.html`, FIXTURES), 'utf8').catch(() => null);
+    if (!html) return res.writeHead(404).end();
+    res.writeHead(200, { 'Content-Type': 'text/html' }).end(html);
+  });
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+describe('Login flows against fixture pages', function () {
+  this.timeout(60000);
+  let server;
+  let base;
+
+  before(async () => {
+    server = await startFixtureServer();
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => server?.close());
+
+  describe('Playwright tryLogin', () => {
+    let browser;
+
+    before(async function () {
+      browser = await chromium.launch({ headless: true }).catch(() => null);
+      if (!browser) this.skip();
+    });
+
+    after(() => browser?.close());
+
+    const login = async (creds, path = '/login') => {
+      const page = await browser.newPage();
+      try {
+        const outcome = await tryLogin(page, { loginUrl: `${base}${path}`, user: USER, password: PASSWORD, ...creds });
+        return { outcome, url: page.url() };
+      } finally {
+        await page.close();
+      }
+    };
+
+    it('submits a locally generated TOTP code', async () => {
+      const { outcome, url } = await login({ totpSecret: SECRET });
+      expect(outcome).to.equal('success');
+      expect(url).to.match(/\/app$/);
+    });
+
+    it('reports mfa_failed for a wrong secret', async () => {
+      expect((await login({ totpSecret: 'GEZDGNBVGY3TQOJQ' })).outcome).to.equal('mfa_failed');
+    });
+
+    it('reports mfa_failed when no secret was supplied', async () => {
+      expect((await login({})).outcome).to.equal('mfa_failed');
+    });
+
+    it('walks a "Continue with email" + identifier-first flow', async () => {
+      const { outcome, url } = await login({ successUrl: '/app' }, '/choose');
+      expect(outcome).to.equal('success');
+      expect(url).to.match(/\/app$/);
+    });
+
+    it('fails when the post-login URL never matches successUrl', async () => {
+      expect((await login({ successUrl: '/admin*' }, '/identifier')).outcome).to.equal('failed');
+    });
+
+    it('does not take promo, coupon, zip or country code inputs for a one-time-code field', async () => {
+      const page = await browser.newPage();
+      try {
+        await page.setContent(`
+          <input name="promo_code" /><input id="couponCode" /><input name="zip_code" inputmode="numeric" />
+          <input name="country_code" maxlength="4" /><input name="discount" inputmode="numeric" maxlength="12" />
+        `);
+        expect(await page.locator(OTP_INPUT_SELECTOR).count()).to.equal(0);
+        await page.setContent(`
+          <input autocomplete="one-time-code" /><input name="totp" /><input inputmode="numeric" maxlength="6" />
+        `);
+        expect(await page.locator(OTP_INPUT_SELECTOR).count()).to.equal(3);
+      } finally {
+        await page.close();
+      }
+    });
+  });
+
+  describe('AuthenticationHandler (Puppeteer)', () => {
+    let browser;
+    const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+    before(async function () {
+      browser = await puppeteer.launch({ headless: 'new' }).catch(() => null);
+      if (!browser) this.skip();
+    });
+
+    after(() => browser?.close());
+
+    const login = async (creds, path = '/login') => {
+      const page = await browser.newPage();
+      try {
+        await page.goto(`${base}${path}`);
+        return await new AuthenticationHandler({ logger }).login(page, { user: USER, password: PASSWORD, ...creds });
+      } finally {
+        await page.close();
+      }
+    };
+
+    it('completes the two-factor step', async () => {
+      const res = await login({ totpSecret: SECRET });
+      expect(res).to.deep.equal({ success: true, outcome: 'success' });
+    });
+
+    it('reports mfa_failed for a wrong secret', async () => {
+      const res = await login({ totpSecret: 'GEZDGNBVGY3TQOJQ' });
+      expect(res.success).to.equal(false);
+      expect(res.outcome).to.equal('mfa_failed');
+    });
+
+    it('walks a "Continue with email" + identifier-first flow', async () => {
+      const res = await login({ successUrl: '/app', successSelector: 'h1' }, '/choose');
+      expect(res).to.deep.equal({ success: true, outcome: 'success' });
+    });
+
+    it('fails when the post-login URL never matches successUrl', async () => {
+      const res = await login({ successUrl: '/admin*' }, '/identifier');
+      expect(res.success).to.equal(false);
+      expect(res.outcome).to.equal('failed');
+    });
+  });
+});
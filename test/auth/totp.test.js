@@ -0,0 +1,39 @@
+import { expect } from 'chai';
+import { base32Decode, generateTotp } from '../../packages/core/src/auth/totp.js';
+
+// RFC 6238 Appendix B test vectors (SHA-1, 8 digits). The seed is the ASCII
+// string "12345678901234567890", base32-encoded.
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('TOTP', () => {
+  it('decodes base32, ignoring case, spaces and padding', () => {
+    expect(base32Decode('gezd gnbv gy3t qojq gezd gnbv gy3t qojq').toString()).to.equal('12345678901234567890');
+    expect(base32Decode('MZXW6===').toString()).to.equal('foo');
+  });
+
+  it('rejects secrets that are not base32', () => {
+    expect(() => base32Decode('not-base32!')).to.throw(/base32/);
+    expect(() => base32Decode('')).to.throw(/empty/);
+  });
+
+  it('matches the RFC 6238 SHA-1 test vectors', () => {
+    const vectors = [
+      [59, '94287082'],
+      [1111111109, '07081804'],
+      [1234567890, '89005924'],
+      [20000000000, '65353130'],
+    ];
+    for (const [seconds, code] of vectors) {
+      expect(generateTotp(RFC_SECRET, { time: seconds * 1000, digits: 8 })).to.equal(code);
+    }
+  });
+
+  it('defaults to 6-digit codes that change every 30 seconds', () => {
+    const a = generateTotp(RFC_SECRET, { time: 0 });
+    const b = generateTotp(RFC_SECRET, { time: 29999 });
+    const c = generateTotp(RFC_SECRET, { time: 30000 });
+    expect(a).to.match(/^\d{6}$/);
+    expect(a).to.equal(b);
+    expect(a).to.not.equal(c);
+  });
+});
@@ -0,0 +1,93 @@
+import { expect } from 'chai';
+import { candidateLocators, describeAction, performAction } from '../../packages/core/src/pipeline/actions.js';
+import { buildAgentPrompt } from '../../packages/core/src/pipeline/browser-agent.js';
+
+// Records which Playwright locator factories were called, and with what.
+function fakePage({ matches = 0 } = {}) {
+  const calls = [];
+  const locator = (kind, args) => {
+    calls.push([kind, ...args]);
+    const l = { first: () => l, count: async () => matches };
+    return l;
+  };
+  return {
+    calls,
+    getByRole: (...args) => locator('role', args),
+    getByText: (...args) => locator('text', args),
+    locator: (...args) => locator('css', args),
+    url: () => 'https://x.com/',
+  };
+}
+
+describe('agent actions', () => {
+  it('prefers role+name, then text, then selector', () => {
+    const page = fakePage();
+    candidateLocators(page, { role: 'button', name: 'Save', text: 'Save now', selector: '#save' });
+    expect(page.calls).to.deep.equal([
+      ['role', 'button', { name: 'Save' }],
+      ['text', 'Save now'],
+      ['css', '#save'],
+    ]);
+  });
+
+  it('falls back to the accessible name as text when no text is given', () => {
+    const page = fakePage();
+    candidateLocators(page, { role: null, name: 'Pricing', text: null, selector: null });
+    expect(page.calls).to.deep.equal([['text', 'Pricing']]);
+  });
+
+  it('returns no candidates for a null target', () => {
+    expect(candidateLocators(fakePage(), null)).to.deep.equal([]);
+  });
+
+  it('describes actions for logs and history', () => {
+    expect(describeAction({ type: 'click', target: { role: 'button', name: 'Save' }, value: null })).to.equal(
+      'click button "Save"',
+    );
+    expect(describeAction({ type: 'fill', target: { selector: '#q' }, value: 'shoes' })).to.equal('fill "#q" = "shoes"');
+    expect(describeAction({ type: 'scroll', target: null, value: 'down' })).to.equal('scroll = "down"');
+  });
+
+  it('masks values typed into password-like fields', () => {
+    const fill = (target, value) => describeAction({ type: 'fill', target, value });
+    expect(fill({ role: 'textbox', name: 'Password' }, 'hunter2')).to.equal('fill textbox "Password" = "••••"');
+    expect(fill({ selector: 'input[type=password]' }, 'x')).to.not.include('"x"');
+    expect(fill({ label: 'One-time code (OTP)' }, '123456')).to.not.include('123456');
+  });
+
+  it('reports a missing target instead of throwing', async () => {
+    const res = await performAction(fakePage({ matches: 0 }), {
+      type: 'click',
+      target: { role: 'button', name: 'Nope', text: null, selector: null },
+      value: null,
+    });
+    expect(res.ok).to.equal(false);
+    expect(res.error).to.match(/not found/);
+  });
+
+  it('waits for a scripted target up to `value` ms', async () => {
+    const page = { ...fakePage({ matches: 0 }), waitForTimeout: async () => {} };
+    const res = await performAction(page, { type: 'wait', target: { text: 'Results' }, value: '20' });
+    expect(res).to.deep.equal({ ok: false, error: 'target did not appear in time', box: null });
+  });
+});
+
+describe('buildAgentPrompt', () => {
+  const feature = { name: 'Search', pitch: 'Find anything.', steps: ['Type a query', 'Open a result'] };
+  const snapshot = { url: 'https://x.com/', title: 'X', aria: '- button "Go"', screenshot: Buffer.from('jpg') };
+
+  it('sends the screenshot as an image block ahead of the text', () => {
+    const content = buildAgentPrompt(feature, snapshot, [], 8);
+    expect(content[0].type).to.equal('image');
+    expect(content[0].source.data).to.equal(Buffer.from('jpg').toString('base64'));
+    expect(content[1].type).to.equal('text');
+    expect(content[1].text).to.include('- button "Go"');
+    expect(content[1].text).to.include('Actions left in budget: 8');
+  });
+
+  it('feeds failed actions back so the agent can retry differently', () => {
+    const history = [{ action: { type: 'click', target: { text: 'Go' }, value: null }, ok: false, error: 'no effect' }];
+    const [text] = buildAgentPrompt(feature, { ...snapshot, screenshot: null }, history, 3);
+    expect(text.text).to.include('click "Go" — FAILED: no effect');
+  });
+});
@@ -0,0 +1,81 @@
+import { expect } from 'chai';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { cacheKey, createCache, evictionOrder, stableJson } from '../../packages/core/src/pipeline/cache.js';
+
+describe('cache', () => {
+  let dir;
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mkdemo-cache-'));
+  });
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  describe('cacheKey', () => {
+    it('ignores object key order and undefined fields', () => {
+      expect(stableJson({ b: 1, a: [2, { d: undefined, c: 3 }] })).to.equal('{"a":[2,{"c":3}],"b":1}');
+      expect(cacheKey({ text: 'Hi', voice: 'v' })).to.equal(cacheKey({ voice: 'v', text: 'Hi', settings: undefined }));
+    });
+
+    it('changes with any input', () => {
+      expect(cacheKey({ text: 'Hi', voice: 'v' })).to.not.equal(cacheKey({ text: 'Hi!', voice: 'v' }));
+      expect(cacheKey({ text: 'Hi' })).to.match(/^[0-9a-f]{64}$/);
+    });
+  });
+
+  describe('evictionOrder', () => {
+    it('evicts least recently used entries until the rest fit', () => {
+      const entries = [
+        { key: 'a', bytes: 40, usedAt: 3 },
+        { key: 'b', bytes: 40, usedAt: 1 },
+        { key: 'c', bytes: 40, usedAt: 2 },
+      ];
+      expect(evictionOrder(entries, 100).map((e) => e.key)).to.deep.equal(['b']);
+      expect(evictionOrder(entries, 50).map((e) => e.key)).to.deep.equal(['b', 'c']);
+      expect(evictionOrder(entries, 120)).to.deep.equal([]);
+    });
+  });
+
+  describe('createCache', () => {
+    it('round-trips JSON values and files', async () => {
+      const cache = createCache({ dir });
+      expect(await cache.getJson('llm', { prompt: 'x' })).to.equal(null);
+      await cache.putJson('llm', { prompt: 'x' }, { features: [1] });
+      expect(await cache.getJson('llm', { prompt: 'x' })).to.deep.equal({ features: [1] });
+
+      const src = path.join(dir, 'vo.mp3');
+      await fs.writeFile(src, 'audio');
+      await cache.putFile('tts', { text: 'Hi' }, src, { words: null });
+      const dest = path.join(dir, 'copy.mp3');
+      expect(await cache.getFile('tts', { text: 'Hi' }, dest)).to.deep.equal({ words: null });
+      expect(await fs.readFile(dest, 'utf8')).to.equal('audio');
+      expect(cache.stats).to.deep.equal({ hits: 2, misses: 1, writes: 2 });
+    });
+
+    it('skips lookups but still writes when bypassed', async () => {
+      await createCache({ dir, bypass: true }).putJson('llm', { prompt: 'x' }, 'fresh');
+      expect(await createCache({ dir, bypass: true }).getJson('llm', { prompt: 'x' })).to.equal(null);
+      expect(await createCache({ dir }).getJson('llm', { prompt: 'x' })).to.equal('fresh');
+    });
+
+    it('evicts the oldest entries past the size cap', async () => {
+      const cache = createCache({ dir, maxBytes: 20 });
+      await cache.putJson('llm', { n: 1 }, 'aaaaaaaaaa');
+      const old = new Date(Date.now() - 60000);
+      const [first] = await fs.readdir(path.join(dir, 'llm'));
+      await fs.utimes(path.join(dir, 'llm', first), old, old);
+      await cache.putJson('llm', { n: 2 }, 'bbbbbbbbbb');
+      expect(await cache.getJson('llm', { n: 1 })).to.equal(null);
+      expect(await cache.getJson('llm', { n: 2 })).to.equal('bbbbbbbbbb');
+    });
+
+    it('is off with a zero size cap', async () => {
+      const cache = createCache({ dir, maxBytes: 0 });
+      await cache.putJson('llm', { prompt: 'x' }, 'value');
+      expect(cache.enabled).to.equal(false);
+      expect(await fs.readdir(dir)).to.deep.equal([]);
+    });
+  });
+});
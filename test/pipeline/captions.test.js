@@ -0,0 +1,99 @@
+import { expect } from 'chai';
+import {
+  captionCues,
+  estimateWordTimings,
+  formatTimestamp,
+  karaokeAss,
+  toSrt,
+  toVtt,
+  wordsFromAlignment,
+} from '../../packages/core/src/pipeline/captions.js';
+
+// ElevenLabs-style alignment: one entry per character of the spoken text.
+function alignment(text, perChar = 0.1) {
+  const characters = [...text];
+  return {
+    characters,
+    character_start_times_seconds: characters.map((_, i) => i * perChar),
+    character_end_times_seconds: characters.map((_, i) => (i + 1) * perChar),
+  };
+}
+
+describe('captions', () => {
+  it('turns a character alignment into word timings', () => {
+    const words = wordsFromAlignment(alignment('Hi there! ... *Fast* sync.'));
+    expect(words.map((w) => w.word)).to.deep.equal(['Hi', 'there!', 'Fast', 'sync.']);
+    expect(words[0]).to.deep.equal({ word: 'Hi', start: 0, end: 0.2 });
+    expect(wordsFromAlignment(null)).to.equal(null);
+  });
+
+  it('keeps the narration wording when the spoken words line up', () => {
+    const words = wordsFromAlignment(alignment('Welcome! ... Next step'), 'Welcome. Next step');
+    expect(words.map((w) => w.word)).to.deep.equal(['Welcome.', 'Next', 'step']);
+  });
+
+  it('estimates timings across the voiceover when there is no alignment', () => {
+    const words = estimateWordTimings('Open settings. Then save', 3);
+    expect(words).to.have.length(4);
+    expect(words[0].start).to.equal(0);
+    expect(words[3].end).to.equal(3);
+    // The sentence end gets a longer slot than a plain word of the same length.
+    expect(words[1].end - words[1].start).to.be.above(words[2].end - words[2].start + 0.1);
+    expect(estimateWordTimings('', 3)).to.deep.equal([]);
+  });
+
+  it('builds cues on the timeline clock, breaking at sentences and length', () => {
+    const timeline = [
+      { start: 0, duration: 3 },
+      { start: 3, duration: 4 },
+    ];
+    const cues = captionCues(
+      timeline,
+      [
+        [
+          { word: 'Meet', start: 0.1, end: 0.4 },
+          { word: 'Acme.', start: 0.5, end: 1 },
+          { word: 'It', start: 1.2, end: 1.3 },
+          { word: 'works.', start: 1.4, end: 1.8 },
+        ],
+        [
+          { word: 'one', start: 0, end: 0.5 },
+          { word: 'two', start: 0.5, end: 1 },
+          { word: 'three', start: 1, end: 1.5 },
+        ],
+      ],
+      { maxWords: 2 },
+    );
+    expect(cues.map((c) => c.text)).to.deep.equal(['Meet Acme.', 'It works.', 'one two', 'three']);
+    expect(cues[0]).to.include({ start: 0.1, end: 1.2 }); // held until the next cue
+    expect(cues[1]).to.include({ start: 1.2, end: 2.1 });
+    expect(cues[2]).to.include({ start: 3, end: 4 });
+    expect(cues[3].words[0]).to.deep.equal({ word: 'three', start: 4, end: 4.5 });
+  });
+
+  it('writes SRT and WebVTT', () => {
+    const cues = [
+      { start: 1.5, end: 3.25, text: 'Meet Acme.', words: [] },
+      { start: 3725.001, end: 3726, text: 'Bye', words: [] },
+    ];
+    expect(formatTimestamp(3725.001)).to.equal('01:02:05,001');
+    expect(toSrt(cues)).to.equal('1\n00:00:01,500 --> 00:00:03,250\nMeet Acme.\n\n2\n01:02:05,001 --> 01:02:06,000\nBye\n');
+    expect(toVtt(cues)).to.match(/^WEBVTT\n\n00:00:01\.500 --> 00:00:03\.250\nMeet Acme\.\n/);
+  });
+
+  it('sweeps each word over its spoken time in the karaoke script', () => {
+    const cue = {
+      start: 1,
+      end: 2.5,
+      text: 'Meet {Acme}',
+      words: [
+        { word: 'Meet', start: 1, end: 1.3 },
+        { word: '{Acme}', start: 1.5, end: 2 },
+      ],
+    };
+    const ass = karaokeAss([cue], { width: 1080, height: 1920 });
+    expect(ass).to.include('PlayResX: 1080\nPlayResY: 1920');
+    expect(ass).to.include('Style: Karaoke,DejaVu Sans,48,');
+    expect(ass).to.include('Dialogue: 0,0:00:01.00,0:00:02.50,Karaoke,,0,0,0,,{\\fad(120,120)}{\\kf50}Meet {\\kf50}Acme');
+  });
+});
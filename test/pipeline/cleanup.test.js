@@ -0,0 +1,101 @@
+import { expect } from 'chai';
+import {
+  OVERLAY_SELECTORS,
+  cleanupConfig,
+  cleanupScript,
+  clickDismissButtons,
+  dismissKind,
+  dismissOverlays,
+  hideOverlaysCss,
+  isNagText,
+} from '../../packages/core/src/pipeline/cleanup.js';
+
+// Just enough DOM for clickDismissButtons: containers found by selector, each
+// holding buttons with a label.
+function fakeDocument(containers) {
+  const button = (label, clicks) => ({
+    getAttribute: () => null,
+    innerText: label,
+    click: () => clicks.push(label),
+  });
+  const clicks = [];
+  const els = Object.fromEntries(
+    Object.entries(containers).map(([sel, labels]) => [
+      sel,
+      { textContent: labels.join(' '), querySelectorAll: () => labels.map((l) => button(l, clicks)) },
+    ]),
+  );
+  return {
+    clicks,
+    querySelectorAll: (sel) => {
+      if (sel in els) return [els[sel]];
+      return sel.includes('[role="dialog"]') && els.dialog ? [els.dialog] : [];
+    },
+  };
+}
+
+describe('page cleanup', () => {
+  afterEach(() => {
+    delete globalThis.document;
+  });
+
+  it('classifies dismiss buttons and leaves everything else', () => {
+    expect(dismissKind('Accept all cookies')).to.equal('accept');
+    expect(dismissKind('  Got  it ')).to.equal('accept');
+    expect(dismissKind('No, thanks')).to.equal('close');
+    expect(dismissKind('×')).to.equal('close');
+    expect(dismissKind('Manage preferences')).to.equal(null);
+    expect(dismissKind('Start free trial')).to.equal(null);
+  });
+
+  it('recognizes nag dialogs by their text', () => {
+    expect(isNagText('Subscribe to our newsletter')).to.equal(true);
+    expect(isNagText('Get 15% off your first order')).to.equal(true);
+    expect(isNagText('Rename project')).to.equal(false);
+  });
+
+  it('builds the config from the job option', () => {
+    expect(cleanupConfig(false)).to.equal(null);
+    const all = Object.values(OVERLAY_SELECTORS).flat();
+    expect(cleanupConfig().selectors).to.deep.equal(all);
+    const cfg = cleanupConfig({ selectors: '.promo-bar', dismiss: false });
+    expect(cfg.selectors).to.deep.equal([...all, '.promo-bar']);
+    expect(cfg.dismiss).to.equal(false);
+  });
+
+  it('hides each selector with its own rule and serializes a valid init script', () => {
+    const css = hideOverlaysCss(['#a', '.b c']);
+    expect(css.split('\n')).to.deep.equal([
+      '#a { display: none !important; visibility: hidden !important; }',
+      '.b c { display: none !important; visibility: hidden !important; }',
+    ]);
+    expect(() => new Function(cleanupScript(cleanupConfig()))).to.not.throw();
+  });
+
+  it('clicks accept over close in each overlay, and closes nag dialogs', () => {
+    const doc = fakeDocument({
+      '#onetrust-banner-sdk': ['Cookie settings', 'Close', 'Accept all'],
+      '#intercom-container': ['Chat with us'],
+      dialog: ['Join our newsletter', 'Maybe later'],
+    });
+    globalThis.document = doc;
+    const n = clickDismissButtons(['#onetrust-banner-sdk', '#intercom-container'], dismissKind, isNagText);
+    expect(n).to.equal(2);
+    expect(doc.clicks).to.deep.equal(['Accept all', 'Maybe later']);
+  });
+
+  it('skips the dismiss pass when disabled and never throws', async () => {
+    let evaluated = 0;
+    const page = {
+      evaluate: async () => {
+        evaluated += 1;
+        throw new Error('Execution context was destroyed');
+      },
+    };
+    expect(await dismissOverlays(page, cleanupConfig({ dismiss: false }))).to.equal(0);
+    expect(await dismissOverlays(page, null)).to.equal(0);
+    expect(evaluated).to.equal(0);
+    expect(await dismissOverlays(page, cleanupConfig())).to.equal(0);
+    expect(evaluated).to.equal(1);
+  });
+});
@@ -1,5 +1,6 @@
 import { expect } from 'chai';
 import { globToRegExp, isExcluded, normalize } from '../../packages/core/src/pipeline/url-utils.js';
+import { isSafeProbeLabel } from '../../packages/core/src/pipeline/spa-routes.js';
 
 describe('crawl helpers', () => {
   it('converts a glob to an anchored regexp', () => {
@@ -23,4 +24,19 @@ describe('crawl helpers', () => {
   it('strips the hash fragment when normalizing', () => {
     expect(normalize('https://x.com/a#section')).to.equal('https://x.com/a');
   });
+
+  it('keeps hash-router routes distinct', () => {
+    expect(normalize('https://x.com/#/settings')).to.equal('https://x.com/#/settings');
+    expect(normalize('https://x.com/#!/billing')).to.equal('https://x.com/#!/billing');
+  });
+});
+
+describe('SPA route probing', () => {
+  it('refuses to click destructive or logout controls', () => {
+    expect(isSafeProbeLabel('Dashboard')).to.equal(true);
+    expect(isSafeProbeLabel('Log out')).to.equal(false);
+    expect(isSafeProbeLabel('Sign Out')).to.equal(false);
+    expect(isSafeProbeLabel('Delete project')).to.equal(false);
+    expect(isSafeProbeLabel('')).to.equal(false);
+  });
 });
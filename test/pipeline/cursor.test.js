@@ -0,0 +1,52 @@
+import { expect } from 'chai';
+import { cursorTravelMs, keyLabel, targetPoint } from '../../packages/core/src/pipeline/cursor.js';
+import { performAction } from '../../packages/core/src/pipeline/actions.js';
+
+describe('cursor overlay', () => {
+  it('aims at the center of the target box', () => {
+    expect(targetPoint({ x: 100, y: 40, width: 81, height: 30 })).to.deep.equal({ x: 141, y: 55 });
+  });
+
+  it('takes longer for longer trips, within bounds', () => {
+    const origin = { x: 0, y: 0 };
+    const short = cursorTravelMs(origin, { x: 30, y: 40 });
+    const long = cursorTravelMs(origin, { x: 1200, y: 900 });
+    expect(short).to.be.lessThan(long);
+    expect(short).to.be.at.least(250);
+    expect(long).to.equal(900);
+    expect(cursorTravelMs(null, { x: 5, y: 5 })).to.equal(250);
+  });
+
+  it('labels keys and typed text', () => {
+    expect(keyLabel('Enter')).to.equal('⏎');
+    expect(keyLabel('Control+a')).to.equal('Ctrl + A');
+    expect(keyLabel('shoes', { typed: true })).to.equal('⌨ shoes');
+    expect(keyLabel('x'.repeat(40), { typed: true })).to.have.length(34);
+  });
+
+  it('is driven by the action: glide to the target, then ripple, then click', async () => {
+    const calls = [];
+    const box = { x: 10, y: 10, width: 20, height: 20 };
+    const locator = {
+      first: () => locator,
+      count: async () => 1,
+      scrollIntoViewIfNeeded: async () => {},
+      boundingBox: async () => box,
+      click: async () => calls.push('click'),
+    };
+    const page = {
+      getByText: () => locator,
+      url: () => 'https://x.com/',
+      evaluate: async () => ({ scrollY: 0, size: calls.length }),
+      waitForLoadState: async () => {},
+    };
+    const cursor = {
+      moveTo: async (b) => calls.push(['move', b]),
+      click: async () => calls.push('ripple'),
+      key: async (label) => calls.push(['key', label]),
+    };
+    const res = await performAction(page, { type: 'click', target: { text: 'Save' } }, { cursor });
+    expect(calls).to.deep.equal([['move', box], 'ripple', 'click']);
+    expect(res).to.include({ ok: true, box });
+  });
+});
@@ -0,0 +1,75 @@
+import { expect } from 'chai';
+import { applyScriptOverrides, parseDemoSpec, specFeatures } from '../../packages/core/src/pipeline/demo-spec.js';
+
+const YAML = `
+url: https://app.x.com
+title: Acme in 60 seconds
+narration:
+  intro: Meet Acme.
+features:
+  - name: Search
+    featureUrl: /search
+    pitch: Find anything.
+    narration: Type and it's there.
+    actions:
+      - { type: fill, target: { selector: "#q" }, value: overdue }
+      - { type: wait, value: 1500 }
+      - { type: click, target: { role: button, name: Export } }
+  - name: Billing
+    featureUrl: https://billing.x.com/plans
+`;
+
+describe('demo scripts', () => {
+  it('parses YAML and JSON into the same spec', () => {
+    const spec = parseDemoSpec(YAML);
+    expect(spec.features).to.have.length(2);
+    expect(spec.features[0].actions[1]).to.deep.equal({ type: 'wait', value: '1500' });
+    expect(spec.features[1]).to.include({ pitch: '' });
+    expect(spec.features[1].actions).to.deep.equal([]);
+    expect(parseDemoSpec(JSON.stringify(spec))).to.deep.equal(spec);
+  });
+
+  it('names every invalid field', () => {
+    const bad = `
+features:
+  - name: Search
+    featureUrl: /search
+    actions:
+      - { type: click }
+      - { type: fill, target: { text: Query } }
+      - { type: drag, target: { text: Menu } }
+`;
+    expect(() => parseDemoSpec(bad)).to.throw(/features\.0\.actions\.0\.target: click needs a target/);
+    expect(() => parseDemoSpec(bad)).to.throw(/features\.0\.actions\.1\.value: fill needs a value/);
+    expect(() => parseDemoSpec(bad)).to.throw(/features\.0\.actions\.2\.type/);
+    expect(() => parseDemoSpec('features: []')).to.throw(/features/);
+    expect(() => parseDemoSpec('features: [')).to.throw(/not valid YAML/);
+  });
+
+  it('resolves feature URLs and describes the actions as steps', () => {
+    const features = specFeatures(parseDemoSpec(YAML), 'https://app.x.com/');
+    expect(features[0].featureUrl).to.equal('https://app.x.com/search');
+    expect(features[1].featureUrl).to.equal('https://billing.x.com/plans');
+    expect(features[0].steps).to.deep.equal(['fill "#q" = "overdue"', 'wait = "1500"', 'click button "Export"']);
+    expect(features[0].actions).to.have.length(3);
+  });
+
+  it('applies title and narration overrides to the written script', () => {
+    const script = {
+      title: 'Written',
+      tagline: 'Tag',
+      sunoPrompt: 'metal',
+      segments: [
+        { kind: 'intro', featureIndex: null, clipIndex: null, title: 'x.com', caption: 'c', narration: 'hi' },
+        { kind: 'feature', featureIndex: 0, clipIndex: null, title: 'Search', caption: 'c', narration: 'written' },
+        { kind: 'feature', featureIndex: 1, clipIndex: null, title: 'Billing', caption: 'c', narration: 'kept' },
+        { kind: 'outro', featureIndex: null, clipIndex: null, title: 'Bye', caption: 'c', narration: 'bye' },
+      ],
+    };
+    const out = applyScriptOverrides(script, parseDemoSpec(YAML));
+    expect(out).to.include({ title: 'Acme in 60 seconds', tagline: 'Tag', sunoPrompt: 'metal' });
+    expect(out.segments.map((s) => s.narration)).to.deep.equal(['Meet Acme.', "Type and it's there.", 'kept', 'bye']);
+    expect(out.segments[0].title).to.equal('Acme in 60 seconds');
+    expect(script.segments[0].narration).to.equal('hi');
+  });
+});
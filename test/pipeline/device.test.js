@@ -0,0 +1,91 @@
+import { expect } from 'chai';
+import {
+  DESKTOP_VIEWPORT,
+  assemblyLayout,
+  deviceContextOptions,
+  resolveDevice,
+  videoSize,
+} from '../../packages/core/src/pipeline/device.js';
+import { mockupAlphaExpr, phoneMockup } from '../../packages/core/src/pipeline/mockup.js';
+
+const registry = {
+  'iPhone 15': {
+    userAgent: 'Mozilla/5.0 (iPhone)',
+    viewport: { width: 393, height: 659 },
+    deviceScaleFactor: 3,
+    isMobile: true,
+    hasTouch: true,
+    defaultBrowserType: 'webkit',
+  },
+  'iPhone 15 landscape': {
+    userAgent: 'Mozilla/5.0 (iPhone)',
+    viewport: { width: 734, height: 343 },
+    deviceScaleFactor: 3,
+    isMobile: true,
+    hasTouch: true,
+    defaultBrowserType: 'webkit',
+  },
+  'Pixel 8': {
+    userAgent: 'Mozilla/5.0 (Linux; Android 14)',
+    viewport: { width: 412, height: 839 },
+    deviceScaleFactor: 2.625,
+    isMobile: true,
+    hasTouch: true,
+    defaultBrowserType: 'chromium',
+  },
+};
+const frame = { width: 1920, height: 1080 };
+
+describe('device emulation', () => {
+  it('resolves descriptor names and aliases, case-insensitively', () => {
+    expect(resolveDevice(null, registry)).to.equal(null);
+    expect(resolveDevice('iphone 15', registry).name).to.equal('iPhone 15');
+    expect(resolveDevice('pixel', registry)).to.deep.equal({
+      name: 'Pixel 8',
+      viewport: { width: 412, height: 839 },
+      deviceScaleFactor: 2.625,
+      isMobile: true,
+      hasTouch: true,
+      userAgent: 'Mozilla/5.0 (Linux; Android 14)',
+    });
+    expect(() => resolveDevice('iPhone 3G', registry)).to.throw(/Unknown device "iPhone 3G" — try "iPhone 15"$/);
+    expect(() => resolveDevice('Nokia', registry)).to.throw(/^Unknown device "Nokia"$/);
+  });
+
+  it('builds context options and a sharp video size', () => {
+    const phone = resolveDevice('iPhone 15', registry);
+    expect(deviceContextOptions(null)).to.deep.equal({ viewport: DESKTOP_VIEWPORT });
+    expect(deviceContextOptions(phone)).to.not.have.property('defaultBrowserType');
+    expect(deviceContextOptions(phone)).to.include({ isMobile: true, hasTouch: true, deviceScaleFactor: 3 });
+    expect(videoSize(DESKTOP_VIEWPORT, null)).to.deep.equal(DESKTOP_VIEWPORT);
+    expect(videoSize(phone.viewport, phone)).to.deep.equal({ width: 786, height: 1318 });
+  });
+
+  it('picks the assembly layout', () => {
+    const phone = resolveDevice('iPhone 15', registry);
+    const landscape = resolveDevice('iPhone 15 landscape', registry);
+    expect(assemblyLayout(null)).to.deep.equal({ frame, mockup: false });
+    expect(assemblyLayout(landscape, 'native')).to.deep.equal({ frame, mockup: false });
+    expect(assemblyLayout(phone)).to.deep.equal({ frame, mockup: true });
+    expect(assemblyLayout(phone, 'native')).to.deep.equal({ frame: { width: 1080, height: 1920 }, mockup: false });
+    expect(() => assemblyLayout(phone, 'square')).to.throw(/Unknown deviceLayout/);
+  });
+
+  it('centers a phone mockup whose screen keeps the viewport aspect', () => {
+    const m = phoneMockup({ width: 393, height: 659 }, frame);
+    const { screen, body } = m;
+    expect(screen.height).to.equal(908);
+    expect(screen.width % 2).to.equal(0);
+    expect(Math.abs(screen.width / screen.height - 393 / 659)).to.be.below(0.01);
+    expect(screen.x + screen.width / 2).to.be.closeTo(960, 1);
+    expect(body.x).to.be.above(0);
+    expect(body.y + body.height).to.be.below(frame.height);
+    expect(m.island.y).to.be.above(screen.y);
+
+    // A wide tablet screen is capped to fit across the frame.
+    const tablet = phoneMockup({ width: 1200, height: 1300 }, frame);
+    expect(tablet.screen.width).to.be.at.most(frame.width * 0.8);
+
+    expect(mockupAlphaExpr(m)).to.match(/^255\*lte\(hypot\(/);
+  });
+});
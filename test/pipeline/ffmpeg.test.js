@@ -0,0 +1,68 @@
+import { expect } from 'chai';
+import {
+  currentSignal,
+  escapeFilterPath,
+  parseProbeOutput,
+  probeDuration,
+  runFfmpeg,
+  withAbortSignal,
+} from '../../packages/core/src/pipeline/ffmpeg.js';
+import { runTool } from '../../packages/core/src/pipeline/tts-local.js';
+
+describe('ffmpeg abort scope', () => {
+  it('exposes the enclosing signal across awaits', async () => {
+    const { signal } = new AbortController();
+    expect(currentSignal()).to.equal(undefined);
+    const seen = await withAbortSignal(signal, async () => {
+      await new Promise((r) => setTimeout(r, 1));
+      return currentSignal();
+    });
+    expect(seen).to.equal(signal);
+    expect(currentSignal()).to.equal(undefined);
+  });
+
+  it('refuses to spawn once the scope is aborted', async () => {
+    const controller = new AbortController();
+    controller.abort(new Error('Cancelled by user'));
+    const errors = await withAbortSignal(controller.signal, () =>
+      Promise.all([
+        runFfmpeg(['-version']).catch((err) => err),
+        probeDuration('missing.mp3').catch((err) => err),
+        runTool('espeak-ng', ['--version']).catch((err) => err),
+      ]),
+    );
+    for (const err of errors) {
+      expect(err.name).to.equal('AbortError');
+      expect(err.message).to.equal('Cancelled by user');
+    }
+  });
+});
+
+describe('parseProbeOutput', () => {
+  it('reads the duration and stream kinds', () => {
+    const out = JSON.stringify({
+      streams: [{ codec_type: 'video' }, { codec_type: 'audio' }],
+      format: { duration: '12.480000' },
+    });
+    expect(parseProbeOutput(out)).to.deep.equal({ duration: 12.48, video: true, audio: true });
+  });
+
+  it('handles audio-only files, missing durations and garbage', () => {
+    expect(parseProbeOutput('{"streams":[{"codec_type":"audio"}],"format":{}}')).to.deep.equal({
+      duration: null,
+      video: false,
+      audio: true,
+    });
+    expect(parseProbeOutput('not json')).to.equal(null);
+  });
+});
+
+describe('escapeFilterPath', () => {
+  it('escapes a path for a filter option inside a filtergraph', () => {
+    expect(escapeFilterPath('/out/abc/work/captions.ass')).to.equal('/out/abc/work/captions.ass');
+    // Once for the option (\ ' :), then again for the graph (\ ' [ ] , ;).
+    expect(escapeFilterPath(String.raw`C:\demos\it's, [1];x.ass`)).to.equal(
+      String.raw`C\\:\\\\demos\\\\it\\\'s\, \[1\]\;x.ass`,
+    );
+  });
+});
@@ -0,0 +1,69 @@
+import { expect } from 'chai';
+import {
+  OUTPUT_FORMATS,
+  formatFileNames,
+  resolveFormats,
+  smartCrop,
+  smartCropFilter,
+} from '../../packages/core/src/pipeline/formats.js';
+
+const viewport = { width: 1280, height: 720 };
+const button = (x, y) => ({ x, y, width: 80, height: 30 });
+
+describe('output formats', () => {
+  it('resolves names, aliases and lists', () => {
+    expect(resolveFormats(null)).to.deep.equal(['landscape']);
+    expect(resolveFormats(undefined, 'vertical')).to.deep.equal(['vertical']);
+    expect(resolveFormats('9:16')).to.deep.equal(['vertical']);
+    expect(resolveFormats('16:9, reels,1:1,Square')).to.deep.equal(['landscape', 'vertical', 'square']);
+    expect(resolveFormats(['square', 'landscape'])).to.deep.equal(['square', 'landscape']);
+    expect(() => resolveFormats(['4:3'])).to.throw(/Unknown output format "4:3"/);
+  });
+
+  it('names the first cut demo.mp4 and the rest by format', () => {
+    expect(formatFileNames(['vertical', 'landscape', 'square'])).to.deep.equal({
+      vertical: 'demo.mp4',
+      landscape: 'demo-landscape.mp4',
+      square: 'demo-square.mp4',
+    });
+  });
+
+  it('skips the crop when the frame already fits the recording', () => {
+    expect(smartCrop([], { viewport, frame: OUTPUT_FORMATS.landscape, duration: 5 })).to.equal(null);
+  });
+
+  it('crops a vertical window that follows the actions', () => {
+    const plan = smartCrop(
+      [
+        { t: 4, box: button(1100, 600) },
+        { t: 1, box: button(100, 100) },
+      ],
+      { viewport, frame: OUTPUT_FORMATS.vertical, duration: 8 },
+    );
+    expect(plan.crop).to.deep.equal({ width: 405, height: 720 });
+    // Starts on the first action (clamped to the left edge), glides to the second (clamped right).
+    expect(plan.x).to.deep.equal([
+      [0, 0],
+      [3.4, 0],
+      [4, 875],
+    ]);
+    expect(plan.y).to.deep.equal([
+      [0, 0],
+      [3.4, 0],
+      [4, 0],
+    ]);
+    // Boxes re-expressed in the cropped view at the time they land.
+    expect(plan.focus.map((f) => f.box.x)).to.deep.equal([100, 225]);
+  });
+
+  it('holds the middle without actions and crops squares from both sides', () => {
+    const plan = smartCrop(null, { viewport, frame: OUTPUT_FORMATS.square, duration: 5 });
+    expect(plan.crop).to.deep.equal({ width: 720, height: 720 });
+    expect(plan.x).to.deep.equal([[0, 280]]);
+    expect(plan.focus).to.deep.equal([]);
+
+    const filter = smartCropFilter(plan, { viewport, frame: OUTPUT_FORMATS.square });
+    expect(filter).to.match(/^crop=w='720\*iw\/1280':h='720\*ih\/720':x='clip\(\(280\)\*iw\/1280,0,iw-ow\)'/);
+    expect(filter).to.match(/scale=1080:1080,setsar=1$/);
+  });
+});
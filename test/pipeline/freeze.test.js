@@ -0,0 +1,73 @@
+import { expect } from 'chai';
+import {
+  DEFAULT_SEED,
+  applyFreeze,
+  freezeConfig,
+  freezeScript,
+  installSeededRandom,
+  seededRandom,
+} from '../../packages/core/src/pipeline/freeze.js';
+
+describe('frozen clock and seeded randomness', () => {
+  const realRandom = Math.random;
+  afterEach(() => {
+    Math.random = realRandom;
+    delete globalThis.window;
+  });
+
+  it('resolves the job option', () => {
+    expect(freezeConfig(null)).to.equal(null);
+    expect(freezeConfig(false)).to.equal(null);
+    expect(freezeConfig(true, { fallbackTime: 1700000000000 })).to.deep.equal({ time: 1700000000000, seed: DEFAULT_SEED });
+    expect(freezeConfig({ time: '2025-03-04T09:30:00Z', seed: 7 })).to.deep.equal({
+      time: Date.parse('2025-03-04T09:30:00Z'),
+      seed: 7,
+    });
+    expect(() => freezeConfig({ time: 'next tuesday' })).to.throw(/Invalid freeze time/);
+    expect(() => freezeConfig({ seed: 'abc' })).to.throw(/Invalid freeze seed/);
+  });
+
+  it('produces the same sequence for the same seed', () => {
+    const a = seededRandom(7);
+    const b = seededRandom(7);
+    const c = seededRandom(8);
+    const seqA = [a(), a(), a()];
+    expect([b(), b(), b()]).to.deep.equal(seqA);
+    expect(c()).to.not.equal(seqA[0]);
+    expect(seqA.every((x) => x >= 0 && x < 1)).to.equal(true);
+  });
+
+  it('seeds Math.random and crypto in the page', () => {
+    globalThis.window = { crypto: globalThis.crypto };
+    const real = { getRandomValues: crypto.getRandomValues, randomUUID: crypto.randomUUID };
+    try {
+      installSeededRandom(3, seededRandom);
+      const first = Math.random();
+      const bytes = crypto.getRandomValues(new Uint8Array(4));
+      const uuid = crypto.randomUUID();
+      expect(first).to.equal(seededRandom(3)());
+      expect(bytes).to.have.length(4);
+      expect(uuid).to.match(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+    } finally {
+      delete crypto.getRandomValues;
+      delete crypto.randomUUID;
+      expect(crypto.getRandomValues).to.equal(real.getRandomValues);
+    }
+  });
+
+  it('installs the clock before the init script, and nothing when off', async () => {
+    const calls = [];
+    const context = {
+      clock: { install: async (opts) => calls.push(['clock', opts]) },
+      addInitScript: async (script) => calls.push(['script', script]),
+    };
+    await applyFreeze(context, null);
+    expect(calls).to.deep.equal([]);
+
+    const config = { time: 1700000000000, seed: 9 };
+    await applyFreeze(context, config);
+    expect(calls[0]).to.deep.equal(['clock', { time: 1700000000000 }]);
+    expect(calls[1][1]).to.equal(freezeScript(config));
+    expect(() => new Function(calls[1][1])).to.not.throw();
+  });
+});
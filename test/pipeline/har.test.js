@@ -0,0 +1,71 @@
+import { expect } from 'chai';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import {
+  harContextOptions,
+  harFileNames,
+  loadHarManifest,
+  networkPlan,
+  routeFromHar,
+  saveHarManifest,
+} from '../../packages/core/src/pipeline/har.js';
+
+describe('HAR network fixtures', () => {
+  let dir;
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mkdemo-har-'));
+  });
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('resolves the network mode and HAR folder', () => {
+    expect(networkPlan({}, '/out/a1')).to.deep.equal({ mode: 'live', dir: null });
+    expect(networkPlan({ network: 'record' }, '/out/a1')).to.deep.equal({ mode: 'record', dir: '/out/a1/har' });
+    expect(networkPlan({ network: 'replay', harDir: '/out/a0/har' }, '/out/a1')).to.deep.equal({
+      mode: 'replay',
+      dir: '/out/a0/har',
+    });
+    expect(() => networkPlan({ network: 'replay' }, '/out/a1')).to.throw(/needs harDir/);
+    expect(() => networkPlan({ network: 'mock' }, '/out/a1')).to.throw(/Unknown network mode/);
+  });
+
+  it('names HARs after features, suffixing repeats', () => {
+    const features = [{ name: 'Instant search' }, { name: 'Export to CSV!' }, { name: 'Instant Search' }, {}];
+    expect(harFileNames(features)).to.deep.equal([
+      'instant-search.har',
+      'export-to-csv.har',
+      'instant-search-2.har',
+      'feature.har',
+    ]);
+  });
+
+  it('saves and reloads the recorded feature list', async () => {
+    const features = [{ name: 'Search', featureUrl: 'https://app.example.com/search', steps: ['Type a query'] }];
+    await saveHarManifest(path.join(dir, 'har'), features, { frozenAt: 1700000000000 });
+    expect(await loadHarManifest(path.join(dir, 'har'))).to.deep.equal({ frozenAt: 1700000000000, features });
+    expect(await loadHarManifest(path.join(dir, 'missing'))).to.equal(null);
+  });
+
+  it('records with inline bodies and replays with live fallback', async () => {
+    expect(harContextOptions(null)).to.deep.equal({});
+    expect(harContextOptions({ mode: 'record', path: '/h/a.har' })).to.deep.equal({
+      recordHar: { path: '/h/a.har', mode: 'minimal', content: 'embed' },
+    });
+    expect(harContextOptions({ mode: 'replay', path: '/h/a.har' })).to.deep.equal({});
+
+    const routed = [];
+    const context = { routeFromHAR: async (p, opts) => routed.push([p, opts]) };
+    const logs = [];
+    await routeFromHar(context, { mode: 'replay', path: path.join(dir, 'gone.har') }, (m) => logs.push(m));
+    expect(routed).to.deep.equal([]);
+    expect(logs[0]).to.match(/recording this feature live/);
+
+    const har = path.join(dir, 'search.har');
+    await fs.writeFile(har, '{"log":{"entries":[]}}');
+    await routeFromHar(context, { mode: 'replay', path: har });
+    await routeFromHar(context, { mode: 'record', path: har });
+    expect(routed).to.deep.equal([[har, { notFound: 'fallback' }]]);
+  });
+});
@@ -0,0 +1,141 @@
+import { expect } from 'chai';
+import {
+  fromChromeRecording,
+  fromPlaywrightCodegen,
+  importRecording,
+  parseCallChain,
+} from '../../packages/core/src/pipeline/importers.js';
+import { parseDemoSpec } from '../../packages/core/src/pipeline/demo-spec.js';
+
+// Trimmed from a real DevTools Recorder export.
+const CHROME = {
+  title: 'Search invoices',
+  steps: [
+    { type: 'setViewport', width: 1440, height: 900, deviceScaleFactor: 1, isMobile: false },
+    { type: 'navigate', url: 'https://app.x.com/invoices', assertedEvents: [] },
+    {
+      type: 'click',
+      target: 'main',
+      selectors: [['aria/Search[role="searchbox"]'], ['#q'], ['xpath///*[@id="q"]'], ['pierce/#q']],
+      offsetX: 10,
+      offsetY: 5,
+    },
+    { type: 'change', value: 'overdue', selectors: [['#q']], target: 'main' },
+    { type: 'keyDown', key: 'Enter', target: 'main' },
+    { type: 'keyUp', key: 'Enter', target: 'main' },
+    { type: 'scroll', x: 0, y: 400, target: 'main' },
+    { type: 'scroll', x: 0, y: 250, target: 'main' },
+    { type: 'click', selectors: [['iframe', '#pay']], target: 'main' },
+    { type: 'click', selectors: [['text/Export']], target: 'popup' },
+    { type: 'waitForElement', selectors: [['text/Results']], timeout: 5000 },
+    { type: 'waitForExpression', expression: 'true' },
+  ],
+};
+
+const CODEGEN = `import { test, expect } from '@playwright/test';
+
+test.use({ viewport: { width: 1366, height: 768 } });
+
+test('Sign up', async ({ page }) => {
+  await page.goto('https://app.x.com/signup');
+  await page.getByLabel('Work email').fill('ada@x.com');
+  await page.getByRole('button', { name: 'Continue', exact: true }).click();
+  await page.getByPlaceholder("Company").pressSequentially('Acme\\'s');
+  await page.locator('form').locator('select').selectOption('EU');
+  await page.getByTestId('plan-pro').first().check();
+  await expect(page.getByText('Welcome')).toBeVisible();
+  await page.keyboard.press('Enter');
+  await page.mouse.wheel(0, 300);
+  const page1 = await page1Promise;
+  await page1.getByText('Docs').click();
+  await page.getByRole('row').nth(2).click();
+  await page.waitForTimeout(800);
+});
+`;
+
+describe('recording importers', () => {
+  it('converts a Chrome Recorder export, folding alternative selectors into one target', () => {
+    const { feature, warnings } = fromChromeRecording(CHROME);
+    expect(feature).to.include({ name: 'Search invoices', featureUrl: 'https://app.x.com/invoices', pitch: '' });
+    expect(feature.viewport).to.deep.equal({ width: 1440, height: 900 });
+    expect(feature.actions).to.deep.equal([
+      { type: 'click', target: { name: 'Search', role: 'searchbox', selector: '#q' } },
+      { type: 'fill', target: { selector: '#q' }, value: 'overdue' },
+      { type: 'press', value: 'Enter' },
+      { type: 'scroll', value: '400' },
+      { type: 'scroll', value: '-150' },
+      { type: 'wait', target: { text: 'Results' }, value: '5000' },
+    ]);
+    expect(warnings).to.have.length(3);
+    expect(warnings[0]).to.match(/step 9 .* no usable selector/);
+    expect(warnings[1]).to.match(/step 10 .* another tab/);
+    expect(warnings[2]).to.match(/waitForExpression/);
+  });
+
+  it('uses xpath/pierce selectors only when there is no plain CSS one', () => {
+    const { feature } = fromChromeRecording({
+      steps: [
+        { type: 'navigate', url: 'https://x.com/' },
+        { type: 'click', selectors: [['xpath///button'], ['pierce/my-app button']] },
+      ],
+    });
+    expect(feature.actions[0].target).to.deep.equal({ selector: 'my-app button' });
+  });
+
+  it('converts a playwright codegen script', () => {
+    const { feature, warnings } = fromPlaywrightCodegen(CODEGEN);
+    expect(feature).to.include({ name: 'Sign up', featureUrl: 'https://app.x.com/signup' });
+    expect(feature.viewport).to.deep.equal({ width: 1366, height: 768 });
+    expect(feature.actions).to.deep.equal([
+      { type: 'fill', target: { label: 'Work email' }, value: 'ada@x.com' },
+      { type: 'click', target: { role: 'button', name: 'Continue' } },
+      { type: 'fill', target: { placeholder: 'Company' }, value: "Acme's" },
+      { type: 'select', target: { selector: 'form >> select' }, value: 'EU' },
+      { type: 'click', target: { testId: 'plan-pro' } },
+      { type: 'press', value: 'Enter' },
+      { type: 'scroll', value: '300' },
+      { type: 'click', target: { role: 'row' } },
+      { type: 'wait', value: '800' },
+    ]);
+    expect(warnings).to.deep.equal([
+      'line 16: acts on another tab — skipped',
+      "line 17: .nth() narrowing isn't replayed — using the outer locator",
+    ]);
+  });
+
+  it('parses call chains with strings, regexes and option objects', () => {
+    expect(parseCallChain("getByRole('link', { name: /Pricing/i }).click()")).to.deep.equal([
+      { method: 'getByRole', args: ['link', { name: 'Pricing' }] },
+      { method: 'click', args: [] },
+    ]);
+    expect(parseCallChain('keyboard.press("Tab")')).to.deep.equal([
+      { method: 'keyboard', args: [] },
+      { method: 'press', args: ['Tab'] },
+    ]);
+    expect(() => parseCallChain('fill(`${x}`)')).to.throw(/interpolation/);
+  });
+
+  it('detects the format and rejects anything else', () => {
+    expect(importRecording(JSON.stringify(CHROME)).feature.name).to.equal('Search invoices');
+    expect(importRecording(CODEGEN).feature.name).to.equal('Sign up');
+    expect(() => importRecording('hello')).to.throw(/neither/);
+    expect(() => importRecording('{ nope')).to.throw(/does not parse/);
+    expect(() => importRecording('await page.click("#x")')).to.throw(/page\.goto/);
+  });
+
+  it('fills demo-script features from inline recordings', () => {
+    const spec = parseDemoSpec({
+      features: [
+        { recording: JSON.stringify(CHROME), pitch: 'Find any invoice.' },
+        { recording: CODEGEN, name: 'Onboarding' },
+      ],
+    });
+    expect(spec.features[0]).to.include({ name: 'Search invoices', pitch: 'Find any invoice.' });
+    expect(spec.features[0]).to.not.have.property('recording');
+    expect(spec.features[1]).to.include({ name: 'Onboarding', featureUrl: 'https://app.x.com/signup' });
+    expect(spec.features[1].actions).to.have.length(9);
+    expect(spec.warnings).to.have.length(5);
+    expect(spec.warnings[3]).to.match(/^Onboarding: line 16/);
+    expect(() => parseDemoSpec({ features: [{ recording: './flows/a.json' }] })).to.throw(/features\.0\.recording: Recording is neither/);
+  });
+});
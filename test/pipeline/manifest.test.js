@@ -0,0 +1,79 @@
+import { expect } from 'chai';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import {
+  MANIFEST_FILE,
+  completeStage,
+  emptyManifest,
+  fromManifestPath,
+  loadManifest,
+  resumeIndex,
+  saveManifest,
+  toManifestPath,
+} from '../../packages/core/src/pipeline/manifest.js';
+
+describe('job manifest', () => {
+  const withStages = (...stages) =>
+    stages.reduce((m, stage) => completeStage(m, stage, { ok: stage }), emptyManifest('job1'));
+
+  describe('resumeIndex', () => {
+    it('starts at the first stage without resumeFrom', () => {
+      expect(resumeIndex(null, null)).to.equal(0);
+    });
+
+    it('starts at a named stage when every earlier one is saved', () => {
+      expect(resumeIndex('assemble', withStages('discover', 'record', 'script', 'voiceover'))).to.equal(4);
+      expect(resumeIndex('record', withStages('discover'))).to.equal(1);
+    });
+
+    it('rejects unknown stages and gaps', () => {
+      expect(() => resumeIndex('render', null)).to.throw(/Unknown stage "render"/);
+      expect(() => resumeIndex('voiceover', withStages('discover', 'record'))).to.throw(/no saved script stage/);
+    });
+
+    it('picks up where the last run stopped with true', () => {
+      expect(resumeIndex(true, withStages('discover', 'record', 'script'))).to.equal(3);
+      expect(resumeIndex(true, null)).to.equal(0);
+      expect(resumeIndex(true, withStages('discover', 'record', 'script', 'voiceover', 'assemble'))).to.equal(4);
+    });
+  });
+
+  describe('completeStage', () => {
+    it('drops the outputs of later stages', () => {
+      const m = completeStage(withStages('discover', 'record', 'script', 'voiceover'), 'script', { ok: 'again' });
+      expect(Object.keys(m.stages)).to.deep.equal(['discover', 'record', 'script']);
+      expect(m.stages.script.ok).to.equal('again');
+      expect(m.stages.script.completedAt).to.be.a('string');
+    });
+  });
+
+  describe('files', () => {
+    let dir;
+    beforeEach(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mkdemo-manifest-'));
+    });
+    afterEach(async () => {
+      await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    it('round-trips through the job dir', async () => {
+      expect(await loadManifest(dir)).to.equal(null);
+      const m = withStages('discover');
+      await saveManifest(dir, m);
+      expect(await loadManifest(dir)).to.deep.equal(m);
+    });
+
+    it('ignores an unreadable manifest', async () => {
+      await fs.writeFile(path.join(dir, MANIFEST_FILE), '{not json', 'utf8');
+      expect(await loadManifest(dir)).to.equal(null);
+    });
+
+    it('stores paths relative to the job dir', () => {
+      const clip = path.join(dir, 'feature-00.webm');
+      expect(toManifestPath(dir, clip)).to.equal('feature-00.webm');
+      expect(fromManifestPath(dir, 'feature-00.webm')).to.equal(clip);
+      expect(toManifestPath(dir, null)).to.equal(null);
+    });
+  });
+});
@@ -0,0 +1,84 @@
+import { expect } from 'chai';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { completeStage, emptyManifest, loadManifest, saveManifest } from '../../packages/core/src/pipeline/manifest.js';
+import { saveScriptEdit, validateScriptEdit } from '../../packages/core/src/pipeline/review.js';
+
+const segment = (kind, extra = {}) => ({
+  kind,
+  featureIndex: null,
+  clipIndex: null,
+  title: kind,
+  caption: `${kind} caption`,
+  narration: `${kind} line.`,
+  ...extra,
+});
+
+const script = (segments) => ({ title: 'Demo', tagline: 'A tour', segments, sunoPrompt: 'metal bed' });
+
+describe('script review', () => {
+  describe('validateScriptEdit', () => {
+    it('accepts a reordered script that points at real features and clips', () => {
+      const edited = script([
+        segment('intro'),
+        segment('feature', { featureIndex: 1 }),
+        segment('clip', { clipIndex: 0 }),
+        segment('feature', { featureIndex: 0 }),
+        segment('outro'),
+      ]);
+      expect(validateScriptEdit(edited, { featureCount: 2, clipCount: 1 })).to.deep.equal(edited);
+    });
+
+    it('reports schema problems with their path', () => {
+      const bad = script([{ ...segment('intro'), narration: 42 }]);
+      expect(() => validateScriptEdit(bad, { featureCount: 1 })).to.throw(/segments\.0\.narration/);
+      expect(() => validateScriptEdit({ title: 'x' }, { featureCount: 1 })).to.throw(/Invalid script/);
+    });
+
+    it('rejects empty scripts and indices outside the job', () => {
+      expect(() => validateScriptEdit(script([]), { featureCount: 1 })).to.throw(/at least one segment/);
+      expect(() =>
+        validateScriptEdit(script([segment('feature', { featureIndex: 2 })]), { featureCount: 2 }),
+      ).to.throw(/segment 1: featureIndex must be 0\.\.1/);
+      expect(() => validateScriptEdit(script([segment('clip', { clipIndex: 0 })]), { featureCount: 1 })).to.throw(
+        /no uploaded clips/,
+      );
+    });
+  });
+
+  describe('saveScriptEdit', () => {
+    let dir;
+    beforeEach(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mkdemo-review-'));
+    });
+    afterEach(async () => {
+      await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    it('replaces the saved script, drops later stages and rewrites the text files', async () => {
+      let manifest = emptyManifest('job1');
+      manifest = completeStage(manifest, 'discover', { features: [{ name: 'Search' }] });
+      manifest = completeStage(manifest, 'record', { featureClips: [] });
+      manifest = completeStage(manifest, 'script', { script: script([segment('intro')]) });
+      manifest = completeStage(manifest, 'voiceover', { audios: [] });
+      await saveManifest(dir, manifest);
+
+      const edited = script([segment('feature', { featureIndex: 0, narration: 'Find anything.' }), segment('outro')]);
+      await saveScriptEdit(dir, edited);
+
+      const saved = await loadManifest(dir);
+      expect(Object.keys(saved.stages)).to.deep.equal(['discover', 'record', 'script']);
+      expect(saved.stages.script.script).to.deep.equal(edited);
+      expect(await fs.readFile(path.join(dir, 'transcript.txt'), 'utf8')).to.equal('Find anything.\n\noutro line.');
+      expect(await fs.readFile(path.join(dir, 'suno-prompt.txt'), 'utf8')).to.equal('metal bed');
+    });
+
+    it('refuses a job dir without a saved script', async () => {
+      await saveManifest(dir, completeStage(emptyManifest('job1'), 'discover', { features: [] }));
+      let error;
+      await saveScriptEdit(dir, script([segment('intro')])).catch((err) => (error = err));
+      expect(error?.message).to.match(/no saved script/);
+    });
+  });
+});
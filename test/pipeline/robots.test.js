@@ -0,0 +1,59 @@
+import { expect } from 'chai';
+import { parseRobots, isAllowedByRobots } from '../../packages/core/src/pipeline/robots.js';
+
+describe('robots.txt', () => {
+  const txt = [
+    'User-agent: *',
+    'Disallow: /admin',
+    'Allow: /admin/public',
+    'Disallow: /*.pdf$',
+    '',
+    'User-agent: makedemo',
+    'User-agent: otherbot',
+    'Disallow: /private',
+    '',
+    'Sitemap: https://x.com/sitemap-pages.xml # trailing comment',
+  ].join('\n');
+
+  it('prefers the group naming our user agent over *', () => {
+    const robots = parseRobots(txt);
+    expect(robots.rules).to.deep.equal([{ allow: false, path: '/private' }]);
+    expect(isAllowedByRobots('https://x.com/private/a', robots)).to.equal(false);
+    expect(isAllowedByRobots('https://x.com/admin', robots)).to.equal(true);
+  });
+
+  it('falls back to the * group for other agents', () => {
+    const robots = parseRobots(txt, 'somebot');
+    expect(isAllowedByRobots('https://x.com/admin/users', robots)).to.equal(false);
+    expect(isAllowedByRobots('https://x.com/pricing', robots)).to.equal(true);
+  });
+
+  it('matches the group by whole product token, case-insensitively', () => {
+    const groups = ['User-agent: MakeDemo/2.0', 'Disallow: /mine', '', 'User-agent: demo', 'Disallow: /substring'];
+    const robots = parseRobots(groups.join('\n'));
+    expect(robots.rules).to.deep.equal([{ allow: false, path: '/mine' }]);
+    // "demo" is a substring of our token, not our token.
+    expect(parseRobots('User-agent: demo\nDisallow: /x', 'makedemo').rules).to.deep.equal([]);
+    expect(parseRobots('User-agent: makedemo\nDisallow: /x', 'makedemo-extra').rules).to.deep.equal([]);
+  });
+
+  it('lets the longest match win, with Allow beating Disallow', () => {
+    const robots = parseRobots(txt, 'somebot');
+    expect(isAllowedByRobots('https://x.com/admin/public/page', robots)).to.equal(true);
+  });
+
+  it('supports * and $ wildcards', () => {
+    const robots = parseRobots(txt, 'somebot');
+    expect(isAllowedByRobots('https://x.com/files/guide.pdf', robots)).to.equal(false);
+    expect(isAllowedByRobots('https://x.com/files/guide.pdf?x=1', robots)).to.equal(true);
+  });
+
+  it('collects Sitemap lines regardless of group', () => {
+    expect(parseRobots(txt).sitemaps).to.deep.equal(['https://x.com/sitemap-pages.xml']);
+  });
+
+  it('allows everything when robots.txt is empty or missing', () => {
+    expect(isAllowedByRobots('https://x.com/anything', parseRobots(''))).to.equal(true);
+    expect(isAllowedByRobots('https://x.com/anything', null)).to.equal(true);
+  });
+});
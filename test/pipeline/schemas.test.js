@@ -1,5 +1,5 @@
 import { expect } from 'chai';
-import { featureSchema, featureDetectionSchema, demoScriptSchema } from '../../packages/core/src/pipeline/schemas.js';
+import { featureSchema, featureDetectionSchema, demoScriptSchema, agentActionSchema } from '../../packages/core/src/pipeline/schemas.js';
 
 describe('schemas', () => {
   it('accepts a well-formed feature', () => {
@@ -52,4 +52,21 @@ describe('schemas', () => {
     });
     expect(res.success).to.equal(false);
   });
+
+  it('accepts a typed agent action with a nullable target', () => {
+    const click = agentActionSchema.safeParse({
+      type: 'click',
+      target: { role: 'button', name: 'Save', text: null, selector: null },
+      value: null,
+      reason: 'Saves the draft',
+    });
+    const done = agentActionSchema.safeParse({ type: 'done', target: null, value: null, reason: 'Shown' });
+    expect(click.success).to.equal(true);
+    expect(done.success).to.equal(true);
+  });
+
+  it('rejects an unknown agent action type', () => {
+    const res = agentActionSchema.safeParse({ type: 'hover', target: null, value: null, reason: 'x' });
+    expect(res.success).to.equal(false);
+  });
 });
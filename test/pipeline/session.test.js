@@ -0,0 +1,55 @@
+import { expect } from 'chai';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { sessionIdentity, toStorageState, writeSessionFile } from '../../packages/core/src/pipeline/session.js';
+
+describe('login session import', () => {
+  it('passes a Playwright storageState through, keeping origins', () => {
+    const state = {
+      cookies: [{ name: 'sid', value: 'abc', domain: 'app.x.com', path: '/', expires: -1, httpOnly: true, secure: true, sameSite: 'Lax' }],
+      origins: [{ origin: 'https://app.x.com', localStorage: [{ name: 'token', value: 't' }] }],
+    };
+    const res = toStorageState(JSON.stringify(state));
+    expect(res.cookies[0]).to.deep.equal(state.cookies[0]);
+    expect(res.origins).to.deep.equal(state.origins);
+  });
+
+  it('converts a browser-extension cookie export', () => {
+    const res = toStorageState([
+      { name: 'sid', value: 'abc', domain: '.x.com', expirationDate: 1900000000.5, sameSite: 'no_restriction', secure: true },
+      { name: 'pref', value: 1, domain: 'x.com', session: true, sameSite: 'unspecified' },
+    ]);
+    expect(res.origins).to.deep.equal([]);
+    expect(res.cookies[0]).to.include({ path: '/', expires: 1900000000.5, sameSite: 'None', secure: true });
+    expect(res.cookies[1]).to.include({ value: '1', expires: -1, sameSite: 'Lax' });
+  });
+
+  it('rejects malformed sessions with a readable error', () => {
+    expect(() => toStorageState('not json')).to.throw(/valid JSON/);
+    expect(() => toStorageState({ foo: 1 })).to.throw(/storageState or an array of cookies/);
+    expect(() => toStorageState([{ name: 'x', value: 'y' }])).to.throw(/domain/);
+  });
+
+  it('identifies a session by its login user or its cookies', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mkdemo-session-'));
+    try {
+      const file = path.join(dir, 'storage-state.json');
+      const asUser = (sid) => writeSessionFile([{ name: 'sid', value: sid, domain: 'x.com' }], file);
+
+      expect(await sessionIdentity(null)).to.equal(null);
+      await asUser('alice');
+      const alice = await sessionIdentity(file);
+      await asUser('bob');
+      expect(await sessionIdentity(file)).to.match(/^[a-f0-9]{64}$/).and.not.equal(alice);
+      // A credentials login saves fresh cookies each run; its user is what stays put.
+      const creds = { user: 'demo@x.com', password: 'p' };
+      const demo = await sessionIdentity(file, creds);
+      await asUser('carol');
+      expect(await sessionIdentity(file, creds)).to.equal(demo);
+      expect(await sessionIdentity(file, { ...creds, user: 'other@x.com' })).to.not.equal(demo);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,45 @@
+import { expect } from 'chai';
+import { gzipSync } from 'node:zlib';
+import { parseSitemap, decodeSitemapBody, collectSitemapUrls } from '../../packages/core/src/pipeline/sitemap.js';
+
+const urlset = (locs) =>
+  `<?xml version="1.0"?><urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${locs
+    .map((l) => `<url><loc>${l}</loc></url>`)
+    .join('')}</urlset>`;
+
+describe('sitemap discovery', () => {
+  it('parses page URLs from a urlset and decodes entities', () => {
+    const res = parseSitemap(urlset(['https://x.com/a', 'https://x.com/b?x=1&amp;y=2']));
+    expect(res.urls).to.deep.equal(['https://x.com/a', 'https://x.com/b?x=1&y=2']);
+    expect(res.sitemaps).to.deep.equal([]);
+  });
+
+  it('returns child sitemaps for a sitemap index', () => {
+    const xml = '<sitemapindex><sitemap><loc>https://x.com/s1.xml.gz</loc></sitemap></sitemapindex>';
+    expect(parseSitemap(xml)).to.deep.equal({ urls: [], sitemaps: ['https://x.com/s1.xml.gz'] });
+  });
+
+  it('transparently gunzips gzip bodies', () => {
+    const body = gzipSync(Buffer.from(urlset(['https://x.com/gz'])));
+    expect(decodeSitemapBody(body)).to.include('https://x.com/gz');
+    expect(decodeSitemapBody(null)).to.equal('');
+  });
+
+  it('follows indexes, keeps same-origin URLs, and respects the limit', async () => {
+    const files = {
+      'https://x.com/sitemap.xml':
+        '<sitemapindex><sitemap><loc>https://x.com/s1.xml.gz</loc></sitemap><sitemap><loc>https://evil.com/s.xml</loc></sitemap></sitemapindex>',
+      'https://x.com/s1.xml.gz': gzipSync(
+        Buffer.from(urlset(['https://x.com/p1', 'https://cdn.other.com/p', 'https://x.com/p2', 'https://x.com/p3'])),
+      ),
+    };
+    const fetched = [];
+    const get = async (u) => {
+      fetched.push(u);
+      return files[u] ? Buffer.from(files[u]) : null;
+    };
+    const urls = await collectSitemapUrls({ origin: 'https://x.com', get, limit: 2 });
+    expect(urls).to.deep.equal(['https://x.com/p1', 'https://x.com/p2']);
+    expect(fetched).to.not.include('https://evil.com/s.xml');
+  });
+});
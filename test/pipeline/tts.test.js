@@ -0,0 +1,101 @@
+import { expect } from 'chai';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { getTtsProvider, resolveVoice, selectTtsProvider } from '../../packages/core/src/pipeline/tts.js';
+import {
+  createEspeakProvider,
+  createPiperProvider,
+  listPiperModels,
+  parseEspeakVoices,
+} from '../../packages/core/src/pipeline/tts-local.js';
+
+const ESPEAK_VOICES = `Pty Language       Age/Gender VoiceName          File                 Other Languages
+ 5  en-gb           --/M      English_(Great_Britain) gmw/en               (en 2)
+ 2  en-us           --/F      English_(America)  gmw/en-US            (en 3)
+`;
+
+// Fake runner: records calls, "installed" binaries succeed, others fail to start.
+function fakeRun(installed) {
+  const calls = [];
+  const run = async (bin, args, opts) => {
+    calls.push([bin, args, opts?.input]);
+    if (!installed.includes(bin)) throw new Error(`${bin} failed to start: ENOENT`);
+    return args[0] === '--voices' ? ESPEAK_VOICES : '';
+  };
+  return { run, calls };
+}
+
+describe('TTS providers', () => {
+  let dir;
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mkdemo-tts-'));
+  });
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('parses espeak-ng voices', () => {
+    expect(parseEspeakVoices(ESPEAK_VOICES)).to.deep.equal([
+      { id: 'en-gb', name: 'English (Great Britain)', language: 'en-gb', gender: 'male' },
+      { id: 'en-us', name: 'English (America)', language: 'en-us', gender: 'female' },
+    ]);
+  });
+
+  it('finds Piper models that have their config next to them', async () => {
+    await fs.writeFile(path.join(dir, 'en_US-lessac-medium.onnx'), '');
+    await fs.writeFile(path.join(dir, 'en_US-lessac-medium.onnx.json'), '{}');
+    await fs.writeFile(path.join(dir, 'de_DE-thorsten-low.onnx'), '');
+    expect(await listPiperModels(dir)).to.deep.equal(['en_US-lessac-medium']);
+    expect(await listPiperModels(path.join(dir, 'missing'))).to.deep.equal([]);
+
+    const piper = createPiperProvider({ voicesDir: dir, run: fakeRun(['piper']).run });
+    expect(await piper.available()).to.equal(true);
+    expect(await piper.defaultVoice()).to.equal('en_US-lessac-medium');
+    expect(piper.capabilities()).to.deep.equal({ offline: true, wordTimings: false });
+  });
+
+  it('picks ElevenLabs with a key, then local engines, else none', async () => {
+    const espeakOnly = { espeak: { run: fakeRun(['espeak-ng']).run }, piper: { voicesDir: dir } };
+    const keyed = { ...espeakOnly, elevenlabs: { env: { ELEVENLABS_API_KEY: 'k' } } };
+    const none = { elevenlabs: { env: {} }, piper: { voicesDir: dir }, espeak: { run: fakeRun([]).run } };
+    expect((await selectTtsProvider('auto', keyed)).name).to.equal('elevenlabs');
+    expect((await selectTtsProvider(undefined, { ...espeakOnly, elevenlabs: { env: {} } })).name).to.equal('espeak');
+    expect(await selectTtsProvider('auto', none)).to.equal(null);
+    await selectTtsProvider('espeak', none).then(
+      () => expect.fail('should throw'),
+      (err) => expect(err.message).to.match(/"espeak" is not available: install espeak-ng/),
+    );
+    expect(() => getTtsProvider('polly')).to.throw(/Unknown TTS provider "polly"/);
+  });
+
+  it('falls back to the engine default for a voice it does not have', async () => {
+    const espeak = createEspeakProvider({ run: fakeRun(['espeak-ng']).run });
+    const logs = [];
+    expect(await resolveVoice(espeak, 'en-gb')).to.equal('en-gb');
+    expect(await resolveVoice(espeak, '21m00Tcm4TlvDq8ikWAM', (m) => logs.push(m))).to.equal('en-us');
+    expect(logs[0]).to.equal('espeak has no voice "21m00Tcm4TlvDq8ikWAM" — using en-us');
+    expect(await resolveVoice(getTtsProvider('elevenlabs', { elevenlabs: { env: {} } }), 'abc')).to.equal('abc');
+  });
+
+  it('maps ElevenLabs alignment to word timings and never writes mock audio', async () => {
+    let opts;
+    const speak = async (text, outPath, o) => {
+      opts = o;
+      const characters = [...text];
+      return {
+        path: outPath,
+        alignment: {
+          characters,
+          character_start_times_seconds: characters.map((_, i) => i / 10),
+          character_end_times_seconds: characters.map((_, i) => (i + 1) / 10),
+        },
+      };
+    };
+    const eleven = getTtsProvider('elevenlabs', { elevenlabs: { env: { ELEVENLABS_API_KEY: 'k' }, speak } });
+    const { signal } = new AbortController();
+    const out = await eleven.synthesize('Hi there', '/tmp/vo.mp3', { voice: 'v1', signal });
+    expect(opts).to.deep.equal({ voice: 'v1', signal, mockFallback: false });
+    expect(out.words.map((w) => w.word)).to.deep.equal(['Hi', 'there']);
+  });
+});
@@ -0,0 +1,77 @@
+import { expect } from 'chai';
+import { keyframeExpr, toFrameBox, zoomKeyframes, zoompanFilter } from '../../packages/core/src/pipeline/zoom.js';
+
+const viewport = { width: 1280, height: 720 };
+const frame = { width: 1920, height: 1080 };
+const button = (x, y) => ({ x, y, width: 80, height: 30 });
+
+describe('auto zoom', () => {
+  it('maps viewport boxes into the letterboxed frame', () => {
+    expect(toFrameBox({ x: 100, y: 100, width: 80, height: 30 }, viewport, frame)).to.deep.equal({
+      x: 150,
+      y: 150,
+      width: 120,
+      height: 45,
+    });
+    // 4:3 viewport pillarboxed into 16:9.
+    expect(toFrameBox({ x: 0, y: 0, width: 10, height: 10 }, { width: 1024, height: 768 }, frame).x).to.equal(240);
+  });
+
+  it('maps into a sub-area of the frame, like a phone mockup screen', () => {
+    const area = { x: 736, y: 86, width: 448, height: 910 };
+    const box = toFrameBox({ x: 0, y: 0, width: 100, height: 100 }, { width: 224, height: 454 }, frame, area);
+    expect(box).to.deep.equal({ x: 736, y: 87, width: 200, height: 200 });
+  });
+
+  it('pushes in on a small target and eases back out', () => {
+    const keys = zoomKeyframes([{ t: 3, box: button(600, 300) }], { viewport, frame, duration: 10 });
+    expect(keys.zoom).to.deep.equal([
+      [0, 1],
+      [2.4, 1],
+      [3, 1.8],
+      [4.2, 1.8],
+      [5, 1],
+    ]);
+    expect(keys.cx[2]).to.deep.equal([3, 960]);
+    expect(keys.cx[keys.cx.length - 1]).to.deep.equal([5, 960]);
+  });
+
+  it('pans between nearby actions instead of zooming out', () => {
+    const keys = zoomKeyframes(
+      [
+        { t: 2, box: button(100, 100) },
+        { t: 3, box: button(900, 500) },
+      ],
+      { viewport, frame, duration: 10 },
+    );
+    expect(keys.zoom.map(([, z]) => z)).to.deep.equal([1, 1, 1.8, 1.8, 1]);
+    expect(keys.cx).to.deep.include([2.5, 210]);
+    expect(keys.cx).to.deep.include([3, 1410]);
+  });
+
+  it('skips large targets and events outside the segment', () => {
+    const big = { x: 0, y: 0, width: 1200, height: 700 };
+    expect(zoomKeyframes([{ t: 1, box: big }], { viewport, frame, duration: 5 })).to.equal(null);
+    expect(zoomKeyframes([{ t: 8, box: button(1, 1) }], { viewport, frame, duration: 5 })).to.equal(null);
+    expect(zoomKeyframes([], { viewport, frame, duration: 5 })).to.equal(null);
+  });
+
+  it('builds an eased ffmpeg expression and a zoompan filter', () => {
+    expect(keyframeExpr([[0, 1]], 't')).to.equal('1');
+    expect(
+      keyframeExpr(
+        [
+          [0, 1],
+          [2, 2],
+        ],
+        't',
+      ),
+    ).to.equal('if(lt(t,2),1+(1)*clip((t-0)/2,0,1)*clip((t-0)/2,0,1)*(3-2*clip((t-0)/2,0,1)),2)');
+
+    const keys = zoomKeyframes([{ t: 3, box: button(600, 300) }], { viewport, frame, duration: 10 });
+    const filter = zoompanFilter(keys, { frame, fps: 30 });
+    expect(filter).to.match(/^zoompan=z='if\(lt\(on\/30,/);
+    expect(filter).to.match(/:d=1:s=1920x1080:fps=30$/);
+    expect(zoompanFilter(null, { frame, fps: 30 })).to.equal(null);
+  });
+});
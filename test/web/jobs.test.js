@@ -0,0 +1,83 @@
+import { expect } from 'chai';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { openJobStore } from '../../apps/web/lib/store.js';
+
+describe('web jobs', () => {
+  let dir;
+  let jobs;
+  before(async () => {
+    // jobs.js opens its store on import; keep it out of the real output dir.
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mkdemo-jobs-'));
+    process.env.JOBS_DB = path.join(dir, 'jobs.db');
+    // What a previous process left behind when it stopped mid-run.
+    const previous = openJobStore(process.env.JOBS_DB);
+    previous.saveJob({ id: 'cut-off', url: 'https://x.com', status: 'running', createdAt: 1, steps: [] });
+    previous.appendEvent('cut-off', { type: 'stage', data: { stage: 'record' }, ts: 2 });
+    previous.saveJob({ id: 'finished', url: 'https://x.com', status: 'done', createdAt: 1, steps: [] });
+    previous.close();
+    jobs = await import('../../apps/web/lib/jobs.js');
+  });
+  after(async () => {
+    delete process.env.JOBS_DB;
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  describe('restoreJobs', () => {
+    it('marks jobs the last process left running as interrupted', () => {
+      expect(jobs.restoreJobs()).to.equal(1);
+      const job = jobs.getJob('cut-off');
+      expect(job.status).to.equal('interrupted');
+      expect(job.history.map((e) => e.type)).to.deep.equal(['stage', 'error']);
+      expect(job.history[1].data).to.include({ interrupted: true });
+      expect(jobs.getJob('finished').status).to.equal('done');
+      expect(jobs.restoreJobs()).to.equal(0);
+    });
+  });
+
+  describe('needsBrain', () => {
+    const plain = { url: 'https://x.com', network: 'live', clips: [] };
+
+    it('leaves a plain live job on the scroll-tour pipeline', () => {
+      expect(jobs.needsBrain(plain)).to.equal(false);
+      expect(jobs.needsBrain({ ...plain, credentials: { user: 'a', password: 'b' } })).to.equal(false);
+    });
+
+    it('sends a job with a saved session to the brain, which can load it', () => {
+      const storageState = { cookies: [{ name: 'sid', value: '1', domain: 'x.com' }], origins: [] };
+      expect(jobs.needsBrain({ ...plain, storageState })).to.equal(true);
+    });
+
+    it('sends review, upload and replay jobs to the brain', () => {
+      expect(jobs.needsBrain({ ...plain, review: true })).to.equal(true);
+      expect(jobs.needsBrain({ ...plain, clips: ['/tmp/a.mp4'] })).to.equal(true);
+      expect(jobs.needsBrain({ ...plain, network: 'replay' })).to.equal(true);
+    });
+  });
+
+  describe('resumeJob', () => {
+    it('refuses a job that is still queued or running', () => {
+      for (const status of ['queued', 'running']) {
+        const job = { id: `busy-${status}`, status, history: [] };
+        expect(() => jobs.resumeJob(job, true)).to.throw(/still/);
+        expect(job.status).to.equal(status);
+      }
+    });
+  });
+
+  describe('claimReview', () => {
+    it('lets exactly one submission take a job out of review', () => {
+      const job = { id: 'reviewed', status: 'review', history: [] };
+      expect(jobs.claimReview(job)).to.equal(true);
+      expect(job.status).to.equal('queued');
+      expect(jobs.claimReview(job)).to.equal(false);
+
+      // A rejected edit puts it back for another try.
+      jobs.releaseReview(job);
+      expect(job.status).to.equal('review');
+      expect(jobs.claimReview(job)).to.equal(true);
+      expect(jobs.claimReview({ id: 'done', status: 'done' })).to.equal(false);
+    });
+  });
+});
@@ -0,0 +1,191 @@
+import { expect } from 'chai';
+import { QUEUE_CLOSED, createJobQueue, createLimiter } from '../../apps/web/lib/queue.js';
+
+// A run() whose jobs finish when the test says so.
+function controlledRun() {
+  const started = [];
+  const finish = new Map();
+  const run = (job) =>
+    new Promise((resolve) => {
+      started.push(job.id);
+      finish.set(job.id, resolve);
+    });
+  return { run, started, finish: (id) => finish.get(id)() };
+}
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('web job queue', () => {
+  describe('createLimiter', () => {
+    it('runs at most `limit` tasks at once and hands slots over in FIFO order', async () => {
+      const limiter = createLimiter(2);
+      const order = [];
+      const releases = {};
+      const task = (name) => () =>
+        new Promise((resolve) => {
+          order.push(name);
+          releases[name] = resolve;
+        });
+      const waits = [];
+      const runs = ['a', 'b', 'c', 'd'].map((name) => limiter.run(task(name), { onWait: (n) => waits.push([name, n]) }));
+      await tick();
+      expect(order).to.deep.equal(['a', 'b']);
+      expect([limiter.active, limiter.pending]).to.deep.equal([2, 2]);
+      expect(waits).to.deep.equal([
+        ['c', 1],
+        ['d', 2],
+      ]);
+
+      releases.b();
+      await tick();
+      expect(order).to.deep.equal(['a', 'b', 'c']);
+      expect([limiter.active, limiter.pending]).to.deep.equal([2, 1]);
+      releases.a();
+      releases.c();
+      await tick();
+      releases.d();
+      await Promise.all(runs);
+      expect(order).to.deep.equal(['a', 'b', 'c', 'd']);
+      expect([limiter.active, limiter.pending]).to.deep.equal([0, 0]);
+    });
+
+    it('frees the slot when a task throws', async () => {
+      const limiter = createLimiter(1);
+      let error;
+      await limiter.run(() => Promise.reject(new Error('boom'))).catch((err) => (error = err));
+      expect(error?.message).to.equal('boom');
+      expect(await limiter.run(() => 'ok')).to.equal('ok');
+      expect(limiter.active).to.equal(0);
+    });
+
+    it('gives up a place in line when its signal aborts', async () => {
+      const limiter = createLimiter(1);
+      let release;
+      const first = limiter.run(() => new Promise((resolve) => (release = resolve)));
+      const controller = new AbortController();
+      const waiting = limiter.run(() => 'never', { signal: controller.signal });
+      await tick();
+      controller.abort(new Error('Cancelled'));
+      let error;
+      await waiting.catch((err) => (error = err));
+      expect(error?.message).to.equal('Cancelled');
+      expect(limiter.pending).to.equal(0);
+      release();
+      await first;
+      expect(limiter.active).to.equal(0);
+    });
+
+    it('keeps browser and encode slots independent', async () => {
+      const slots = { browser: createLimiter(1), encode: createLimiter(1) };
+      let releaseBrowser;
+      const recording = slots.browser.run(() => new Promise((resolve) => (releaseBrowser = resolve)));
+      // One job encodes while another holds the only browser slot.
+      expect(await slots.encode.run(() => 'encoded')).to.equal('encoded');
+      expect([slots.browser.active, slots.encode.active]).to.deep.equal([1, 0]);
+      releaseBrowser();
+      await recording;
+      expect(slots.browser.active).to.equal(0);
+    });
+  });
+
+  describe('createJobQueue', () => {
+    it('runs `concurrency` jobs at once, in FIFO order, and reports positions', async () => {
+      const { run, started, finish } = controlledRun();
+      const positions = [];
+      const queue = createJobQueue({ concurrency: 2, run, onPosition: (job, n) => positions.push([job.id, n]) });
+      ['a', 'b', 'c', 'd'].forEach((id) => queue.enqueue({ id }));
+      await tick();
+      expect(started).to.deep.equal(['a', 'b']);
+      expect([queue.running, queue.queued]).to.deep.equal([2, 2]);
+      expect(positions).to.deep.include.members([
+        ['c', 1],
+        ['d', 2],
+      ]);
+
+      positions.length = 0;
+      finish('a');
+      await tick();
+      expect(started).to.deep.equal(['a', 'b', 'c']);
+      expect(positions).to.deep.equal([['d', 1]]);
+    });
+
+    it('refuses new jobs beyond maxQueued', async () => {
+      const { run } = controlledRun();
+      const queue = createJobQueue({ concurrency: 1, maxQueued: 1, run });
+      queue.enqueue({ id: 'a' });
+      await tick();
+      queue.enqueue({ id: 'b' });
+      expect(() => queue.enqueue({ id: 'c' }))
+        .to.throw(/Queue is full/)
+        .with.property('code', QUEUE_CLOSED);
+      expect(queue.queued).to.equal(1);
+    });
+
+    it('removes a waiting job and renumbers the rest', async () => {
+      const { run, started, finish } = controlledRun();
+      const positions = [];
+      const queue = createJobQueue({ concurrency: 1, run, onPosition: (job, n) => positions.push([job.id, n]) });
+      const jobs = ['a', 'b', 'c'].map((id) => ({ id }));
+      jobs.forEach((job) => queue.enqueue(job));
+      await tick();
+
+      positions.length = 0;
+      expect(queue.remove(jobs[1])).to.equal(true);
+      expect(positions).to.deep.equal([['c', 1]]);
+      expect(queue.position(jobs[2])).to.equal(1);
+      // Running jobs aren't waiting, so they can't be removed.
+      expect(queue.remove(jobs[0])).to.equal(false);
+
+      finish('a');
+      await tick();
+      expect(started).to.deep.equal(['a', 'c']);
+    });
+
+    it('ignores a job whose id it already holds, queued or running', async () => {
+      const { run, started, finish } = controlledRun();
+      const queue = createJobQueue({ concurrency: 1, run });
+      expect(queue.enqueue({ id: 'a' })).to.equal(true);
+      expect(queue.enqueue({ id: 'b' })).to.equal(true);
+      await tick();
+      expect(queue.enqueue({ id: 'a' })).to.equal(false);
+      expect(queue.enqueue({ id: 'b' })).to.equal(false);
+      expect([queue.running, queue.queued]).to.deep.equal([1, 1]);
+
+      finish('a');
+      await tick();
+      finish('b');
+      await tick();
+      expect(started).to.deep.equal(['a', 'b']);
+      expect(queue.enqueue({ id: 'a' })).to.equal(true);
+    });
+
+    it('drains: starts nothing new and waits for running jobs', async () => {
+      const { run, started, finish } = controlledRun();
+      const queue = createJobQueue({ concurrency: 1, run });
+      queue.enqueue({ id: 'a' });
+      queue.enqueue({ id: 'b' });
+      await tick();
+
+      const drained = queue.drain(1000);
+      expect(() => queue.enqueue({ id: 'c' })).to.throw(/shutting down/);
+      finish('a');
+      expect(await drained).to.equal(true);
+      expect(started).to.deep.equal(['a']);
+      expect(queue.queued).to.equal(1);
+    });
+
+    it('gives up draining after the timeout', async () => {
+      const { run } = controlledRun();
+      const queue = createJobQueue({ concurrency: 1, run });
+      queue.enqueue({ id: 'stuck' });
+      await tick();
+      expect(await queue.drain(10)).to.equal(false);
+      expect(queue.running).to.equal(1);
+    });
+
+    it('drains at once when nothing is running', async () => {
+      const queue = createJobQueue({ concurrency: 1, run: () => {} });
+      expect(await queue.drain(1000)).to.equal(true);
+    });
+  });
+});
@@ -0,0 +1,96 @@
+import { expect } from 'chai';
+import { EventEmitter } from 'node:events';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { jobRecord, openJobStore } from '../../apps/web/lib/store.js';
+
+const job = (over = {}) => ({
+  id: 'job1',
+  url: 'https://x.com',
+  status: 'running',
+  stage: 'record',
+  steps: [],
+  createdAt: 1000,
+  credentials: { user: 'demo@x.com', password: 'hunter2' },
+  storageState: { cookies: [{ name: 'sid', value: 'secret', domain: 'x.com' }], origins: [] },
+  history: [{ type: 'log', data: {}, ts: 1 }],
+  emitter: new EventEmitter(),
+  ...over,
+});
+
+describe('web job store', () => {
+  let store;
+  beforeEach(() => {
+    store = openJobStore(':memory:');
+  });
+  afterEach(() => store.close());
+
+  it('reads back a saved job and its events in order', () => {
+    store.saveJob(job());
+    store.appendEvent('job1', { type: 'stage', data: { stage: 'record' }, ts: 2 });
+    store.appendEvent('job1', { type: 'done', data: { video: '/v.mp4' }, ts: 3 });
+
+    const { record, history } = store.loadJob('job1');
+    expect(record).to.include({ id: 'job1', url: 'https://x.com', status: 'running', stage: 'record' });
+    expect(history).to.deep.equal([
+      { type: 'stage', data: { stage: 'record' }, ts: 2 },
+      { type: 'done', data: { video: '/v.mp4' }, ts: 3 },
+    ]);
+    expect(store.loadJob('nope')).to.equal(null);
+  });
+
+  it('never persists credentials, the session, the emitter or the in-memory history', () => {
+    expect(jobRecord(job())).to.not.have.any.keys('credentials', 'storageState', 'emitter', 'history');
+    store.saveJob(job());
+    const { record } = store.loadJob('job1');
+    expect(record).to.not.have.any.keys('credentials', 'storageState', 'emitter', 'history');
+    expect(JSON.stringify(record)).to.not.match(/hunter2|secret/);
+  });
+
+  it("clears a job's events for a resumed run", () => {
+    store.saveJob(job());
+    store.appendEvent('job1', { type: 'error', data: { message: 'boom' }, ts: 2 });
+    store.clearEvents('job1');
+    store.appendEvent('job1', { type: 'status', data: { status: 'queued' }, ts: 3 });
+    expect(store.loadJob('job1').history.map((e) => e.type)).to.deep.equal(['status']);
+  });
+
+  it('lists queued and running jobs as in flight', () => {
+    store.saveJob(job({ id: 'a', status: 'queued' }));
+    store.saveJob(job({ id: 'b', status: 'running' }));
+    store.saveJob(job({ id: 'c', status: 'done' }));
+    store.saveJob(job({ id: 'd', status: 'review' }));
+    expect(store.inFlightJobIds().sort()).to.deep.equal(['a', 'b']);
+  });
+
+  describe('across a restart', () => {
+    let dir;
+    let file;
+    beforeEach(async () => {
+      // ':memory:' is gone once closed; a reopen needs a real file.
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mkdemo-store-'));
+      file = path.join(dir, 'jobs.db');
+    });
+    afterEach(async () => {
+      await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    it('keeps jobs and their events when reopened', () => {
+      let db = openJobStore(file);
+      db.saveJob(job());
+      db.appendEvent('job1', { type: 'stage', data: { stage: 'record' }, ts: 2 });
+      db.saveJob(job({ id: 'job2', status: 'done' }));
+      db.close();
+
+      db = openJobStore(file);
+      try {
+        expect(db.loadJob('job1').history).to.deep.equal([{ type: 'stage', data: { stage: 'record' }, ts: 2 }]);
+        expect(db.loadJob('job2').record.status).to.equal('done');
+        expect(db.inFlightJobIds()).to.deep.equal(['job1']);
+      } finally {
+        db.close();
+      }
+    });
+  });
+});
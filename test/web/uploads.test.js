@@ -0,0 +1,143 @@
+import { expect } from 'chai';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import {
+  UPLOAD_GONE,
+  UPLOAD_TOO_LARGE,
+  UPLOAD_UNKNOWN,
+  UPLOADS_DIR,
+  createUploadStore,
+} from '../../apps/web/lib/uploads.js';
+
+// Stands in for ffprobe: what it "finds" depends on the staged bytes.
+async function fakeProbe(file) {
+  const text = await fs.readFile(file, 'utf8');
+  if (text.startsWith('video')) return { duration: 12.5, video: true, audio: true };
+  if (text.startsWith('audio')) return { duration: 95, video: false, audio: true };
+  throw new Error('ffprobe failed\ninvalid data found when processing input');
+}
+
+const upload = (name, content, type = '') => ({ name, type, body: new Blob([content]).stream() });
+
+// A multipart/form-data request body with the file under `field`.
+function formUpload(name, content, type = '', field = 'file') {
+  const form = new FormData();
+  form.append('note', 'ignored');
+  form.append(field, new Blob([content], { type }), name);
+  const req = new Request('http://localhost/', { method: 'POST', body: form });
+  return { name: 'from-query.mp4', type: req.headers.get('content-type'), body: req.body };
+}
+
+describe('web uploads', () => {
+  let dir;
+  let store;
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mkdemo-uploads-'));
+    store = createUploadStore(path.join(dir, '.uploads'), { probe: fakeProbe });
+  });
+  afterEach(async () => {
+    delete process.env.MKDEMO_SONG_MAX_MB;
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('streams a clip into staging under an opaque id', async () => {
+    const saved = await store.save('clip', upload('Demo.MP4', 'video bytes', 'video/mp4'));
+    expect(saved).to.include({ kind: 'clip', name: 'Demo.MP4', bytes: 11, duration: 12.5 });
+    expect(saved.id).to.match(/^clip-[a-f0-9]{16}\.mp4$/);
+    const staged = store.find(saved.id, 'clip');
+    expect(await fs.readFile(staged, 'utf8')).to.equal('video bytes');
+    expect(store.find(saved.id, 'song')).to.equal(null);
+    expect(store.find('../jobs.db', 'clip')).to.equal(null);
+  });
+
+  it('takes the file part of a multipart form, with its own name and type', async () => {
+    const saved = await store.save('song', formUpload('Track.m4a', 'audio bytes', 'audio/mp4'));
+    expect(saved).to.include({ kind: 'song', name: 'Track.m4a', bytes: 11, duration: 95 });
+    expect(await fs.readFile(store.find(saved.id, 'song'), 'utf8')).to.equal('audio bytes');
+
+    let error;
+    await store.save('song', formUpload('track.mp3', 'audio', 'text/html')).catch((err) => (error = err));
+    expect(error?.message).to.match(/video or audio file \(got text\/html\)/);
+    const form = new FormData();
+    form.append('note', 'no file here');
+    const req = new Request('http://localhost/', { method: 'POST', body: form });
+    await store.save('song', { type: req.headers.get('content-type'), body: req.body }).catch((err) => (error = err));
+    expect(error?.message).to.equal('Expected a file in the form');
+  });
+
+  it('cuts off a multipart file past the size limit', async () => {
+    process.env.MKDEMO_SONG_MAX_MB = '0.00001'; // ~10 bytes
+    let error;
+    await store.save('song', formUpload('track.mp3', 'audio, and then some more')).catch((err) => (error = err));
+    expect(error?.code).to.equal(UPLOAD_TOO_LARGE);
+    expect(await fs.readdir(path.join(dir, '.uploads'))).to.deep.equal([]);
+  });
+
+  it('rejects files ffprobe cannot read, or without the right stream, and leaves nothing staged', async () => {
+    let error;
+    await store.save('clip', upload('notes.mp4', 'just text')).catch((err) => (error = err));
+    expect(error?.message).to.equal("That clip isn't a readable media file (invalid data found when processing input)");
+    await store.save('clip', upload('song.webm', 'audio only', 'audio/webm')).catch((err) => (error = err));
+    expect(error?.message).to.equal('That clip has no video stream');
+    expect(await fs.readdir(path.join(dir, '.uploads'))).to.deep.equal([]);
+  });
+
+  it('checks the extension and type before reading the body', async () => {
+    let error;
+    await store.save('song', upload('track.exe', 'audio')).catch((err) => (error = err));
+    expect(error?.message).to.match(/must be one of \.mp3/);
+    await store.save('song', upload('track.mp3', 'audio', 'text/html')).catch((err) => (error = err));
+    expect(error?.message).to.match(/video or audio file \(got text\/html\)/);
+  });
+
+  it('cuts off a body past the size limit while streaming', async () => {
+    process.env.MKDEMO_SONG_MAX_MB = '0.00001'; // ~10 bytes
+    let error;
+    await store.save('song', upload('track.mp3', 'audio, and then some more')).catch((err) => (error = err));
+    expect(error?.code).to.equal(UPLOAD_TOO_LARGE);
+    expect(await fs.readdir(path.join(dir, '.uploads'))).to.deep.equal([]);
+
+    // A declared length over the limit is refused up front.
+    await store.save('song', { ...upload('track.mp3', 'audio'), size: 1024 }).catch((err) => (error = err));
+    expect(error?.message).to.match(/larger than/);
+  });
+
+  it('moves claimed uploads into the job dir', async () => {
+    const clip = await store.save('clip', upload('a.mov', 'video a'));
+    const song = await store.save('song', upload('b.mp3', 'audio b'));
+    const jobDir = path.join(dir, 'job1');
+
+    const paths = store.claim([clip.id, song.id], jobDir);
+    expect(paths).to.deep.equal([path.join(jobDir, UPLOADS_DIR, clip.id), path.join(jobDir, UPLOADS_DIR, song.id)]);
+    expect(await fs.readFile(paths[0], 'utf8')).to.equal('video a');
+    expect(store.find(clip.id, 'clip')).to.equal(null);
+    expect(store.claim([], jobDir)).to.deep.equal([]);
+  });
+
+  it('claims all uploads or none, putting moved ones back', async () => {
+    const clip = await store.save('clip', upload('a.mov', 'video a'));
+    const jobDir = path.join(dir, 'job1');
+    expect(() => store.claim([clip.id, 'song-0123456789abcdef.mp3'], jobDir))
+      .to.throw(/is gone/)
+      .with.property('code', UPLOAD_GONE);
+    expect(store.find(clip.id, 'clip')).to.be.a('string');
+    expect(await fs.stat(jobDir).catch(() => null)).to.equal(null);
+
+    expect(() => store.claim([clip.id, '../jobs.db'], jobDir))
+      .to.throw(/Unknown upload/)
+      .with.property('code', UPLOAD_UNKNOWN);
+    expect(store.find(clip.id, 'clip')).to.be.a('string');
+  });
+
+  it('prunes staged uploads older than a day', async () => {
+    const fresh = await store.save('clip', upload('a.mp4', 'video a'));
+    const stale = await store.save('clip', upload('b.mp4', 'video b'));
+    const twoDaysAgo = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000);
+    await fs.utimes(store.find(stale.id, 'clip'), twoDaysAgo, twoDaysAgo);
+
+    await store.prune();
+    expect(store.find(fresh.id, 'clip')).to.be.a('string');
+    expect(store.find(stale.id, 'clip')).to.equal(null);
+  });
+});